@@ -77,7 +77,8 @@ CREATE INDEX idx_product_targets_product_id ON product_targets(product_id);
 
 COMMENT ON TABLE product_targets IS 'Image tracking target files (.mind)';
 COMMENT ON COLUMN product_targets.mind_file_url IS 'Public URL from Supabase Storage';
-COMMENT ON COLUMN product_targets.mind_file_hash IS 'Hash for cache busting';
+COMMENT ON COLUMN product_targets.mind_file_size IS 'File size in bytes (verified by the app after download)';
+COMMENT ON COLUMN product_targets.mind_file_hash IS 'SHA-256 (hex) of the .mind file (verified by the app after download)';
 
 -- ============================================================================
 -- TABLE: product_models
@@ -4,212 +4,493 @@ console.log('Image Recognition AR - Initializing...');
 // DOM Elements
 const loadingScreen = document.getElementById('loading-screen');
 const instructionsScreen = document.getElementById('instructions-screen');
-const trackingIndicator = document.getElementById('tracking-indicator');
 
 // Get A-Frame scene
 const sceneEl = document.querySelector('a-scene');
 
-// ML Classifier instance (global)
-let mlClassifier = null;
-let mlReady = false;
+// ML model registry (global) - one lazily loaded classifier per shared-target family
+let mlRegistry = null;
+let mlReady = false; // ML runtime available - models still load on first targetFound
+let kernelWarningsFiltered = false; // console.warn filter installed (see filterKernelWarnings)
 
-// Current product tracking
-let currentProduct = null;
-let detectionInProgress = false;
+// Training data collection (?collect=1, see data-collector.js)
+let dataCollector = null;
+
+// OCR second opinion for shared targets (CONFIG.ml.ocr, see ocr-verifier.js)
+let ocrVerifier = null;
+
+// Camera device / resolution / torch / zoom (CONFIG.camera, see camera-manager.js)
+const cameraManager = window.CameraManager ? new CameraManager() : null;
+
+// Categorized error overlay with retry (see error-screen.js)
+const errorScreen = window.ErrorScreen ? new ErrorScreen() : null;
+let mlUnavailableShown = false;
+
+// Per-target product state - several targets can be tracked at once
+// (globalSettings.maxSimultaneousTargets); config-loader.js renders one card each
+const targetSessions = new Map(); // target element index -> { targetIndex, product, detecting }
+const visibleTargets = new Set();
+
+// Session for a tracked target (created on targetFound)
+function getTargetSession(index, targetIndex) {
+  if (!targetSessions.has(index)) {
+    targetSessions.set(index, { targetIndex, product: null, detecting: false });
+  }
+  return targetSessions.get(index);
+}
+
+// Load (on first use) the classifier model for a target
+async function loadClassifier(targetIndex) {
+  try {
+    const classifier = await mlRegistry.load(targetIndex);
+
+    if (classifier && !classifier.isReady()) {
+      console.warn(`⚠️ ML model for target ${targetIndex} initialized but not ready`);
+      return null;
+    }
+
+    return classifier;
+  } catch (error) {
+    console.error(`❌ ML model for target ${targetIndex} failed to load:`, error);
+    showMLUnavailable(error);
+    return null;
+  }
+}
 
 // Listen for config ready event
-window.addEventListener('ar-config-ready', async () => {
+window.addEventListener('ar-config-ready', () => {
   console.log('✅ AR config ready');
 
-  // Wait for ML libraries to be loaded before initializing
-  const initializeML = async () => {
-    // Initialize ML Classifier with trained model
-    if (window.MLClassifier && window.arConfig) {
-      console.log('🔄 Initializing ML Classifier...');
-      try {
-        mlClassifier = new MLClassifier();
-        await mlClassifier.initialize(window.arConfig.products);
-        mlReady = mlClassifier.isReady();
-
-        if (mlReady) {
-          console.log('✅ ML Classifier initialized and ready');
-          console.log('🤖 Model info:', mlClassifier.getModelInfo());
-        } else {
-          console.warn('⚠️ ML Classifier initialized but not ready');
-        }
-      } catch (error) {
-        console.error('❌ ML Classifier initialization failed:', error);
-        mlReady = false;
-      }
-    } else {
-      console.warn('⚠️ MLClassifier or arConfig not available');
-    }
-  };
+  if (!window.MLModelRegistry || !window.MLClassifier || !window.MLRuntimeLoader) {
+    console.warn('⚠️ MLModelRegistry, MLClassifier or MLRuntimeLoader not available');
+    return;
+  }
+
+  mlRegistry = new MLModelRegistry(window.arConfig.mlModels);
+  mlRegistry.register(window.arConfig.products);
+
+  if (window.OCRVerifier && window.CONFIG?.ml?.ocr?.enabled) {
+    ocrVerifier = new OCRVerifier();
+  }
+
+  if (window.DataCollector && DataCollector.isRequested()) {
+    dataCollector = new DataCollector(mlRegistry, window.arConfig.products);
+    dataCollector.start();
+  }
+
+  // Worker mode: TF.js lives in its own thread and can't collide with MindAR,
+  // so models can load as soon as a target is found
+  if (!mlRegistry.requiresMainThreadRuntime()) {
+    console.log('🧵 ML inference will run in a Web Worker');
+    mlReady = true;
+    return;
+  }
 
-  // Wait for ML libraries (TensorFlow.js + Teachable Machine) to load
-  // These are loaded dynamically AFTER scene loads to prevent WASM conflicts
-  window.addEventListener('ml-libraries-ready', async () => {
-    console.log('✅ ML libraries loaded, initializing classifier...');
-    await initializeML();
+  // Main-thread fallback: wait for ML libraries (TensorFlow.js + Teachable Machine)
+  // These are loaded dynamically AFTER MindAR starts to prevent WASM conflicts
+  window.addEventListener('ml-libraries-ready', () => {
+    console.log('✅ ML libraries loaded, models will load on first detection');
+    mlReady = true;
   }, { once: true });
 });
 
-// Wait for scene, config, AND camera ready before starting MindAR
-let sceneLoaded = false;
-let configReady = false;
-let cameraReady = false;
+// ============================================================================
+// AR LIFECYCLE
+// ============================================================================
+// idle → loading-config → camera-permission → starting-tracker → loading-ml
+// → scanning ⇄ tracking (or error), see ar-lifecycle.js. Each step waits
+// for its real readiness signal instead of a fixed delay.
+// While the page is hidden the session is paused (camera released) and
+// restarted from camera-permission on return.
+
+const arLifecycle = new ARLifecycle();
+window.arLifecycle = arLifecycle;
+
+// Created now - the config loader may finish before startAR() awaits it
+const configReadyPromise = ARLifecycle.waitForEvent(window, 'ar-config-ready', { errorEvent: 'ar-config-error' });
+
+let configLoaded = false;
+let mlListenersReady = false;
+let pausedByVisibility = false; // Only these pauses resume automatically
+
+async function startAR() {
+  try {
+    // Scene + products.json / Supabase (targets are generated into the scene)
+    arLifecycle.transition('loading-config');
+    await Promise.all([
+      sceneEl.hasLoaded ? Promise.resolve() : ARLifecycle.waitForEvent(sceneEl, 'loaded'),
+      configReadyPromise
+    ]);
+    configLoaded = true;
+    console.log('✅ Scene and config ready');
+
+    await startTracking();
+  } catch (error) {
+    handleStartError(error);
+  }
+}
+
+// camera-permission → starting-tracker → (loading-ml, first start only) → scanning
+async function startTracking() {
+  arLifecycle.transition('camera-permission');
+  await openCamera();
 
-function tryStartAR() {
-  if (!sceneLoaded || !configReady || !cameraReady) {
-    console.log(`⏳ Waiting... Scene: ${sceneLoaded}, Config: ${configReady}, Camera: ${cameraReady}`);
-    return; // Wait for all three conditions
+  arLifecycle.transition('starting-tracker');
+  await startMindAR();
+
+  // MindAR has parsed the .mind file - safe to load TensorFlow.js now
+  // (main-thread fallback only, see TENSORFLOW_FIX.md)
+  if (!mlListenersReady) {
+    arLifecycle.transition('loading-ml');
+    setupMLEventListeners();
+    mlListenersReady = true;
+
+    if (mlRegistry && mlRegistry.requiresMainThreadRuntime()) {
+      await loadMLLibrariesOnMainThread();
+    }
   }
 
-  console.log('✅ Scene, config, and camera ready - starting AR...');
+  arLifecycle.transition('scanning');
+  updateTrackingState();
+  cameraManager?.createPanel();
 
-  const arSystem = sceneEl.systems['mindar-image-system'];
+  // Page was hidden while starting - don't keep the camera running in the background
+  if (document.hidden) {
+    pausedByVisibility = true;
+    pauseAR();
+  }
+}
 
-  if (arSystem) {
-    // Wait longer to ensure all resources are fully loaded and initialized
-    // This prevents buffer corruption during .mind file parsing
-    setTimeout(() => {
-      console.log('🚀 Starting MindAR...');
-
-      try {
-        arSystem.start();
-
-        // CRITICAL: Wait for MindAR to fully start before loading TensorFlow.js
-        // This prevents WASM buffer conflicts
-        setTimeout(() => {
-          console.log('✅ MindAR started, now safe to load TensorFlow.js...');
-
-          // Load TensorFlow.js dynamically
-          const tfScript = document.createElement('script');
-          tfScript.src = 'https://cdn.jsdelivr.net/npm/@tensorflow/tfjs@4.11.0/dist/tf.min.js';
-          tfScript.onload = () => {
-            console.log('✅ TensorFlow.js loaded');
-
-            // Suppress kernel warnings
-            const originalWarn = console.warn;
-            console.warn = function(...args) {
-              if (args[0] && typeof args[0] === 'string' &&
-                  (args[0].includes('already registered') ||
-                   args[0].includes('kernel') ||
-                   args[0].includes('registry'))) {
-                return;
-              }
-              originalWarn.apply(console, args);
-            };
-
-            // Load Teachable Machine
-            const tmScript = document.createElement('script');
-            tmScript.src = 'https://cdn.jsdelivr.net/npm/@teachablemachine/image@latest/dist/teachablemachine-image.min.js';
-            tmScript.onload = () => {
-              console.log('✅ Teachable Machine loaded');
-              window.dispatchEvent(new Event('ml-libraries-ready'));
-            };
-            tmScript.onerror = () => console.error('❌ Failed to load Teachable Machine');
-            document.head.appendChild(tmScript);
-          };
-          tfScript.onerror = () => console.error('❌ Failed to load TensorFlow.js');
-          document.head.appendChild(tfScript);
-
-          // Setup ML event listeners
-          setupMLEventListeners();
-        }, 2000); // Wait 2 seconds after MindAR starts
-      } catch (error) {
-        console.error('❌ Failed to start MindAR:', error);
-        console.error('   Error details:', error.message);
-      }
-    }, 3000); // Wait 3 seconds to ensure all resources fully loaded
-  } else {
-    console.error('❌ MindAR system not found');
+function handleStartError(error) {
+  const failedState = arLifecycle.getState();
+  console.error(`❌ AR startup failed (${failedState}):`, error);
+  arLifecycle.fail(error);
+
+  errorScreen?.show(error, { failedState, onRetry: () => restartAR() });
+}
+
+// ============================================================================
+// PAUSE / RESUME / RESTART
+// ============================================================================
+
+/**
+ * Stop tracking and release the camera (scanning/tracking → paused)
+ * Visible targets are lost and the product UI is cleared
+ * @returns {boolean} - false if AR isn't running
+ */
+function pauseAR() {
+  if (!arLifecycle.is('scanning', 'tracking')) {
+    return false;
+  }
+
+  console.log('⏸️ Pausing AR...');
+  resetTracking();
+  stopMindAR();
+  arLifecycle.transition('paused');
+  return true;
+}
+
+/**
+ * Restart the camera and tracking after pauseAR() (paused → ... → scanning)
+ * @returns {Promise<boolean>} - false if not paused or the restart failed
+ */
+async function resumeAR() {
+  if (!arLifecycle.is('paused')) {
+    return false;
+  }
+
+  console.log('▶️ Resuming AR...');
+  pausedByVisibility = false;
+
+  try {
+    await startTracking();
+    return true;
+  } catch (error) {
+    handleStartError(error);
+    return false;
+  }
+}
+
+/**
+ * Stop and start again from the camera step (also recovers from error)
+ * Reloads the page if the configuration never loaded
+ * @returns {Promise<boolean>} - false if still starting or the restart failed
+ */
+async function restartAR() {
+  if (arLifecycle.is('error')) {
+    if (!configLoaded) {
+      window.location.reload();
+      return false;
+    }
+
+    console.log('🔄 Restarting AR after error...');
+    resetTracking();
+    stopMindAR();
+    arLifecycle.clearError();
+
+    try {
+      await startTracking();
+      return true;
+    } catch (error) {
+      handleStartError(error);
+      return false;
+    }
   }
+
+  console.log('🔄 Restarting AR...');
+  pauseAR();
+  return resumeAR();
 }
 
-sceneEl.addEventListener('loaded', () => {
-  console.log('✅ A-Frame scene loaded');
-  sceneLoaded = true;
-  tryStartAR();
+window.pauseAR = pauseAR;
+window.resumeAR = resumeAR;
+window.restartAR = restartAR;
+
+// Lose every visible target and clear all product state and UI
+function resetTracking() {
+  // Lets MindAR's anchors hide and emit targetLost (runs the handlers below and in config-loader.js)
+  document.querySelectorAll('[mindar-image-target]').forEach(target => {
+    const anchor = target.components?.['mindar-image-target'];
+    if (anchor && target.object3D?.visible) {
+      anchor.updateWorldMatrix(null);
+    }
+  });
+
+  [...reclassificationLoops.keys()].forEach(stopReclassification);
+  visibleTargets.clear();
+  targetSessions.clear();
+
+  window.arConfig?.hideProductUI?.();
+}
+
+// Stop MindAR's camera stream and tracking loop (safe if it never started)
+function stopMindAR() {
+  try {
+    sceneEl.systems['mindar-image-system']?.stop();
+  } catch (error) {
+    console.warn('⚠️ Could not stop MindAR:', error.message);
+  }
+
+  // Stream may not have reached MindAR (start failed)
+  cameraManager?.release();
+}
+
+// Camera picked in the settings panel - reopen with it
+window.addEventListener('camera-device-change', () => {
+  restartAR();
 });
 
-window.addEventListener('ar-config-ready', () => {
-  console.log('✅ AR config ready in app.js');
-  configReady = true;
-  tryStartAR();
+// Release the camera while the user is in another app / tab or the phone is locked
+document.addEventListener('visibilitychange', () => {
+  if (document.hidden) {
+    if (pauseAR()) {
+      pausedByVisibility = true;
+    }
+  } else if (pausedByVisibility) {
+    resumeAR();
+  }
+});
+
+// Page hidden for navigation or put in the back/forward cache
+window.addEventListener('pagehide', () => {
+  if (pauseAR()) {
+    pausedByVisibility = true;
+  }
+});
+
+window.addEventListener('pageshow', (event) => {
+  if (event.persisted && pausedByVisibility && !document.hidden) {
+    resumeAR();
+  }
 });
 
+// Open the camera (asks for permission). With CameraManager the stream is
+// kept and handed to MindAR, otherwise MindAR opens its own afterwards
+async function openCamera() {
+  if (cameraManager) {
+    await cameraManager.open();
+    return;
+  }
+
+  if (!navigator.mediaDevices?.getUserMedia) {
+    throw new Error('Camera API not available (HTTPS required)');
+  }
+
+  const stream = await navigator.mediaDevices.getUserMedia({ video: true });
+  console.log('📹 Camera permission granted');
+  stream.getTracks().forEach(track => track.stop());
+}
+
+// Start MindAR and wait until it's tracking (arReady) or failed (arError)
+async function startMindAR() {
+  const arSystem = sceneEl.systems['mindar-image-system'];
+
+  if (!arSystem) {
+    throw new Error('MindAR system not found');
+  }
+
+  console.log('🚀 Starting MindAR...');
+
+  const timeout = window.CONFIG?.performance?.trackerStartTimeout ?? 15000;
+  const ready = ARLifecycle.waitForEvent(sceneEl, 'arReady', { errorEvent: 'arError', timeout });
+
+  // MindAR's getUserMedia() call gets the stream opened in openCamera()
+  cameraManager?.handOver();
+
+  // Promise.all so a synchronous start() error doesn't leave `ready` unhandled
+  await Promise.all([ready, Promise.resolve().then(() => arSystem.start())]);
+  console.log('✅ MindAR started');
+}
+
+// scanning ⇄ tracking follows the visible targets
+function updateTrackingState() {
+  if (visibleTargets.size > 0 && arLifecycle.is('scanning')) {
+    arLifecycle.transition('tracking', { targets: [...visibleTargets] });
+  } else if (visibleTargets.size === 0 && arLifecycle.is('tracking')) {
+    arLifecycle.transition('scanning');
+  }
+}
+
+// Load TensorFlow.js + Teachable Machine into the page (main-thread fallback only)
+// Pinned versions with integrity checks, see ml-runtime-loader.js
+async function loadMLLibrariesOnMainThread() {
+  try {
+    // Fresh loader so a retry re-reads the manifest; scripts already on the page are not injected again
+    const runtime = new MLRuntimeLoader();
+
+    await runtime.loadScript('tfjs');
+    filterKernelWarnings();
+
+    await runtime.loadScript('teachable');
+    window.dispatchEvent(new Event('ml-libraries-ready'));
+  } catch (error) {
+    console.error('❌ Failed to load ML runtime:', error);
+    showMLUnavailable(error);
+  }
+}
+
+// Suppress TF.js kernel registration warnings (installed once - retries load again)
+function filterKernelWarnings() {
+  if (kernelWarningsFiltered) {
+    return;
+  }
+
+  kernelWarningsFiltered = true;
+  const originalWarn = console.warn;
+  console.warn = function(...args) {
+    if (args[0] && typeof args[0] === 'string' &&
+        (args[0].includes('already registered') ||
+         args[0].includes('kernel') ||
+         args[0].includes('registry'))) {
+      return;
+    }
+    originalWarn.apply(console, args);
+  };
+}
+
+// Tell the user product recognition is off (AR tracking keeps running)
+// Shown once until the user retries - every targetFound may fail again
+function showMLUnavailable(error) {
+  if (mlUnavailableShown || errorScreen?.isVisible()) {
+    return;
+  }
+
+  mlUnavailableShown = true;
+  errorScreen?.show(error, { category: 'ml-load', dismissible: true, onRetry: retryML });
+}
+
+// Reload the ML runtime if that failed; models retry on the next targetFound
+// (the registry doesn't keep failed loads)
+function retryML() {
+  mlUnavailableShown = false;
+
+  if (mlRegistry && mlRegistry.requiresMainThreadRuntime() && !mlReady) {
+    loadMLLibrariesOnMainThread();
+  }
+}
+
 // Setup ML event listeners for targets
 function setupMLEventListeners() {
   const targets = document.querySelectorAll('[mindar-image-target]');
   console.log(`🎯 Setting up ML event listeners for ${targets.length} target(s)`);
 
   targets.forEach((target, index) => {
+    const isSharedTarget = target.getAttribute('data-shared-target') === 'true';
+    const targetIndex = target.components['mindar-image-target']?.data.targetIndex ?? index;
+    const modelId = mlRegistry?.getModelId(targetIndex) ?? null;
+
     // Target found
     target.addEventListener('targetFound', async (event) => {
       console.log(`Target ${index} found`);
-      trackingIndicator.classList.remove('hidden');
+      visibleTargets.add(index);
+      updateTrackingState();
+      dataCollector?.onTargetFound(index, target, targetIndex);
 
-      // Run ML classification if ready
-      if (mlReady && mlClassifier && !detectionInProgress) {
-        detectionInProgress = true;
+      const session = getTargetSession(index, targetIndex);
+
+      // Run ML classification if this target has a model
+      // (each target classifies independently - other tracked targets don't block it)
+      if (mlReady && modelId && !session.detecting) {
+        session.detecting = true;
 
         // Small delay to ensure stable tracking
         setTimeout(async () => {
+          let mlClassifier = null;
+
           try {
+            // Lazily loaded on the first targetFound of this target family
+            mlClassifier = await loadClassifier(targetIndex);
+            if (!mlClassifier || !visibleTargets.has(index)) {
+              return;
+            }
+
             const videoElement = document.querySelector('video');
 
             if (!videoElement || videoElement.readyState < 2) {
               console.warn('⚠️ Video not ready for ML classification');
-              detectionInProgress = false;
               return;
             }
 
-            console.log('🤖 Running ML classification to identify product...');
-
-            const result = await mlClassifier.classifyProduct(videoElement);
-
-            if (result && result.confidence >= mlClassifier.config.confidenceThreshold) {
-              console.log(`✅ Product identified: ${result.productId} (${result.label}) - ${(result.confidence * 100).toFixed(1)}%`);
-
-              // Find the matched product
-              const matchedProduct = window.arConfig.products.find(p => p.id === result.productId);
-
-              if (matchedProduct) {
-                currentProduct = matchedProduct;
-
-                // Update tracking indicator with product name
-                const trackingText = trackingIndicator.querySelector('.text');
-                if (trackingText) {
-                  trackingText.textContent = `Tracking: ${matchedProduct.name}`;
-                }
-
-                // Dispatch custom event for product identification
-                window.dispatchEvent(new CustomEvent('product-identified', {
-                  detail: {
-                    product: matchedProduct,
-                    confidence: result.confidence,
-                    label: result.label,
-                    inferenceTime: result.inferenceTime,
-                    targetIndex: index
-                  }
-                }));
-
-                // Call product found handler if available
-                if (window.arConfig.onProductFound) {
-                  window.arConfig.onProductFound(matchedProduct);
-                }
-              }
+            console.log(`🤖 Running ML classification (model "${modelId}") to identify product...`);
+
+            // Vote across several frames unless disabled in CONFIG.ml.voting
+            let result = mlClassifier.config.voting.enabled
+              ? await mlClassifier.classifyWithVoting(videoElement, {
+                  targetEntity: target,
+                  isCancelled: () => !visibleTargets.has(index)
+                })
+              : await mlClassifier.classifyProduct(videoElement, { targetEntity: target });
+
+            // Read the printed variant name when the image alone isn't conclusive
+            const targetProducts = window.arConfig.products.filter(p => p.targetIndex === targetIndex);
+            if (ocrVerifier && visibleTargets.has(index) && ocrVerifier.shouldVerify(result, targetProducts)) {
+              result = await ocrVerifier.verify(result, mlClassifier, videoElement, target, targetProducts);
+            }
+
+            if (!visibleTargets.has(index)) {
+              return; // Lost while classifying
+            }
+
+            if (result && result.unknown) {
+              reportUnrecognized(result, index, target);
+            } else if (result && result.confidence >= result.threshold) {
+              identifyProduct(result, index);
             } else if (result) {
               console.log(`⚠️ Low confidence: ${result.label} (${(result.confidence * 100).toFixed(1)}%)`);
-              console.log('   Threshold:', (mlClassifier.config.confidenceThreshold * 100).toFixed(0) + '%');
+              console.log('   Threshold:', (mlClassifier.getThreshold(result.label) * 100).toFixed(0) + '%');
             } else {
               console.warn('⚠️ No product match found');
             }
           } catch (error) {
             console.error('❌ Error during ML classification:', error);
           } finally {
-            detectionInProgress = false;
+            session.detecting = false;
+
+            // Keep checking shared targets in case the first guess was wrong
+            // or the product was swapped without losing tracking
+            if (mlClassifier && isSharedTarget && visibleTargets.has(index)) {
+              startReclassification(index, target, mlClassifier);
+            }
           }
         }, 500); // 500ms delay for stable tracking
       }
@@ -218,32 +499,222 @@ function setupMLEventListeners() {
     // Target lost
     target.addEventListener('targetLost', (event) => {
       console.log(`Target ${index} lost`);
-      trackingIndicator.classList.add('hidden');
-
-      // Reset tracking indicator text
-      const trackingText = trackingIndicator.querySelector('.text');
-      if (trackingText) {
-        trackingText.textContent = 'Tracking';
+      visibleTargets.delete(index);
+      updateTrackingState();
+      stopReclassification(index);
+      dataCollector?.onTargetLost(index);
+
+      // Only this target's product - others stay tracked
+      const session = targetSessions.get(index);
+      targetSessions.delete(index);
+
+      // Call product lost handler if ML identified a product here
+      if (session?.product && window.arConfig.onProductLost) {
+        window.arConfig.onProductLost(session.product);
       }
 
-      // Clear detection state
-      detectionInProgress = false;
-
-      // Call product lost handler if available
-      if (currentProduct && window.arConfig.onProductLost) {
-        window.arConfig.onProductLost(currentProduct);
-      }
-
-      currentProduct = null;
-
       // Dispatch custom event
       window.dispatchEvent(new CustomEvent('product-lost', {
-        detail: { targetIndex: index }
+        detail: { targetIndex: targetIndex, product: session?.product || null }
       }));
     });
   });
 }
 
+// Accept an ML result as the product for this target
+function identifyProduct(result, index) {
+  console.log(`✅ Product identified: ${result.productId} (${result.label}) - ${(result.confidence * 100).toFixed(1)}%`);
+
+  // Find the matched product
+  const matchedProduct = window.arConfig.products.find(p => p.id === result.productId);
+
+  const session = targetSessions.get(index);
+  if (!matchedProduct || !session) {
+    return;
+  }
+
+  session.product = matchedProduct;
+
+  // Dispatch custom event for product identification
+  window.dispatchEvent(new CustomEvent('product-identified', {
+    detail: {
+      product: matchedProduct,
+      confidence: result.confidence,
+      label: result.label,
+      inferenceTime: result.inferenceTime,
+      voting: result.voting || null,
+      verifiedBy: result.verifiedBy || 'ml',
+      targetIndex: session.targetIndex
+    }
+  }));
+
+  // Shared targets show the product from product-identified (config-loader.js)
+  const target = document.querySelectorAll('[mindar-image-target]')[index];
+  if (target?.getAttribute('data-shared-target') !== 'true' && window.arConfig.onProductFound) {
+    window.arConfig.onProductFound(matchedProduct);
+  }
+}
+
+// Report a target whose package doesn't match any trained product
+function reportUnrecognized(result, index, target) {
+  console.log(`❓ Product unrecognized (${result.reason}) - top guess ${result.label} ${(result.confidence * 100).toFixed(1)}%`);
+
+  const session = targetSessions.get(index);
+  if (session) {
+    session.product = null;
+  }
+
+  // Config loader hides the models and shows the fallback UI
+  window.dispatchEvent(new CustomEvent('product-unrecognized', {
+    detail: {
+      reason: result.reason,
+      label: result.label,
+      confidence: result.confidence,
+      margin: result.margin,
+      entropy: result.entropy,
+      targetIndex: session?.targetIndex ?? index,
+      targetEntity: target
+    }
+  }));
+}
+
+// ============================================================================
+// CONTINUOUS RE-CLASSIFICATION
+// ============================================================================
+// While a shared target stays tracked, keep classifying every
+// throttleInterval ms. A different product only replaces the current one
+// after winning switchFrames classifications in a row with at least
+// its label's threshold + switchMargin (hysteresis against flicker).
+
+const reclassificationLoops = new Map(); // targetIndex -> { classifier, timer, candidateId, candidateCount }
+
+function startReclassification(index, target, mlClassifier) {
+  const settings = mlClassifier.config.reclassification;
+
+  if (!settings.enabled || reclassificationLoops.has(index)) {
+    return;
+  }
+
+  const loop = { classifier: mlClassifier, timer: null, candidateId: null, candidateCount: 0 };
+  reclassificationLoops.set(index, loop);
+
+  const tick = async () => {
+    if (!visibleTargets.has(index) || reclassificationLoops.get(index) !== loop) {
+      return;
+    }
+
+    try {
+      const videoElement = document.querySelector('video');
+
+      // Nothing identified yet - vote like the first attempt instead of trusting one frame
+      const session = targetSessions.get(index);
+      const identifying = !session?.product && mlClassifier.config.voting.enabled;
+
+      let result = null;
+      if (videoElement && identifying) {
+        result = await mlClassifier.classifyWithVoting(videoElement, {
+          targetEntity: target,
+          isCancelled: () => !visibleTargets.has(index) || reclassificationLoops.get(index) !== loop
+        });
+      } else if (videoElement) {
+        result = await mlClassifier.classifyProduct(videoElement, { targetEntity: target });
+      }
+
+      // Target may have been lost while the model was running
+      if (result && visibleTargets.has(index)) {
+        handleReclassification(result, index, loop);
+      }
+    } catch (error) {
+      console.error('❌ Error during ML re-classification:', error);
+    }
+
+    if (reclassificationLoops.get(index) === loop) {
+      loop.timer = setTimeout(tick, mlClassifier.config.throttleInterval);
+    }
+  };
+
+  loop.timer = setTimeout(tick, mlClassifier.config.throttleInterval);
+  console.log(`🔁 Re-classification started for target ${index} (every ${mlClassifier.config.throttleInterval}ms)`);
+}
+
+function stopReclassification(index) {
+  const loop = reclassificationLoops.get(index);
+
+  if (loop) {
+    clearTimeout(loop.timer);
+    reclassificationLoops.delete(index);
+    console.log(`⏹️ Re-classification stopped for target ${index}`);
+  }
+}
+
+function handleReclassification(result, index, loop) {
+  const mlClassifier = loop.classifier;
+  const settings = mlClassifier.config.reclassification;
+
+  // Unrecognized packages never replace or confirm a product
+  if (result.unknown) {
+    return;
+  }
+
+  const session = targetSessions.get(index);
+  if (!session) {
+    return;
+  }
+
+  // Nothing identified yet (first attempt was inconclusive) - the loop voted
+  // on this result (see startReclassification), so accept it directly
+  if (!session.product) {
+    identifyProduct(result, index);
+    return;
+  }
+
+  // Current product confirmed - reset any pending switch
+  if (result.productId === session.product.id) {
+    loop.candidateId = null;
+    loop.candidateCount = 0;
+    return;
+  }
+
+  // Challenger must clear the threshold by a margin to count
+  if (result.confidence < mlClassifier.getThreshold(result.label) + settings.switchMargin) {
+    return;
+  }
+
+  if (loop.candidateId === result.productId) {
+    loop.candidateCount++;
+  } else {
+    loop.candidateId = result.productId;
+    loop.candidateCount = 1;
+  }
+
+  if (loop.candidateCount < settings.switchFrames) {
+    return;
+  }
+
+  const newProduct = window.arConfig.products.find(p => p.id === result.productId);
+  if (!newProduct) {
+    return;
+  }
+
+  const previousProduct = session.product;
+  session.product = newProduct;
+  loop.candidateId = null;
+  loop.candidateCount = 0;
+
+  console.log(`🔄 Product changed: ${previousProduct.name} → ${newProduct.name} (${(result.confidence * 100).toFixed(1)}%)`);
+
+  // Config loader swaps the visible model and product UI
+  window.dispatchEvent(new CustomEvent('product-changed', {
+    detail: {
+      product: newProduct,
+      previousProduct: previousProduct,
+      confidence: result.confidence,
+      label: result.label,
+      targetIndex: session.targetIndex
+    }
+  }));
+}
+
 // Handle errors
 window.addEventListener('error', (event) => {
   console.error('Error:', event.error);
@@ -254,42 +725,6 @@ window.addEventListener('error', (event) => {
   }
 });
 
-// Handle camera permissions and wait for video to be ready
-navigator.mediaDevices?.getUserMedia({ video: true })
-  .then((stream) => {
-    console.log('📹 Camera permission granted');
-
-    // Wait for video element to be created and ready
-    const waitForVideo = setInterval(() => {
-      const videoElement = document.querySelector('video');
-
-      if (videoElement && videoElement.readyState >= 2) {
-        console.log('✅ Camera video stream ready');
-        clearInterval(waitForVideo);
-        cameraReady = true;
-        tryStartAR();
-
-        // Stop the test stream since A-Frame will create its own
-        stream.getTracks().forEach(track => track.stop());
-      }
-    }, 100);
-
-    // Timeout after 10 seconds
-    setTimeout(() => {
-      clearInterval(waitForVideo);
-      if (!cameraReady) {
-        console.warn('⚠️ Camera video timeout, starting anyway');
-        cameraReady = true;
-        tryStartAR();
-        stream.getTracks().forEach(track => track.stop());
-      }
-    }, 10000);
-  })
-  .catch((err) => {
-    console.error('❌ Camera permission denied:', err);
-    alert('Camera access is required for AR experience. Please enable camera permissions.');
-  });
-
 // Prevent accidental page refresh on mobile
 let touchStartY = 0;
 document.addEventListener('touchstart', (e) => {
@@ -308,10 +743,15 @@ document.addEventListener('touchmove', (e) => {
 
 // Cleanup on page unload
 window.addEventListener('beforeunload', async () => {
-  if (mlClassifier && mlClassifier.cleanup) {
-    await mlClassifier.cleanup();
+  if (mlRegistry) {
+    await mlRegistry.cleanup();
+  }
+  if (ocrVerifier) {
+    await ocrVerifier.cleanup();
   }
 });
 
+startAR();
+
 // Log when AR system is ready
 console.log('AR Experience script loaded');
@@ -0,0 +1,174 @@
+// ============================================================================
+// AR LIFECYCLE - Startup / tracking state machine for app.js
+// ============================================================================
+// States (in startup order):
+//
+//   idle → loading-config → camera-permission → starting-tracker → loading-ml → scanning ⇄ tracking
+//
+//   idle               Script loaded, nothing started
+//   loading-config     Waiting for the A-Frame scene and ar-config-ready
+//   camera-permission  Asking for camera access (getUserMedia)
+//   starting-tracker   MindAR starting - ends on its arReady event
+//   loading-ml         ML runtime loading (main-thread fallback only)
+//   scanning           Camera and tracking running, no target visible
+//   tracking           At least one target visible
+//   paused             Camera released (page hidden or pauseAR())
+//   error              Startup failed (state.error has the cause)
+//
+//   scanning / tracking → paused → camera-permission → ... → scanning (resume)
+//   error → camera-permission → ... (restart; loading-ml is skipped once done)
+//
+// Every transition dispatches `ar-state-change` on window with
+// { state, previousState, error, ...detail }. Any state can go to error.
+// ============================================================================
+
+const AR_TRANSITIONS = {
+  'idle': ['loading-config'],
+  'loading-config': ['camera-permission'],
+  'camera-permission': ['starting-tracker'],
+  'starting-tracker': ['loading-ml', 'scanning'],
+  'loading-ml': ['scanning'],
+  'scanning': ['tracking', 'paused'],
+  'tracking': ['scanning', 'paused'],
+  'paused': ['camera-permission'],
+  'error': ['camera-permission']
+};
+
+class ARLifecycle {
+  constructor() {
+    this.state = 'idle';
+    this.error = null;
+    this.history = [{ state: 'idle', time: performance.now() }];
+  }
+
+  /**
+   * Current state
+   * @returns {string}
+   */
+  getState() {
+    return this.state;
+  }
+
+  /**
+   * Check if the current state is one of the given states
+   * @param {...string} states - State names
+   * @returns {boolean}
+   */
+  is(...states) {
+    return states.includes(this.state);
+  }
+
+  /**
+   * Check if a transition is allowed from the current state
+   * @param {string} state - Target state
+   * @returns {boolean}
+   */
+  canTransition(state) {
+    return state === 'error' || (AR_TRANSITIONS[this.state] || []).includes(state);
+  }
+
+  /**
+   * Move to a new state and dispatch ar-state-change
+   * @param {string} state - Target state
+   * @param {Object} detail - Extra event detail
+   * @returns {boolean} - false if the transition isn't allowed (state unchanged)
+   */
+  transition(state, detail = {}) {
+    if (!this.canTransition(state)) {
+      console.warn(`⚠️ Invalid AR state transition: ${this.state} → ${state}`);
+      return false;
+    }
+
+    const previousState = this.state;
+    this.state = state;
+    this.history.push({ state, time: performance.now() });
+
+    console.log(`🔀 AR state: ${previousState} → ${state}`);
+
+    window.dispatchEvent(new CustomEvent('ar-state-change', {
+      detail: { state, previousState, error: this.error, ...detail }
+    }));
+
+    return true;
+  }
+
+  /**
+   * Move to the error state
+   * @param {Error} error - Cause
+   * @param {Object} detail - Extra event detail (e.g. the state that failed)
+   */
+  fail(error, detail = {}) {
+    if (this.state === 'error') {
+      return;
+    }
+
+    this.error = error;
+    this.transition('error', { failedState: this.state, ...detail });
+  }
+
+  /**
+   * Forget the last error before a restart
+   */
+  clearError() {
+    this.error = null;
+  }
+
+  // ============================================================================
+  // READINESS SIGNALS
+  // ============================================================================
+
+  /**
+   * Resolve on the next `eventName` from `target`
+   * @param {EventTarget} target - Element or window
+   * @param {string} eventName - Event that signals readiness
+   * @param {Object} options - { errorEvent: event that rejects, timeout: ms (0 = none) }
+   * @returns {Promise<Event>}
+   */
+  static waitForEvent(target, eventName, options = {}) {
+    const { errorEvent = null, timeout = 0 } = options;
+
+    return new Promise((resolve, reject) => {
+      let timer = null;
+
+      const cleanup = () => {
+        clearTimeout(timer);
+        target.removeEventListener(eventName, onEvent);
+        if (errorEvent) {
+          target.removeEventListener(errorEvent, onError);
+        }
+      };
+
+      const onEvent = (event) => {
+        cleanup();
+        resolve(event);
+      };
+
+      const onError = (event) => {
+        cleanup();
+        const cause = event.detail?.error;
+        reject(cause instanceof Error ? cause : new Error(`${errorEvent}${cause ? ` (${cause})` : ''}`));
+      };
+
+      target.addEventListener(eventName, onEvent);
+      if (errorEvent) {
+        target.addEventListener(errorEvent, onError);
+      }
+
+      if (timeout > 0) {
+        timer = setTimeout(() => {
+          cleanup();
+          reject(new Error(`Timed out after ${timeout}ms waiting for ${eventName}`));
+        }, timeout);
+      }
+    });
+  }
+}
+
+// ============================================================================
+// EXPORT
+// ============================================================================
+
+// Make available globally
+window.ARLifecycle = ARLifecycle;
+
+console.log('✅ ARLifecycle module loaded');
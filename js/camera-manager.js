@@ -0,0 +1,369 @@
+// ============================================================================
+// CAMERA MANAGER - Camera selection, resolution, torch and zoom
+// ============================================================================
+// MindAR opens the camera itself with only `facingMode: 'environment'`, so on
+// phones with several rear lenses it may pick the wide-angle one. Instead,
+// app.js opens the stream here (chosen device + resolution from
+// CONFIG.camera) during the camera-permission step and hands it over to
+// MindAR: handOver() answers MindAR's next getUserMedia() call with that
+// stream.
+//
+// The settings panel (⚙️ button) lists the video inputs and shows torch and
+// zoom controls where MediaStreamTrack.getCapabilities() reports them. The
+// chosen device and zoom are remembered in localStorage. Picking another
+// camera dispatches `camera-device-change`; app.js restarts AR with it.
+// ============================================================================
+
+class CameraManager {
+  constructor(options = {}) {
+    this.config = {
+      facingMode: 'environment', // Used until a device is chosen (or if it's gone)
+      width: 1280,               // Ideal resolution - the browser picks the closest
+      height: 720,
+      rememberDevice: true,      // Keep the chosen camera and zoom in localStorage
+      showControls: true,        // ⚙️ settings panel
+      storageKey: 'ar-camera-settings',
+      ...(window.CONFIG?.camera || {}),
+      ...options
+    };
+
+    this.settings = this.loadSettings(); // { deviceId, zoom }
+    this.stream = null;
+    this.track = null;
+    this.torchOn = false;
+    this.devices = [];
+
+    this.originalGetUserMedia = null; // Set while handOver() is pending
+    this.panel = null;
+  }
+
+  // ============================================================================
+  // STREAM
+  // ============================================================================
+
+  /**
+   * Open the camera with the chosen device and resolution
+   * Falls back to facingMode if the remembered device is no longer available
+   * @returns {Promise<MediaStream>}
+   * @throws {DOMException} - NotAllowedError, NotFoundError, ... from getUserMedia
+   */
+  async open() {
+    if (!navigator.mediaDevices?.getUserMedia) {
+      throw new Error('Camera API not available (HTTPS required)');
+    }
+
+    this.release();
+
+    const resolution = {
+      width: { ideal: this.config.width },
+      height: { ideal: this.config.height }
+    };
+
+    try {
+      this.stream = await navigator.mediaDevices.getUserMedia({
+        audio: false,
+        video: this.settings.deviceId
+          ? { deviceId: { exact: this.settings.deviceId }, ...resolution }
+          : { facingMode: this.config.facingMode, ...resolution }
+      });
+    } catch (error) {
+      if (!this.settings.deviceId || !['OverconstrainedError', 'NotFoundError'].includes(error.name)) {
+        throw error;
+      }
+
+      console.warn('⚠️ Saved camera not available, using default');
+      this.saveSettings({ deviceId: null });
+      this.stream = await navigator.mediaDevices.getUserMedia({
+        audio: false,
+        video: { facingMode: this.config.facingMode, ...resolution }
+      });
+    }
+
+    this.track = this.stream.getVideoTracks()[0];
+    this.torchOn = false;
+
+    const { width, height, deviceId } = this.track.getSettings();
+    console.log(`📹 Camera opened: ${this.track.label || deviceId} (${width}x${height})`);
+
+    // Labels are only available once permission is granted
+    await this.updateDevices();
+
+    if (this.settings.zoom != null && this.getCapabilities().zoom) {
+      await this.setZoom(this.settings.zoom);
+    }
+
+    this.render();
+    return this.stream;
+  }
+
+  /**
+   * Answer MindAR's next getUserMedia() call with the opened stream
+   * (call right before arSystem.start())
+   */
+  handOver() {
+    if (!this.stream) {
+      return;
+    }
+
+    this.restoreGetUserMedia();
+
+    const mediaDevices = navigator.mediaDevices;
+    const stream = this.stream;
+    this.originalGetUserMedia = mediaDevices.getUserMedia;
+
+    mediaDevices.getUserMedia = (constraints) => {
+      const original = this.originalGetUserMedia;
+      this.restoreGetUserMedia();
+      return constraints?.video ? Promise.resolve(stream) : original.call(mediaDevices, constraints);
+    };
+  }
+
+  /**
+   * Undo a pending handOver()
+   */
+  restoreGetUserMedia() {
+    if (this.originalGetUserMedia) {
+      navigator.mediaDevices.getUserMedia = this.originalGetUserMedia;
+      this.originalGetUserMedia = null;
+    }
+  }
+
+  /**
+   * Stop the stream (MindAR stops it too when it's stopped - this is safe to repeat)
+   */
+  release() {
+    this.restoreGetUserMedia();
+
+    if (this.stream) {
+      this.stream.getTracks().forEach(track => track.stop());
+      this.stream = null;
+      this.track = null;
+      this.torchOn = false;
+    }
+  }
+
+  // ============================================================================
+  // DEVICES & CONTROLS
+  // ============================================================================
+
+  /**
+   * Refresh the list of video inputs
+   * @returns {Promise<Array<MediaDeviceInfo>>}
+   */
+  async updateDevices() {
+    try {
+      const devices = await navigator.mediaDevices.enumerateDevices();
+      this.devices = devices.filter(device => device.kind === 'videoinput');
+    } catch (error) {
+      console.warn('⚠️ Could not list cameras:', error.message);
+      this.devices = [];
+    }
+    return this.devices;
+  }
+
+  /**
+   * Switch to another camera (app.js restarts AR on camera-device-change)
+   * @param {string} deviceId - MediaDeviceInfo.deviceId
+   */
+  selectDevice(deviceId) {
+    if (deviceId === this.getActiveDeviceId()) {
+      return;
+    }
+
+    // Zoom ranges differ per lens
+    this.saveSettings({ deviceId: deviceId, zoom: null });
+
+    window.dispatchEvent(new CustomEvent('camera-device-change', {
+      detail: { deviceId }
+    }));
+  }
+
+  /**
+   * Device ID of the open stream (or the saved one)
+   * @returns {string|null}
+   */
+  getActiveDeviceId() {
+    return this.track?.getSettings().deviceId || this.settings.deviceId || null;
+  }
+
+  /**
+   * Torch / zoom support of the open track
+   * @returns {Object} - { torch: boolean, zoom: { min, max, step } | null }
+   */
+  getCapabilities() {
+    const capabilities = this.track?.getCapabilities ? this.track.getCapabilities() : {};
+
+    return {
+      torch: capabilities.torch === true,
+      zoom: capabilities.zoom && capabilities.zoom.max > capabilities.zoom.min
+        ? { min: capabilities.zoom.min, max: capabilities.zoom.max, step: capabilities.zoom.step || 0.1 }
+        : null
+    };
+  }
+
+  /**
+   * Turn the torch (flashlight) on or off
+   * @param {boolean} on
+   * @returns {Promise<boolean>} - false if unsupported or rejected
+   */
+  async setTorch(on) {
+    if (!this.getCapabilities().torch) {
+      return false;
+    }
+
+    try {
+      await this.track.applyConstraints({ advanced: [{ torch: on }] });
+      this.torchOn = on;
+      return true;
+    } catch (error) {
+      console.warn('⚠️ Torch not applied:', error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Set the zoom level (clamped to the track's range)
+   * @param {number} value - Zoom factor
+   * @returns {Promise<boolean>} - false if unsupported or rejected
+   */
+  async setZoom(value) {
+    const zoom = this.getCapabilities().zoom;
+    if (!zoom) {
+      return false;
+    }
+
+    const clamped = Math.min(zoom.max, Math.max(zoom.min, Number(value)));
+
+    try {
+      await this.track.applyConstraints({ advanced: [{ zoom: clamped }] });
+      this.saveSettings({ zoom: clamped });
+      return true;
+    } catch (error) {
+      console.warn('⚠️ Zoom not applied:', error.message);
+      return false;
+    }
+  }
+
+  // ============================================================================
+  // SETTINGS
+  // ============================================================================
+
+  /**
+   * Read remembered settings (empty in private mode / when disabled)
+   * @returns {Object} - { deviceId, zoom }
+   */
+  loadSettings() {
+    if (!this.config.rememberDevice) {
+      return { deviceId: null, zoom: null };
+    }
+
+    try {
+      return { deviceId: null, zoom: null, ...JSON.parse(localStorage.getItem(this.config.storageKey) || '{}') };
+    } catch (error) {
+      return { deviceId: null, zoom: null };
+    }
+  }
+
+  /**
+   * Update and persist settings
+   * @param {Object} changes - { deviceId?, zoom? }
+   */
+  saveSettings(changes) {
+    this.settings = { ...this.settings, ...changes };
+
+    if (!this.config.rememberDevice) {
+      return;
+    }
+
+    try {
+      localStorage.setItem(this.config.storageKey, JSON.stringify(this.settings));
+    } catch (error) {
+      // Storage unavailable (private mode) - settings last for this session only
+    }
+  }
+
+  // ============================================================================
+  // UI
+  // ============================================================================
+
+  /**
+   * Create the ⚙️ button and settings panel (styles in css/styles.css)
+   */
+  createPanel() {
+    if (this.panel || !this.config.showControls) {
+      return;
+    }
+
+    this.panel = document.createElement('div');
+    this.panel.id = 'camera-settings';
+    this.panel.innerHTML = `
+      <button type="button" class="cs-toggle" aria-label="Camera settings">⚙️</button>
+      <div class="cs-body hidden">
+        <label class="cs-row">Camera
+          <select class="cs-device"></select>
+        </label>
+        <label class="cs-row cs-zoom-row">Zoom
+          <input type="range" class="cs-zoom">
+        </label>
+        <button type="button" class="cs-torch">🔦 Torch</button>
+      </div>
+    `;
+
+    const body = this.panel.querySelector('.cs-body');
+    this.panel.querySelector('.cs-toggle').addEventListener('click', () => body.classList.toggle('hidden'));
+    this.panel.querySelector('.cs-device').addEventListener('change', (event) => this.selectDevice(event.target.value));
+    this.panel.querySelector('.cs-zoom').addEventListener('input', (event) => this.setZoom(event.target.value));
+    this.panel.querySelector('.cs-torch').addEventListener('click', async () => {
+      await this.setTorch(!this.torchOn);
+      this.render();
+    });
+
+    document.body.appendChild(this.panel);
+    this.render();
+  }
+
+  /**
+   * Update the panel for the open track
+   */
+  render() {
+    if (!this.panel) {
+      return;
+    }
+
+    const select = this.panel.querySelector('.cs-device');
+    const activeId = this.getActiveDeviceId();
+    select.innerHTML = '';
+    this.devices.forEach((device, i) => {
+      const option = document.createElement('option');
+      option.value = device.deviceId;
+      option.textContent = device.label || `Camera ${i + 1}`;
+      option.selected = device.deviceId === activeId;
+      select.appendChild(option);
+    });
+    select.disabled = this.devices.length < 2;
+
+    const { torch, zoom } = this.getCapabilities();
+
+    const zoomInput = this.panel.querySelector('.cs-zoom');
+    this.panel.querySelector('.cs-zoom-row').classList.toggle('hidden', !zoom);
+    if (zoom) {
+      zoomInput.min = zoom.min;
+      zoomInput.max = zoom.max;
+      zoomInput.step = zoom.step;
+      zoomInput.value = this.track.getSettings().zoom ?? zoom.min;
+    }
+
+    const torchButton = this.panel.querySelector('.cs-torch');
+    torchButton.classList.toggle('hidden', !torch);
+    torchButton.classList.toggle('active', this.torchOn);
+  }
+}
+
+// ============================================================================
+// EXPORT
+// ============================================================================
+
+// Make available globally
+window.CameraManager = CameraManager;
+
+console.log('✅ CameraManager module loaded');
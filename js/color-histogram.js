@@ -0,0 +1,271 @@
+// ============================================================================
+// COLOR HISTOGRAM MATCHER - Lightweight colour model for the ML ensemble
+// ============================================================================
+// Variants that share a target often differ mostly by dominant colour. This
+// compares the hue histogram of the (cropped) frame with a reference
+// histogram per product label. MLClassifier fuses the scores with the neural
+// model's probabilities (CONFIG.ml.ensemble).
+//
+// Histogram: `hueBins` hue bins for coloured pixels + 3 brightness bins
+// (dark / mid / light) for greys, L1-normalized. Similarity is histogram
+// intersection (0-1).
+//
+// Reference per product (first available, see `reference`):
+// - ml.palette: ["#00B4D8", "#0077B6"]   explicit colours
+// - target.imagePreview                   histogram of the product photo
+// - ui.colors.primary / secondary         brand colours
+// ============================================================================
+
+class ColorHistogramMatcher {
+  constructor(options = {}) {
+    this.config = {
+      hueBins: 12,           // Hue resolution (30° per bin)
+      minSaturation: 0.2,    // Below this a pixel counts as grey
+      minValue: 0.15,        // Below this a pixel counts as dark
+      sampleSize: 64,        // Frames are downscaled to this before counting
+      reference: 'auto',     // 'auto' | 'palette' | 'image' | 'colors'
+      ...options
+    };
+
+    this.canvas = document.createElement('canvas');
+    this.canvas.width = this.config.sampleSize;
+    this.canvas.height = this.config.sampleSize;
+    this.context = this.canvas.getContext('2d', { willReadFrequently: true });
+
+    this.references = {}; // label -> histogram
+  }
+
+  // ============================================================================
+  // REFERENCES
+  // ============================================================================
+
+  /**
+   * Build a reference histogram for every product with an ML label
+   * @param {Array} products - Products classified by this model
+   * @returns {Promise<Object>} - { label: source } of the references built
+   */
+  async initialize(products) {
+    const sources = {};
+
+    for (const product of products) {
+      const label = product.ml?.label;
+      if (!label || this.references[label]) {
+        continue;
+      }
+
+      const reference = await this.createReference(product);
+      if (reference) {
+        this.references[label] = reference.histogram;
+        sources[label] = reference.source;
+      } else {
+        console.warn(`⚠️ No colour reference for ${product.id} (${label})`);
+      }
+    }
+
+    console.log('🎨 Colour references:', sources);
+    return sources;
+  }
+
+  /**
+   * Reference histogram for one product, trying sources in priority order
+   * @param {Object} product - Product config
+   * @returns {Promise<Object|null>} - { histogram, source }
+   */
+  async createReference(product) {
+    const mode = this.config.reference;
+    const palette = product.ml?.palette;
+    const imageURL = product.target?.imagePreview;
+    const brandColors = [product.ui?.colors?.primary, product.ui?.colors?.secondary].filter(Boolean);
+
+    if ((mode === 'auto' || mode === 'palette') && palette?.length) {
+      return { histogram: this.fromColors(palette), source: 'palette' };
+    }
+
+    if ((mode === 'auto' || mode === 'image') && imageURL) {
+      try {
+        return { histogram: await this.fromImageURL(imageURL), source: 'image' };
+      } catch (error) {
+        console.warn(`⚠️ Colour reference image ${imageURL} failed (${error.message})`);
+      }
+    }
+
+    if ((mode === 'auto' || mode === 'colors') && brandColors.length > 0) {
+      return { histogram: this.fromColors(brandColors), source: 'colors' };
+    }
+
+    return null;
+  }
+
+  /**
+   * Histogram of an image file
+   * @param {string} url - Image URL
+   * @returns {Promise<Float32Array>}
+   */
+  async fromImageURL(url) {
+    const image = new Image();
+    image.crossOrigin = 'anonymous';
+    image.src = url;
+    await image.decode();
+    return this.compute(image);
+  }
+
+  /**
+   * Synthetic histogram from a list of colours (equal weight, hue smoothed
+   * into neighbouring bins so small shifts under store lighting still match)
+   * @param {Array<string>} colors - CSS hex / rgb() colours
+   * @returns {Float32Array}
+   */
+  fromColors(colors) {
+    const histogram = new Float32Array(this.config.hueBins + 3);
+
+    colors.forEach(color => {
+      const rgb = ColorHistogramMatcher.parseColor(color);
+      if (!rgb) {
+        return;
+      }
+
+      const bin = this.getBin(...rgb);
+      histogram[bin] += 1;
+
+      if (bin < this.config.hueBins) {
+        histogram[(bin + 1) % this.config.hueBins] += 0.5;
+        histogram[(bin + this.config.hueBins - 1) % this.config.hueBins] += 0.5;
+      }
+    });
+
+    return ColorHistogramMatcher.normalize(histogram);
+  }
+
+  // ============================================================================
+  // MATCHING
+  // ============================================================================
+
+  /**
+   * Colour score per reference label for a frame
+   * @param {HTMLVideoElement|HTMLCanvasElement} image - Frame or target crop
+   * @returns {Object} - { label: score }, scores sum to 1 (empty if no references)
+   */
+  match(image) {
+    const labels = Object.keys(this.references);
+    if (labels.length === 0) {
+      return {};
+    }
+
+    const histogram = this.compute(image);
+    const similarities = labels.map(label => ColorHistogramMatcher.intersection(histogram, this.references[label]));
+    const total = similarities.reduce((a, b) => a + b, 0);
+
+    const scores = {};
+    labels.forEach((label, i) => {
+      scores[label] = total > 0 ? similarities[i] / total : 1 / labels.length;
+    });
+    return scores;
+  }
+
+  /**
+   * Hue / grey histogram of an image (centre square, downscaled)
+   * @param {HTMLVideoElement|HTMLCanvasElement|HTMLImageElement} image - Source
+   * @returns {Float32Array} - L1-normalized histogram
+   */
+  compute(image) {
+    const width = image.videoWidth || image.naturalWidth || image.width;
+    const height = image.videoHeight || image.naturalHeight || image.height;
+    const side = Math.min(width, height);
+    const size = this.config.sampleSize;
+
+    this.context.drawImage(image, (width - side) / 2, (height - side) / 2, side, side, 0, 0, size, size);
+    const { data } = this.context.getImageData(0, 0, size, size);
+
+    const histogram = new Float32Array(this.config.hueBins + 3);
+    for (let i = 0; i < data.length; i += 4) {
+      histogram[this.getBin(data[i], data[i + 1], data[i + 2])]++;
+    }
+
+    return ColorHistogramMatcher.normalize(histogram);
+  }
+
+  /**
+   * Histogram bin of an RGB pixel
+   * @returns {number} - Hue bin, or hueBins + 0/1/2 for dark/mid/light grey
+   */
+  getBin(r, g, b) {
+    const max = Math.max(r, g, b);
+    const min = Math.min(r, g, b);
+    const value = max / 255;
+    const saturation = max === 0 ? 0 : (max - min) / max;
+
+    if (value < this.config.minValue) {
+      return this.config.hueBins;
+    }
+
+    if (saturation < this.config.minSaturation) {
+      return this.config.hueBins + (value < 0.6 ? 1 : 2);
+    }
+
+    const delta = max - min;
+    let hue;
+    if (max === r) {
+      hue = ((g - b) / delta + 6) % 6;
+    } else if (max === g) {
+      hue = (b - r) / delta + 2;
+    } else {
+      hue = (r - g) / delta + 4;
+    }
+
+    return Math.floor(hue / 6 * this.config.hueBins) % this.config.hueBins;
+  }
+
+  // ============================================================================
+  // HELPERS
+  // ============================================================================
+
+  /**
+   * Histogram intersection (1 = identical distributions)
+   */
+  static intersection(a, b) {
+    let sum = 0;
+    for (let i = 0; i < a.length; i++) {
+      sum += Math.min(a[i], b[i]);
+    }
+    return sum;
+  }
+
+  /**
+   * Scale a histogram to sum to 1
+   */
+  static normalize(histogram) {
+    const total = histogram.reduce((a, b) => a + b, 0);
+    return total > 0 ? histogram.map(v => v / total) : histogram;
+  }
+
+  /**
+   * Parse '#rgb', '#rrggbb' or 'rgb(a)(r, g, b, ...)'
+   * @param {string} color - CSS colour
+   * @returns {Array<number>|null} - [r, g, b]
+   */
+  static parseColor(color) {
+    const value = String(color).trim();
+
+    const hex = value.match(/^#([0-9a-f]{3}|[0-9a-f]{6})$/i);
+    if (hex) {
+      const digits = hex[1].length === 3 ? hex[1].split('').map(c => c + c).join('') : hex[1];
+      return [0, 2, 4].map(i => parseInt(digits.slice(i, i + 2), 16));
+    }
+
+    const rgb = value.match(/^rgba?\(\s*(\d+)\s*,\s*(\d+)\s*,\s*(\d+)/i);
+    if (rgb) {
+      return rgb.slice(1, 4).map(Number);
+    }
+
+    return null;
+  }
+}
+
+// ============================================================================
+// EXPORT
+// ============================================================================
+
+// Make available globally
+window.ColorHistogramMatcher = ColorHistogramMatcher;
+
+console.log('✅ ColorHistogramMatcher module loaded');
@@ -7,8 +7,11 @@ class ARConfigLoader {
   constructor() {
     this.products = [];
     this.globalSettings = {};
-    this.currentProduct = null;
+    this.mlModels = {}; // ML model registry entries (see ml-model-registry.js)
+    this.currentProduct = null; // Most recently found product (see getActiveProducts for all)
+    this.targetStates = new Map(); // targetIndex -> { product, status: 'searching' | 'identified' | 'unrecognized' }
     this.particleEffects = null; // Particle effects instance
+    this.mergedTargets = null; // { url, files } when products use several .mind files (see prepareTargets)
   }
 
   /**
@@ -23,12 +26,13 @@ class ARConfigLoader {
       const data = await response.json();
       this.products = data.products;
       this.globalSettings = data.globalSettings;
+      this.mlModels = data.mlModels || {};
 
       console.log('✅ Configuration loaded successfully');
       console.log(`📦 Products found: ${this.products.length}`);
 
-      // Validate configuration
-      this.validateTargets();
+      // Validate configuration and merge .mind files if needed
+      await this.prepareTargets();
 
       return data;
     } catch (error) {
@@ -59,17 +63,200 @@ class ARConfigLoader {
         console.log(`   ℹ️ Multiple products will be tracked from single .mind file`);
       }
     } else {
-      console.error('   ❌ Multiple different .mind files detected:');
+      console.log('   ℹ️ Multiple .mind files - targets will be merged at load time:');
       uniquePaths.forEach((path, i) => {
         const productsUsingThis = this.products.filter(p => p.target.imagePath === path);
-        console.error(`      ${i + 1}. ${path} (used by ${productsUsingThis.length} product(s))`);
+        console.log(`      ${i + 1}. ${path} (used by ${productsUsingThis.length} product(s))`);
       });
-      console.error('   ⚠️ MindAR can only load ONE .mind file at a time!');
-      console.error('   💡 Solution: Compile all product images into one combined .mind file');
-      console.error('   🔗 Use: https://hiukim.github.io/mind-ar-js-doc/tools/compile');
     }
   }
 
+  /**
+   * Validate targets and, if products use several .mind files, merge them
+   * into one (MindAR loads a single file) and remap each product's
+   * targetIndex from its own file to the merged one. The original index is
+   * kept in product.target.fileTargetIndex.
+   * Files with target.integrity or target.fallbackPaths are also fetched
+   * here (even a single one) so MindAR only ever parses bytes that were
+   * verified, and a broken URL falls through to the next - see fetchTargetFile.
+   * @throws {Error} - category 'mind-load' if a file can't be fetched or merged
+   */
+  async prepareTargets() {
+    this.validateTargets();
+
+    const uniquePaths = [...new Set(this.products.map(p => p.target.imagePath))];
+    const targets = uniquePaths.map(path => this.products.find(p => p.target.imagePath === path).target);
+    const verify = window.CONFIG?.targets?.verifyIntegrity !== false && targets.some(target => target.integrity);
+    const hasFallbacks = targets.some(target => target.fallbackPaths?.length > 0);
+
+    if (uniquePaths.length < 2 && !verify && !hasFallbacks) {
+      return;
+    }
+
+    let merged;
+    try {
+      const buffers = await Promise.all(targets.map(target => this.fetchTargetFile(target)));
+      merged = MindFileMerger.merge(buffers);
+    } catch (error) {
+      const mergeError = new Error(`Could not load .mind files: ${error.message}`);
+      mergeError.category = 'mind-load';
+      throw mergeError;
+    }
+
+    this.products.forEach(product => {
+      const file = uniquePaths.indexOf(product.target.imagePath);
+      const fileTargetIndex = product.target.fileTargetIndex ?? product.targetIndex;
+
+      if (fileTargetIndex >= merged.counts[file]) {
+        console.error(`❌ ${product.id}: targetIndex ${fileTargetIndex} but ${product.target.imagePath} has ${merged.counts[file]} target(s)`);
+      }
+
+      product.target.fileTargetIndex = fileTargetIndex;
+      product.targetIndex = merged.offsets[file] + fileTargetIndex;
+    });
+
+    this.releaseMergedTargets();
+    this.mergedTargets = {
+      url: URL.createObjectURL(new Blob([merged.data], { type: 'application/octet-stream' })),
+      files: uniquePaths.map((path, i) => ({ path, offset: merged.offsets[i], count: merged.counts[i] }))
+    };
+
+    console.log(`🧩 Loaded ${uniquePaths.length} .mind file(s) with ${merged.counts.reduce((a, b) => a + b, 0)} target(s)`);
+    this.mergedTargets.files.forEach(file => {
+      console.log(`   ${file.path} → targetIndex ${file.offset}-${file.offset + file.count - 1}`);
+    });
+  }
+
+  /**
+   * Fetch a .mind file, trying target.imagePath then target.fallbackPaths
+   * If target.integrity ({ size, sha256 }) is set, a file that doesn't match
+   * is rejected and retried (bypassing the cache) or the next URL is tried.
+   * Every file must also parse as a .mind file, so a corrupted copy without
+   * integrity data falls through to the next URL as well.
+   * Each failed attempt is reported through onTargetError.
+   * @param {Object} target - product.target
+   * @returns {Promise<ArrayBuffer>}
+   * @throws {Error} - If no URL returned a valid file
+   */
+  async fetchTargetFile(target) {
+    const urls = [...new Set([target.imagePath, ...(target.fallbackPaths || [])].filter(Boolean))];
+    const retries = window.CONFIG?.targets?.retries ?? 1;
+    const integrity = window.CONFIG?.targets?.verifyIntegrity !== false ? target.integrity : null;
+    let lastError = null;
+
+    for (const url of urls) {
+      for (let attempt = 0; attempt <= retries; attempt++) {
+        try {
+          const response = await fetch(url, { cache: attempt > 0 ? 'reload' : 'default' });
+          if (!response.ok) {
+            throw Object.assign(new Error(`HTTP ${response.status}`), { reason: 'http' });
+          }
+
+          const buffer = await response.arrayBuffer();
+          if (integrity) {
+            await this.verifyTargetFile(buffer, integrity);
+          }
+
+          try {
+            MindFileMerger.read(buffer);
+          } catch (error) {
+            throw Object.assign(new Error(`not a valid .mind file (${error.message})`), { reason: 'parse-error' });
+          }
+
+          if (url !== target.imagePath) {
+            console.warn(`⚠️ Loaded ${target.imagePath} from fallback ${url}`);
+          }
+          return buffer;
+        } catch (error) {
+          lastError = error;
+          console.warn(`⚠️ .mind file ${url} failed (attempt ${attempt + 1}): ${error.message}`);
+
+          this.onTargetError({
+            url: url,
+            attempt: attempt + 1,
+            reason: error.reason || 'network',
+            message: error.message,
+            expected: error.expected ?? null,
+            actual: error.actual ?? null,
+            productIds: this.products.filter(p => p.target.imagePath === target.imagePath).map(p => p.id)
+          });
+
+          // A missing file won't appear on retry
+          if (error.reason === 'http') {
+            break;
+          }
+        }
+      }
+    }
+
+    throw new Error(`${target.imagePath}: ${lastError?.message || 'no URL to load'}`);
+  }
+
+  /**
+   * Check a .mind file against its expected size and SHA-256
+   * The hash is skipped where crypto.subtle is unavailable (non-HTTPS dev servers)
+   * @param {ArrayBuffer} buffer - File contents
+   * @param {Object} integrity - { size, sha256 (hex) }
+   * @throws {Error} - reason 'size-mismatch' | 'hash-mismatch'
+   */
+  async verifyTargetFile(buffer, integrity) {
+    if (integrity.size && buffer.byteLength !== integrity.size) {
+      throw Object.assign(new Error(`size ${buffer.byteLength} bytes, expected ${integrity.size}`), {
+        reason: 'size-mismatch',
+        expected: integrity.size,
+        actual: buffer.byteLength
+      });
+    }
+
+    if (!integrity.sha256) {
+      return;
+    }
+
+    if (!window.crypto?.subtle) {
+      console.warn('⚠️ crypto.subtle unavailable - .mind hash not checked');
+      return;
+    }
+
+    const digest = await window.crypto.subtle.digest('SHA-256', buffer);
+    const hash = [...new Uint8Array(digest)].map(b => b.toString(16).padStart(2, '0')).join('');
+    const expected = integrity.sha256.toLowerCase();
+
+    if (hash !== expected) {
+      throw Object.assign(new Error(`SHA-256 ${hash.slice(0, 12)}…, expected ${expected.slice(0, 12)}…`), {
+        reason: 'hash-mismatch',
+        expected: expected,
+        actual: hash
+      });
+    }
+  }
+
+  /**
+   * Called for every failed .mind fetch / verification attempt
+   * (SupabaseConfigLoader reports these as target_error analytics events)
+   * @param {Object} detail - { url, attempt, reason, message, expected, actual, productIds }
+   */
+  onTargetError(detail) {
+    window.dispatchEvent(new CustomEvent('ar-target-error', { detail }));
+  }
+
+  /**
+   * Free the merged .mind blob (e.g. before reloading the configuration)
+   */
+  releaseMergedTargets() {
+    if (this.mergedTargets) {
+      URL.revokeObjectURL(this.mergedTargets.url);
+      this.mergedTargets = null;
+    }
+  }
+
+  /**
+   * .mind file MindAR should load (blob: URL of the merged file if any)
+   * @returns {string|null}
+   */
+  getTargetSrc() {
+    return this.mergedTargets?.url || this.products[0]?.target.imagePath || null;
+  }
+
   /**
    * Generate A-Frame scene based on configuration
    */
@@ -119,9 +306,50 @@ class ARConfigLoader {
       }
     });
 
+    // Track several targets at once (globalSettings.maxSimultaneousTargets)
+    // and load the merged .mind file if there is one
+    const mindARSettings = { maxTrack: this.getMaxTrack() };
+    if (this.mergedTargets) {
+      mindARSettings.imageTargetSrc = this.mergedTargets.url;
+    }
+    this.applyMindARSettings(scene, mindARSettings);
+    console.log(`🎯 Tracking up to ${mindARSettings.maxTrack} target(s) simultaneously`);
+
     console.log('Scene generated with', this.products.length, 'products');
   }
 
+  /**
+   * Number of targets MindAR tracks at once
+   * globalSettings.maxSimultaneousTargets, capped to the number of targets
+   * (1 if globalSettings.multipleTargets is false)
+   */
+  getMaxTrack() {
+    const targetCount = new Set(this.products.map(p => p.targetIndex)).size;
+    const configured = this.globalSettings?.multipleTargets === false
+      ? 1
+      : (this.globalSettings?.maxSimultaneousTargets ?? 1);
+
+    return Math.max(1, Math.min(configured, targetCount));
+  }
+
+  /**
+   * Update mindar-image settings before arSystem.start()
+   * The component only hands its data to mindar-image-system in init(), so
+   * the system is updated directly when the scene has already initialized
+   * @param {Element} scene - a-scene
+   * @param {Object} settings - e.g. { imageTargetSrc, maxTrack }
+   */
+  applyMindARSettings(scene, settings) {
+    Object.entries(settings).forEach(([key, value]) => {
+      scene.setAttribute('mindar-image', key, value);
+    });
+
+    const arSystem = scene.systems?.['mindar-image-system'];
+    if (arSystem) {
+      Object.assign(arSystem, settings);
+    }
+  }
+
   /**
    * Create assets element if it doesn't exist
    */
@@ -163,7 +391,8 @@ class ARConfigLoader {
 
   /**
    * Create shared target entity for multiple products
-   * Used when multiple products share the same targetIndex (OCR distinguishes them)
+   * Used when multiple products share the same targetIndex (ML classifier, optionally
+   * backed by the OCR verifier, distinguishes them)
    */
   createSharedTargetEntity(products, targetIndex) {
     const entity = document.createElement('a-entity');
@@ -178,7 +407,7 @@ class ARConfigLoader {
       model.setAttribute('position', `${product.model.position.x} ${product.model.position.y} ${product.model.position.z}`);
       model.setAttribute('rotation', `${product.model.rotation.x} ${product.model.rotation.y} ${product.model.rotation.z}`);
       model.setAttribute('scale', `${product.model.scale.x} ${product.model.scale.y} ${product.model.scale.z}`);
-      model.setAttribute('visible', 'false'); // Hide initially - OCR will show correct one
+      model.setAttribute('visible', 'false'); // Hide initially - ML will show correct one
       model.setAttribute('data-product-id', product.id);
 
       // Add animation if enabled
@@ -193,6 +422,7 @@ class ARConfigLoader {
     entity.addEventListener('targetFound', () => {
       console.log(`Shared target found (${products.length} possible products)`);
       console.log(`   Waiting for ML to identify which product...`);
+      this.setTargetState(Number(targetIndex), { product: null, status: 'searching' });
     });
 
     entity.addEventListener('targetLost', () => {
@@ -201,34 +431,82 @@ class ARConfigLoader {
       entity.querySelectorAll('a-gltf-model').forEach(model => {
         model.setAttribute('visible', 'false');
       });
+
+      // Remove fallback UI if this target was unrecognized
+      if (this.targetStates.get(Number(targetIndex))?.status === 'unrecognized') {
+        this.hideProductUI(Number(targetIndex));
+      }
+      this.setTargetState(Number(targetIndex), null);
     });
 
+    // Show a single product's model on this entity, hide the rest
+    const showProductModel = (product) => {
+      entity.querySelectorAll('a-gltf-model').forEach(model => {
+        model.setAttribute('visible', 'false');
+      });
+
+      const productModel = entity.querySelector(`[data-product-id="${product.id}"]`);
+      if (productModel) {
+        productModel.setAttribute('visible', 'true');
+      }
+    };
+
+    const isForThisTarget = (product) => {
+      const productIds = entity.getAttribute('data-product-ids').split(',');
+      return productIds.includes(product.id);
+    };
+
     // Listen for ML identification
     window.addEventListener('product-identified', (event) => {
       const identifiedProduct = event.detail.product;
 
       // Check if this event is for this target entity
-      const productIds = entity.getAttribute('data-product-ids').split(',');
-      if (!productIds.includes(identifiedProduct.id)) {
+      if (!isForThisTarget(identifiedProduct)) {
         return; // Not for this target
       }
 
       console.log(`✅ Shared target identified as: ${identifiedProduct.name}`);
 
-      // Hide all models
+      showProductModel(identifiedProduct);
+
+      // Show product UI
+      this.onProductFound(identifiedProduct);
+    });
+
+    // Listen for packages that don't match any trained variant
+    window.addEventListener('product-unrecognized', (event) => {
+      if (event.detail.targetEntity !== entity) {
+        return; // Not for this target
+      }
+
+      console.log(`❓ Shared target not recognized as any of: ${products.map(p => p.name).join(', ')}`);
+
+      // Never show a guessed model
       entity.querySelectorAll('a-gltf-model').forEach(model => {
         model.setAttribute('visible', 'false');
       });
 
-      // Show the identified product's model
-      const identifiedModel = entity.querySelector(`[data-product-id="${identifiedProduct.id}"]`);
-      if (identifiedModel) {
-        identifiedModel.setAttribute('visible', 'true');
+      this.setTargetState(Number(targetIndex), { product: null, status: 'unrecognized' });
+      this.onProductUnrecognized(event.detail);
+    });
+
+    // Listen for ML re-classification switching to a different variant
+    window.addEventListener('product-changed', (event) => {
+      const { product, previousProduct } = event.detail;
+
+      if (!isForThisTarget(product)) {
+        return; // Not for this target
       }
 
-      // Show product UI
-      this.currentProduct = identifiedProduct;
-      this.onProductFound(identifiedProduct);
+      console.log(`🔄 Shared target switched: ${previousProduct?.name} → ${product.name}`);
+
+      showProductModel(product);
+
+      // Swap product UI
+      if (previousProduct) {
+        this.onProductLost(previousProduct);
+      }
+      this.onProductFound(product);
     });
 
     return entity;
@@ -240,21 +518,23 @@ class ARConfigLoader {
   attachEventListeners(entity, product) {
     entity.addEventListener('targetFound', () => {
       console.log(`Product found: ${product.name}`);
-      this.currentProduct = product;
       this.onProductFound(product);
     });
 
     entity.addEventListener('targetLost', () => {
       console.log(`Product lost: ${product.name}`);
       this.onProductLost(product);
-      this.currentProduct = null;
     });
   }
 
   /**
    * Handle product found event
+   * Each tracked target has its own card; the edge glow follows the latest product
    */
   onProductFound(product) {
+    this.currentProduct = product;
+    this.setTargetState(product.targetIndex, { product, status: 'identified' });
+
     // Update UI
     if (product.interactions.onFound.showUI) {
       this.showProductUI(product);
@@ -265,28 +545,9 @@ class ARConfigLoader {
       this.playSound(product.interactions.onFound.soundPath);
     }
 
-    // Apply custom colors
-    this.applyProductColors(product.ui.colors);
-
     // Start edge glow if enabled for this product
     if (product.ui.edgeGlow?.enabled) {
-      if (!this.particleEffects) {
-        this.particleEffects = new ParticleEffects();
-      }
-
-      const options = {
-        glowIntensity: product.ui.edgeGlow.glowIntensity || 100,
-        glowOpacity: product.ui.edgeGlow.glowOpacity || 0.3
-      };
-
-      this.particleEffects.start(product.ui.colors.primary, options);
-    }
-
-    // Show tracking indicator
-    const trackingIndicator = document.getElementById('tracking-indicator');
-    if (trackingIndicator) {
-      trackingIndicator.classList.remove('hidden');
-      this.updateTrackingIndicator(product);
+      this.startEdgeGlow(product);
     }
 
     // Dispatch custom event
@@ -295,50 +556,179 @@ class ARConfigLoader {
 
   /**
    * Handle product lost event
+   * Only this product's card is removed - other tracked products keep theirs
    */
   onProductLost(product) {
+    if (this.targetStates.get(product.targetIndex)?.product === product) {
+      this.setTargetState(product.targetIndex, null);
+    }
+
     // Hide UI
     if (product.interactions.onLost.hideUI) {
-      this.hideProductUI();
+      this.hideProductUI(product.targetIndex);
     }
 
-    // Stop particle effects
-    if (this.particleEffects) {
+    // Keep the edge glow for a product that is still tracked, otherwise stop it
+    const remaining = this.getActiveProducts();
+    const glowing = remaining.filter(p => p.ui.edgeGlow?.enabled).pop();
+    if (glowing) {
+      this.startEdgeGlow(glowing);
+    } else if (this.particleEffects) {
       this.particleEffects.stop();
     }
 
-    // Hide tracking indicator
-    const trackingIndicator = document.getElementById('tracking-indicator');
-    if (trackingIndicator) {
-      trackingIndicator.classList.add('hidden');
+    if (this.currentProduct === product) {
+      this.currentProduct = remaining[remaining.length - 1] || null;
     }
 
     // Dispatch custom event
     window.dispatchEvent(new CustomEvent('ar-product-lost', { detail: product }));
   }
 
+  /**
+   * Start (or recolour) the screen edge glow for a product
+   */
+  startEdgeGlow(product) {
+    if (!this.particleEffects) {
+      this.particleEffects = new ParticleEffects();
+    }
+
+    const options = {
+      glowIntensity: product.ui.edgeGlow.glowIntensity || 100,
+      glowOpacity: product.ui.edgeGlow.glowOpacity || 0.3
+    };
+
+    this.particleEffects.start(product.ui.colors.primary, options);
+  }
+
+  // ============================================================================
+  // PER-TARGET STATE
+  // ============================================================================
+
+  /**
+   * Update (or clear with null) the UI state of a tracked target
+   * @param {number} targetIndex - MindAR target index
+   * @param {Object|null} state - { product, status }
+   */
+  setTargetState(targetIndex, state) {
+    if (state) {
+      this.targetStates.set(targetIndex, state);
+    } else {
+      this.targetStates.delete(targetIndex);
+    }
+
+    this.renderTrackingIndicator();
+  }
+
+  /**
+   * Products identified on currently tracked targets (in the order found)
+   * @returns {Array}
+   */
+  getActiveProducts() {
+    return [...this.targetStates.values()]
+      .filter(state => state.status === 'identified')
+      .map(state => state.product);
+  }
+
+  /**
+   * Show the tracking indicator for all tracked targets
+   * e.g. "Tracking: Cool Mint, Spearmint" or "Tracking: Unknown product"
+   */
+  renderTrackingIndicator() {
+    const trackingIndicator = document.getElementById('tracking-indicator');
+    if (!trackingIndicator) {
+      return;
+    }
+
+    const states = [...this.targetStates.values()];
+    trackingIndicator.classList.toggle('hidden', states.length === 0);
+
+    const names = states
+      .map(state => state.status === 'identified' ? state.product.name : state.status === 'unrecognized' ? 'Unknown product' : null)
+      .filter(Boolean);
+
+    const textSpan = trackingIndicator.querySelector('.text');
+    if (textSpan) {
+      textSpan.textContent = names.length > 0 ? `Tracking: ${names.join(', ')}` : 'Tracking';
+    }
+
+    // Product colour when exactly one product is shown, default otherwise
+    const products = this.getActiveProducts();
+    trackingIndicator.style.background = products.length === 1 ? products[0].ui.colors.primary : '';
+  }
+
+  /**
+   * Handle unrecognized product on a shared target
+   * Shows the fallback UI configured in CONFIG.ml.unknown.fallbackUI
+   */
+  onProductUnrecognized(detail) {
+    const fallbackUI = window.CONFIG?.ml?.unknown?.fallbackUI;
+
+    if (fallbackUI?.enabled === false) {
+      return;
+    }
+
+    this.showUnrecognizedUI(fallbackUI, detail.targetIndex);
+  }
+
+  /**
+   * Show fallback UI for an unrecognized product
+   * Uses the target's card slot so an identified product replaces it
+   */
+  showUnrecognizedUI(fallbackUI = {}, targetIndex = 0) {
+    document.getElementById(`product-ui-${targetIndex}`)?.remove();
+
+    const colors = this.globalSettings?.defaultColors || { text: '#ffffff' };
+
+    const productUI = document.createElement('div');
+    productUI.id = `product-ui-${targetIndex}`;
+    productUI.className = 'product-ui-container product-ui-unrecognized';
+    productUI.dataset.targetIndex = targetIndex;
+    productUI.style.cssText = `
+      position: relative;
+      pointer-events: all;
+      background: linear-gradient(135deg,
+        rgba(255, 255, 255, 0.1) 0%,
+        rgba(255, 255, 255, 0.05) 100%);
+      backdrop-filter: blur(20px) saturate(180%);
+      -webkit-backdrop-filter: blur(20px) saturate(180%);
+      border-radius: 24px;
+      border: 1px solid rgba(255, 255, 255, 0.18);
+      padding: 24px;
+      color: ${colors.text};
+      animation: cardSlideUp 0.3s ease;
+      box-shadow:
+        0 8px 32px rgba(0, 0, 0, 0.37),
+        inset 0 1px 0 rgba(255, 255, 255, 0.15);
+    `;
+
+    productUI.innerHTML = `
+      <div class="product-content">
+        <h2 style="margin: 0 0 8px 0; font-size: 22px; font-weight: 700;">${fallbackUI.title || 'Product not recognized'}</h2>
+        <p style="margin: 0; font-size: 14px; line-height: 1.5; opacity: 0.85;">${fallbackUI.message || ''}</p>
+      </div>
+    `;
+
+    this.getProductUIStack().appendChild(productUI);
+  }
+
   /**
    * Show product-specific UI
    */
   showProductUI(product) {
-    // Remove existing product UI
-    const existingUI = document.getElementById('product-ui');
-    if (existingUI) {
-      existingUI.remove();
-    }
+    // Replace this target's card (previous variant or unrecognized notice)
+    document.getElementById(`product-ui-${product.targetIndex}`)?.remove();
 
     // Create product UI container
     const productUI = document.createElement('div');
-    productUI.id = 'product-ui';
+    productUI.id = `product-ui-${product.targetIndex}`;
     productUI.className = 'product-ui-container';
+    productUI.dataset.targetIndex = product.targetIndex;
+    productUI.dataset.productId = product.id;
     // Glassmorphism effect styling (single consistent style)
     productUI.style.cssText = `
-      position: fixed;
-      bottom: 20px;
-      left: 50%;
-      transform: translateX(-50%);
-      width: 90%;
-      max-width: 500px;
+      position: relative;
+      pointer-events: all;
       background: linear-gradient(135deg,
         rgba(255, 255, 255, 0.1) 0%,
         rgba(255, 255, 255, 0.05) 100%);
@@ -348,8 +738,7 @@ class ARConfigLoader {
       border: 1px solid rgba(255, 255, 255, 0.18);
       padding: 24px;
       color: ${product.ui.colors.text};
-      z-index: 1001;
-      animation: slideUp 0.3s ease;
+      animation: cardSlideUp 0.3s ease;
       box-shadow:
         0 8px 32px rgba(0, 0, 0, 0.37),
         inset 0 1px 0 rgba(255, 255, 255, 0.15);
@@ -367,10 +756,38 @@ class ARConfigLoader {
     `;
 
     productUI.innerHTML = content;
-    document.getElementById('ui-container').appendChild(productUI);
+    this.getProductUIStack().appendChild(productUI);
 
     // Add button click handlers
-    this.attachButtonListeners(product);
+    this.attachButtonListeners(product, productUI);
+  }
+
+  /**
+   * Container stacking one card per tracked target at the bottom of the screen
+   */
+  getProductUIStack() {
+    let stack = document.getElementById('product-ui-stack');
+    if (!stack) {
+      stack = document.createElement('div');
+      stack.id = 'product-ui-stack';
+      stack.style.cssText = `
+        position: fixed;
+        bottom: 20px;
+        left: 50%;
+        transform: translateX(-50%);
+        width: 90%;
+        max-width: 500px;
+        max-height: 75vh;
+        overflow-y: auto;
+        display: flex;
+        flex-direction: column;
+        gap: 12px;
+        z-index: 1001;
+        pointer-events: none;
+      `;
+      document.getElementById('ui-container').appendChild(stack);
+    }
+    return stack;
   }
 
   /**
@@ -444,10 +861,12 @@ class ARConfigLoader {
 
   /**
    * Attach button click listeners
+   * @param {Object} product - Product config
+   * @param {HTMLElement} productUI - The product's card (button IDs may repeat across cards)
    */
-  attachButtonListeners(product) {
+  attachButtonListeners(product, productUI) {
     product.ui.buttons.forEach(button => {
-      const btnElement = document.getElementById(button.id);
+      const btnElement = productUI.querySelector(`[id="${button.id}"]`);
       if (btnElement) {
         btnElement.addEventListener('click', (e) => {
           e.preventDefault();
@@ -472,36 +891,17 @@ class ARConfigLoader {
 
   /**
    * Hide product UI
+   * @param {number} targetIndex - Only this target's card (all cards if omitted)
    */
-  hideProductUI() {
-    const productUI = document.getElementById('product-ui');
-    if (productUI) {
-      productUI.style.animation = 'slideDown 0.3s ease';
-      setTimeout(() => productUI.remove(), 300);
-    }
-  }
-
-  /**
-   * Apply product-specific colors
-   */
-  applyProductColors(colors) {
-    const trackingIndicator = document.getElementById('tracking-indicator');
-    if (trackingIndicator) {
-      trackingIndicator.style.background = colors.primary;
-    }
-  }
+  hideProductUI(targetIndex) {
+    const selector = targetIndex === undefined
+      ? '.product-ui-container'
+      : `#product-ui-${targetIndex}`;
 
-  /**
-   * Update tracking indicator with product name
-   */
-  updateTrackingIndicator(product) {
-    const trackingIndicator = document.getElementById('tracking-indicator');
-    if (trackingIndicator) {
-      const textSpan = trackingIndicator.querySelector('.text');
-      if (textSpan) {
-        textSpan.textContent = `Tracking: ${product.name}`;
-      }
-    }
+    document.querySelectorAll(selector).forEach(productUI => {
+      productUI.style.animation = 'cardSlideDown 0.3s ease';
+      setTimeout(() => productUI.remove(), 300);
+    });
   }
 
   /**
@@ -522,19 +922,8 @@ class ARConfigLoader {
       return;
     }
 
-    // Determine which .mind file to use
-    const paths = this.products.map(p => p.target.imagePath);
-    const uniquePaths = [...new Set(paths)];
-
-    let targetSrc;
-    if (uniquePaths.length === 1) {
-      // All products use the same .mind file (recommended)
-      targetSrc = uniquePaths[0];
-    } else {
-      // Fallback: use first product's target (but show warning)
-      targetSrc = this.products[0].target.imagePath;
-      console.warn('⚠️ Using first product\'s target due to multiple .mind files');
-    }
+    // Single .mind file, or the blob: URL of the merged files (see prepareTargets)
+    const targetSrc = this.getTargetSrc();
 
     console.log(`🎯 Setting image target source: ${targetSrc}`);
 
@@ -543,7 +932,7 @@ class ARConfigLoader {
     // - filterMinCF: Higher = more responsive, less smooth (range: 0.0001 to 10)
     // - filterBeta: Higher = faster response to quick movements (range: 0.001 to 1000)
     // Current: Smooth tracking with slightly better responsiveness than default
-    const mindARConfig = `imageTargetSrc: ${targetSrc}; autoStart: false; uiLoading: no; uiError: no; uiScanning: no; filterMinCF: 0.0005; filterBeta: 0.1; warmupTolerance: 5; missTolerance: 5;`;
+    const mindARConfig = `imageTargetSrc: ${targetSrc}; maxTrack: ${this.getMaxTrack()}; autoStart: false; uiLoading: no; uiError: no; uiScanning: no; filterMinCF: 0.0005; filterBeta: 0.1; warmupTolerance: 5; missTolerance: 5;`;
 
     console.log(`🔧 MindAR config string: "${mindARConfig}"`);
 
@@ -552,6 +941,9 @@ class ARConfigLoader {
     // Log configuration
     console.log('📱 MindAR configuration:');
     console.log(`   Target file: ${targetSrc}`);
+    this.mergedTargets?.files.forEach(file => {
+      console.log(`     ${file.path} (targetIndex ${file.offset}-${file.offset + file.count - 1})`);
+    });
     console.log(`   Products configured: ${this.products.length}`);
     this.products.forEach((p, i) => {
       console.log(`   ${i + 1}. ${p.name} (targetIndex: ${p.targetIndex})`);
@@ -573,7 +965,7 @@ class ARConfigLoader {
   }
 
   /**
-   * Get current product being tracked
+   * Get current product being tracked (most recently found)
    */
   getCurrentProduct() {
     return this.currentProduct;
@@ -605,6 +997,28 @@ style.textContent = `
     }
   }
 
+  @keyframes cardSlideUp {
+    from {
+      opacity: 0;
+      transform: translateY(20px);
+    }
+    to {
+      opacity: 1;
+      transform: translateY(0);
+    }
+  }
+
+  @keyframes cardSlideDown {
+    from {
+      opacity: 1;
+      transform: translateY(0);
+    }
+    to {
+      opacity: 0;
+      transform: translateY(20px);
+    }
+  }
+
   .product-button:active {
     transform: scale(0.95) !important;
   }
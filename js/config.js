@@ -101,6 +101,7 @@ const CONFIG = {
       'page_loaded',         // Initial page load
       'product_found',       // Image target detected
       'product_lost',        // Image target lost
+      'product_unrecognized', // Shared target matched no trained product
       'button_clicked',      // UI button clicked
       'model_loaded',        // 3D model successfully loaded
       'model_error',         // 3D model failed to load
@@ -124,6 +125,476 @@ const CONFIG = {
     batchInterval: 5000  // 5 seconds
   },
 
+  // ============================================================================
+  // ML CLASSIFIER CONFIGURATION
+  // ============================================================================
+  ml: {
+    /**
+     * Classifier backend
+     * 'teachable': Teachable Machine model in js/mlModels (retrain to add products)
+     * 'knn': MobileNet embeddings matched to per-product reference embeddings
+     *        (add products by running scripts/build-embeddings.js)
+     */
+    backend: 'teachable',
+
+    /**
+     * Model registry defaults
+     * Each shared target uses the model its products name in `ml.model`
+     * (falling back to defaultModel). products.json "mlModels" and the
+     * Supabase global_settings 'ml_models' entry add or override models.
+     * Models are loaded lazily on the first targetFound that needs them.
+     * Optional per model: `thresholds` and `calibrationURL` (temperature
+     * scaling from scripts/calibrate-model.js).
+     */
+    defaultModel: 'default',
+    models: {
+      default: {
+        version: '1.0.0',
+        modelURL: './js/mlModels/model.json',
+        metadataURL: './js/mlModels/metadata.json',
+        imageSize: 224,
+        labels: ['Cool Mint', 'Spearmint']
+      }
+    },
+
+    /**
+     * Run inference in a Web Worker
+     * Isolates TensorFlow.js from MindAR's WASM and keeps inference off the
+     * main thread so tracking doesn't drop frames. Teachable Machine backend
+     * only; browsers without Worker/OffscreenCanvas fall back automatically.
+     */
+    worker: {
+      /**
+       * true: Load TF.js and the model inside js/ml-worker.js
+       * false: Load TF.js on the main thread after MindAR starts (legacy)
+       */
+      enabled: true
+    },
+
+    /**
+     * Persistent model cache (IndexedDB)
+     * Teachable Machine models are stored as indexeddb://<prefix>-<modelId>@<version>
+     * and reused on repeat visits. The version combines the registry
+     * `version` with metadata.json's timeStamp - bump either (or re-export
+     * the model) to force a re-download. Older versions are deleted.
+     */
+    cache: {
+      /**
+       * true: Load from / save to IndexedDB
+       * false: Always download model.json + weights.bin
+       */
+      enabled: true,
+
+      /**
+       * IndexedDB key prefix
+       */
+      prefix: 'ar-ml'
+    },
+
+    /**
+     * ML runtime (TensorFlow.js + Teachable Machine) source
+     * Libraries are always loaded at the pinned versions below with
+     * Subresource Integrity. Vendor them with scripts/vendor-ml-runtime.js,
+     * which also writes the hashes to <localPath>manifest.json.
+     */
+    runtime: {
+      /**
+       * 'local': Self-hosted files in localPath (works offline / air-gapped)
+       * 'cdn': Same pinned versions from cdnPath
+       */
+      source: 'local',
+
+      /**
+       * Vendored files: <localPath><package>@<version>/<file>
+       */
+      localPath: './vendor/ml-runtime/',
+
+      /**
+       * CDN base URL (same layout as localPath)
+       */
+      cdnPath: 'https://cdn.jsdelivr.net/npm/',
+
+      /**
+       * true: Refuse to load a library that has no integrity hash
+       */
+      requireIntegrity: true,
+
+      /**
+       * Pinned versions - the single source: ml-runtime-loader.js and
+       * scripts/vendor-ml-runtime.js both read this list
+       * Add `integrity: 'sha384-...'` to pin a hash here instead of in manifest.json
+       */
+      libraries: {
+        tfjs: {
+          package: '@tensorflow/tfjs',
+          version: '4.11.0',
+          file: 'dist/tf.min.js'
+        },
+        teachable: {
+          package: '@teachablemachine/image',
+          version: '0.8.5',
+          file: 'dist/teachablemachine-image.min.js'
+        },
+        // OCR verifier (CONFIG.ml.ocr) - main script, its worker, WASM core and language data
+        tesseract: {
+          package: 'tesseract.js',
+          version: '5.1.1',
+          file: 'dist/tesseract.min.js'
+        },
+        tesseractWorker: {
+          package: 'tesseract.js',
+          version: '5.1.1',
+          file: 'dist/worker.min.js'
+        },
+        tesseractCore: {
+          package: 'tesseract.js-core',
+          version: '5.1.1',
+          file: 'tesseract-core-lstm.wasm.js'
+        },
+        tesseractLang: {
+          package: '@tesseract.js-data/eng',
+          version: '1.0.0',
+          file: '4.0.0_best_int/eng.traineddata.gz'
+        }
+      },
+
+      /**
+       * Pinned models that aren't npm packages - scripts/vendor-ml-runtime.js
+       * copies them from `url` into <localPath>models/<dir>/ (model.json + weight shards)
+       */
+      models: {
+        // kNN feature extractor (CONFIG.ml.knn.embeddingModelURL loads the vendored copy)
+        knnEmbedding: {
+          url: 'https://tfhub.dev/google/tfjs-model/imagenet/mobilenet_v2_100_224/feature_vector/3/default/1',
+          fromTFHub: true,
+          dir: 'mobilenet_v2_100_224-feature_vector-3'
+        }
+      },
+
+      /**
+       * Message shown when the runtime or model fails to load
+       */
+      errorMessage: 'Product recognition is unavailable. AR tracking still works.'
+    },
+
+    /**
+     * kNN backend settings (only used when backend = 'knn')
+     */
+    knn: {
+      /**
+       * Feature extractor - MUST match the model used by scripts/build-embeddings.js
+       * The default is the vendored copy of runtime.models.knnEmbedding
+       * (scripts/vendor-ml-runtime.js). Point it at the TF Hub URL with
+       * fromTFHub: true to load it over the network instead
+       */
+      embeddingModelURL: './vendor/ml-runtime/models/mobilenet_v2_100_224-feature_vector-3/model.json',
+
+      /**
+       * true if embeddingModelURL is a TF Hub URL
+       */
+      fromTFHub: false,
+
+      /**
+       * Number of nearest reference embeddings that vote on the product
+       */
+      k: 5
+    },
+
+    /**
+     * Per-label confidence thresholds (0-1)
+     * Look-alike variants can require more confidence than distinct ones.
+     * Labels not listed use the classifier default (0.70), or the thresholds
+     * in the model's calibration file (registry entry `calibrationURL`,
+     * generated by scripts/calibrate-model.js). Entries here take priority.
+     * A registry entry may also set its own `thresholds`.
+     */
+    thresholds: {
+      // 'Cool Mint': 0.85
+    },
+
+    /**
+     * Interval between background re-classifications while a target
+     * stays tracked (milliseconds)
+     */
+    throttleInterval: 500,
+
+    /**
+     * Multi-frame voting for product classification
+     * Samples several frames after a target is found and only identifies a
+     * product when the aggregated result is confident and stable
+     */
+    voting: {
+      /**
+       * true: Vote across multiple frames (recommended)
+       * false: Classify a single frame
+       */
+      enabled: true,
+
+      /**
+       * Number of frames to sample
+       */
+      frames: 5,
+
+      /**
+       * Time span the frames are spread across (milliseconds)
+       */
+      windowMs: 1000,
+
+      /**
+       * How frame probabilities are combined
+       * 'mean': Average probability per label
+       * 'majority': Share of frames where the label was the top prediction
+       * 'ema': Exponential smoothing, recent frames weigh more (see emaAlpha)
+       */
+      strategy: 'mean',
+
+      /**
+       * Smoothing factor for 'ema' strategy (0-1)
+       */
+      emaAlpha: 0.5,
+
+      /**
+       * Minimum share of frames whose top label must match the winner (0-1)
+       */
+      minAgreement: 0.6
+    },
+
+    /**
+     * Unknown product rejection for shared targets
+     * When the shared target fires for a package that isn't a trained variant,
+     * dispatch 'product-unrecognized' and show a fallback UI instead of
+     * showing the closest (wrong) product
+     */
+    unknown: {
+      /**
+       * true: Reject ambiguous results as unknown
+       * false: Always pick the top class if above its threshold
+       */
+      enabled: true,
+
+      /**
+       * Model labels treated as "not a product" (train one of these in
+       * Teachable Machine with backgrounds / other packages)
+       */
+      rejectLabels: ['Background', 'Other', 'Unknown'],
+
+      /**
+       * Minimum gap between the top two class probabilities (0-1)
+       * null: off. With 2 classes the margin is 2 × confidence - 1, so keep it
+       * at or below 2 × threshold - 1 (0.4 for 70%) or it overrides the threshold
+       */
+      minMargin: null,
+
+      /**
+       * Maximum normalized prediction entropy (0 = certain, 1 = uniform)
+       * null: off. With 2 classes a 70% winner already has entropy ~0.88
+       */
+      maxEntropy: null,
+
+      /**
+       * kNN backend only: minimum cosine similarity between the frame and the
+       * closest reference embedding (0-1)
+       */
+      minSimilarity: 0.5,
+
+      /**
+       * Fallback UI shown for unrecognized products
+       */
+      fallbackUI: {
+        enabled: true,
+        title: 'Product not recognized',
+        message: 'We couldn\'t identify this product. Try better lighting or hold the pack flat to the camera.'
+      }
+    },
+
+    /**
+     * Crop classifier input to the tracked target
+     * Projects the target's corners into the video frame and classifies only
+     * the rectified product surface instead of the whole camera image
+     */
+    crop: {
+      /**
+       * true: Classify the cropped target (falls back to full frame if unavailable)
+       * false: Classify the full camera frame
+       */
+      enabled: true,
+
+      /**
+       * Show the cropped classifier input in the top-left corner
+       */
+      debug: false
+    },
+
+    /**
+     * Colour-histogram ensemble (see js/color-histogram.js)
+     * Compares the crop's hue histogram with a reference per product and
+     * fuses the score with the model's probabilities. Reference colours:
+     * products.json "ml.palette", else the target preview image, else ui.colors
+     */
+    ensemble: {
+      /**
+       * true: Run the colour matcher alongside the model
+       * false: Model probabilities only
+       */
+      enabled: false,
+
+      /**
+       * Relative weight of each score in the fused confidence
+       */
+      weights: {
+        model: 0.7,
+        color: 0.3
+      },
+
+      /**
+       * 'auto': ml.palette > target.imagePreview > ui.colors
+       * 'palette' | 'image' | 'colors': Only that source
+       */
+      reference: 'auto'
+    },
+
+    /**
+     * OCR verifier for shared targets (see js/ocr-verifier.js)
+     * Reads printed variant text with Tesseract.js and combines it with the
+     * ML probabilities. Keywords per product: products.json "ml.keywords"
+     */
+    ocr: {
+      /**
+       * true: Load Tesseract.js (from runtime.libraries) on first use
+       * false: ML classifier only
+       */
+      enabled: false,
+
+      /**
+       * 'uncertain': Only when ML can't decide (low confidence / ambiguous)
+       * 'always': Also check confident ML results (slower, can veto them)
+       */
+      when: 'uncertain',
+
+      /**
+       * Share of the OCR keyword score in the combined confidence (0-1)
+       */
+      weight: 0.5,
+
+      /**
+       * Minimum fuzzy similarity for a keyword to count as read (0-1)
+       */
+      minSimilarity: 0.8,
+
+      /**
+       * Give up on OCR after this long and keep the ML result (milliseconds)
+       */
+      timeout: 4000
+    },
+
+    /**
+     * Continuous re-classification of shared targets
+     * Switches the visible product when a different variant consistently wins
+     * without the target being lost (e.g. two look-alike cans swapped)
+     */
+    reclassification: {
+      /**
+       * true: Keep classifying every throttleInterval ms while tracked
+       * false: Classify once per targetFound
+       */
+      enabled: true,
+
+      /**
+       * Extra confidence a different product needs above its label's threshold
+       * before it counts towards a switch (0-1)
+       */
+      switchMargin: 0.1,
+
+      /**
+       * Consecutive winning classifications required before switching
+       */
+      switchFrames: 3
+    },
+
+    /**
+     * Training data collection (see js/data-collector.js)
+     * Captures cropped frames of tracked targets with the model's prediction,
+     * lets the operator confirm/correct labels and exports a Teachable Machine zip.
+     * Also enabled per session with ?collect=1 in the URL.
+     */
+    dataCollection: {
+      /**
+       * true: Show the collection panel for every session
+       * false: Only with ?collect=1
+       */
+      enabled: false,
+
+      /**
+       * Capture a frame every N ms while a target is tracked
+       */
+      interval: 1000,
+
+      /**
+       * Pause capturing while this many samples await review
+       */
+      maxPending: 20,
+
+      /**
+       * Labels offered next to the model's own (for negative examples)
+       */
+      extraLabels: ['Background']
+    }
+  },
+
+  // ============================================================================
+  // CAMERA CONFIGURATION
+  // ============================================================================
+  // Used by js/camera-manager.js - the stream is opened by the app and handed
+  // to MindAR, so these replace MindAR's own facingMode-only request
+  camera: {
+    /**
+     * Camera to use until the user picks one in the settings panel
+     * 'environment': Rear camera | 'user': Front camera
+     */
+    facingMode: 'environment',
+
+    /**
+     * Ideal resolution (the browser picks the closest the camera supports)
+     * Higher helps small packages but costs tracking speed
+     */
+    width: 1280,
+    height: 720,
+
+    /**
+     * Remember the chosen camera and zoom level (localStorage)
+     */
+    rememberDevice: true,
+
+    /**
+     * Show the ⚙️ camera settings panel (camera picker, torch, zoom)
+     */
+    showControls: true,
+
+    /**
+     * localStorage key for the remembered settings
+     */
+    storageKey: 'ar-camera-settings'
+  },
+
+  // ============================================================================
+  // IMAGE TARGET LOADING
+  // ============================================================================
+  // Used by js/config-loader.js when it fetches .mind files itself (several
+  // files to merge, or files with a known size / SHA-256 from Supabase)
+  targets: {
+    /**
+     * Check each .mind file against its expected size and SHA-256
+     * (product_targets.mind_file_size / mind_file_hash)
+     */
+    verifyIntegrity: true,
+
+    /**
+     * Extra attempts per URL before moving to the next one
+     * Retries bypass the HTTP cache in case a bad copy was cached
+     */
+    retries: 1
+  },
+
   // ============================================================================
   // DEBUG CONFIGURATION
   // ============================================================================
@@ -158,6 +629,12 @@ const CONFIG = {
      */
     configLoadTimeout: 10000,  // 10 seconds
 
+    /**
+     * Timeout for MindAR to start tracking (milliseconds)
+     * Camera stream + .mind file; the app enters the 'error' state after this
+     */
+    trackerStartTimeout: 15000,  // 15 seconds
+
     /**
      * Cache configuration in localStorage
      * true: Cache config for faster subsequent loads
@@ -0,0 +1,558 @@
+// ============================================================================
+// DATA COLLECTOR - Capture labelled training frames from live AR sessions
+// ============================================================================
+// "Data collection" mode for retraining the Teachable Machine model under real
+// scanning conditions (phone cameras, store lighting, motion blur).
+//
+// While a target is tracked, every `interval` ms the collector:
+// - Crops the frame to the tracked target (same TargetCropper as MLClassifier)
+// - Runs the target's model on that crop, if it is loaded
+// - Queues the sample with target index, predicted label and confidence
+//
+// The operator confirms the prediction or taps the correct label for each
+// queued sample, then exports a zip in Teachable Machine's folder-per-class
+// layout (<label>/<file>.jpg) plus collection.json with the sample metadata.
+//
+// Enable with CONFIG.ml.dataCollection.enabled or ?collect=1 in the URL.
+// Samples are kept in memory only - export before closing the page.
+// ============================================================================
+
+class DataCollector {
+  /**
+   * @param {MLModelRegistry} registry - Model registry (for per-target models and labels)
+   * @param {Array} products - Array of product objects from config
+   */
+  constructor(registry, products = []) {
+    this.registry = registry;
+    this.products = products;
+
+    this.config = {
+      interval: 1000,           // Capture every N ms while a target is tracked
+      imageSize: 224,           // Width/height of saved crops (Teachable Machine input size)
+      jpegQuality: 0.92,
+      maxPending: 20,           // Pause capturing while this many samples await review
+      maxSamples: 1000,         // Stop capturing once this many samples are kept
+      extraLabels: ['Background'], // Offered next to the model labels (negatives)
+      ...(window.CONFIG?.ml?.dataCollection || {})
+    };
+
+    this.cropper = new TargetCropper({ outputSize: this.config.imageSize });
+
+    this.samples = [];         // { id, targetIndex, modelId, predictedLabel, confidence, label, status, capturedAt, blob, url }
+    this.tracked = new Map();  // index -> { target, targetIndex, timer }
+    this.paused = false;
+    this.exportedCount = 0;
+    this.nextId = 1;
+
+    this.panel = null;
+  }
+
+  /**
+   * Check if data collection was turned on (config or ?collect=1)
+   * @returns {boolean}
+   */
+  static isRequested() {
+    const param = new URLSearchParams(window.location.search).get('collect');
+    if (param !== null) {
+      return param !== '0' && param !== 'false';
+    }
+    return window.CONFIG?.ml?.dataCollection?.enabled === true;
+  }
+
+  /**
+   * Show the review panel and warn before losing unexported samples
+   */
+  start() {
+    this.createPanel();
+    this.render();
+
+    window.addEventListener('beforeunload', (event) => {
+      if (this.getConfirmedSamples().length > this.exportedCount) {
+        event.preventDefault();
+        event.returnValue = '';
+      }
+    });
+
+    console.log('📸 Data collection mode enabled');
+  }
+
+  // ============================================================================
+  // CAPTURE
+  // ============================================================================
+
+  /**
+   * Start capturing a tracked target
+   * @param {number} index - Target entity index
+   * @param {Element} target - Entity with mindar-image-target component
+   * @param {number} targetIndex - MindAR target index
+   */
+  onTargetFound(index, target, targetIndex) {
+    if (this.tracked.has(index)) {
+      return;
+    }
+
+    const entry = { target, targetIndex, timer: null };
+    entry.timer = setInterval(() => this.captureSample(entry), this.config.interval);
+    this.tracked.set(index, entry);
+  }
+
+  /**
+   * Stop capturing a target that lost tracking
+   * @param {number} index - Target entity index
+   */
+  onTargetLost(index) {
+    const entry = this.tracked.get(index);
+    if (entry) {
+      clearInterval(entry.timer);
+      this.tracked.delete(index);
+    }
+  }
+
+  /**
+   * Capture one cropped frame of a tracked target and queue it for review
+   * @param {Object} entry - Tracked target { target, targetIndex }
+   * @returns {Promise<Object|null>} - Queued sample, or null if nothing was captured
+   */
+  async captureSample(entry) {
+    if (this.paused || entry.busy ||
+        this.getPendingSamples().length >= this.config.maxPending ||
+        this.samples.length >= this.config.maxSamples) {
+      return null;
+    }
+
+    const videoElement = document.querySelector('video');
+    if (!videoElement || videoElement.readyState < 2) {
+      return null;
+    }
+
+    const crop = this.cropper.cropTarget(videoElement, entry.target);
+    if (!crop) {
+      return null;
+    }
+
+    entry.busy = true;
+
+    try {
+      // The cropper reuses its canvas - copy before any await
+      const canvas = document.createElement('canvas');
+      canvas.width = crop.width;
+      canvas.height = crop.height;
+      canvas.getContext('2d').drawImage(crop, 0, 0);
+
+      const modelId = this.registry?.getModelId(entry.targetIndex) ?? null;
+      const prediction = await this.predict(modelId, canvas);
+      const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/jpeg', this.config.jpegQuality));
+
+      if (!blob) {
+        return null;
+      }
+
+      const sample = {
+        id: this.nextId++,
+        targetIndex: entry.targetIndex,
+        modelId: modelId,
+        predictedLabel: prediction?.label ?? null,
+        confidence: prediction?.confidence ?? null,
+        label: null,
+        status: 'pending',
+        capturedAt: new Date().toISOString(),
+        blob: blob,
+        url: URL.createObjectURL(blob)
+      };
+
+      this.samples.push(sample);
+      this.render();
+
+      return sample;
+    } catch (error) {
+      console.error('❌ Data collection capture failed:', error);
+      return null;
+    } finally {
+      entry.busy = false;
+    }
+  }
+
+  /**
+   * Top prediction of the target's model on a crop (only if already loaded)
+   * @param {string|null} modelId - Registry model ID
+   * @param {HTMLCanvasElement} canvas - Cropped frame
+   * @returns {Promise<Object|null>} - { label, confidence } or null
+   */
+  async predict(modelId, canvas) {
+    const classifier = modelId ? this.registry.classifiers.get(modelId) : null;
+    if (!classifier || !classifier.isReady()) {
+      return null;
+    }
+
+    const predictions = await classifier.predictImage(canvas);
+    return predictions.length > 0
+      ? { label: predictions[0].className, confidence: predictions[0].probability }
+      : null;
+  }
+
+  // ============================================================================
+  // REVIEW
+  // ============================================================================
+
+  /**
+   * Labels the operator can pick for a sample
+   * Model labels if known, otherwise the target's product labels/names, plus extraLabels
+   * @param {Object} sample - Queued sample
+   * @returns {Array<string>}
+   */
+  getLabelOptions(sample) {
+    let labels = [];
+
+    if (sample.modelId) {
+      const classifier = this.registry.classifiers.get(sample.modelId);
+      labels = classifier?.isReady()
+        ? classifier.model.getClassLabels()
+        : (this.registry.models[sample.modelId]?.labels || []);
+    }
+
+    if (labels.length === 0) {
+      labels = this.products
+        .filter(p => p.targetIndex === sample.targetIndex)
+        .map(p => p.ml?.label || p.name);
+    }
+
+    return [...new Set([...labels, ...this.config.extraLabels])];
+  }
+
+  /**
+   * Confirm or correct a sample's label
+   * @param {number} id - Sample ID
+   * @param {string} label - Correct label
+   */
+  labelSample(id, label) {
+    const sample = this.samples.find(s => s.id === id);
+    if (!sample) {
+      return;
+    }
+
+    sample.label = label;
+    sample.status = label === sample.predictedLabel ? 'confirmed' : 'corrected';
+    this.render();
+  }
+
+  /**
+   * Drop a sample (blurry, wrong target, ...)
+   * @param {number} id - Sample ID
+   */
+  discardSample(id) {
+    const sample = this.samples.find(s => s.id === id);
+    if (!sample) {
+      return;
+    }
+
+    URL.revokeObjectURL(sample.url);
+    this.samples = this.samples.filter(s => s.id !== id);
+    this.render();
+  }
+
+  /**
+   * Samples still waiting for the operator
+   * @returns {Array<Object>}
+   */
+  getPendingSamples() {
+    return this.samples.filter(s => s.status === 'pending');
+  }
+
+  /**
+   * Samples with an operator-approved label
+   * @returns {Array<Object>}
+   */
+  getConfirmedSamples() {
+    return this.samples.filter(s => s.status !== 'pending');
+  }
+
+  /**
+   * Pause or resume capturing
+   * @param {boolean} paused - Pause state
+   */
+  setPaused(paused) {
+    this.paused = paused;
+    this.render();
+  }
+
+  // ============================================================================
+  // EXPORT
+  // ============================================================================
+
+  /**
+   * Build the Teachable Machine upload zip from reviewed samples
+   * <label>/<label>_t<targetIndex>_<id>.jpg + collection.json
+   * @returns {Promise<Blob>}
+   */
+  async exportZip() {
+    const samples = this.getConfirmedSamples();
+    const files = [];
+
+    for (const sample of samples) {
+      const folder = DataCollector.toFileName(sample.label);
+      sample.file = `${folder}/${folder}_t${sample.targetIndex}_${sample.id}.jpg`;
+      files.push({ name: sample.file, data: new Uint8Array(await sample.blob.arrayBuffer()) });
+    }
+
+    const metadata = {
+      exportedAt: new Date().toISOString(),
+      imageSize: this.config.imageSize,
+      labels: [...new Set(samples.map(s => s.label))],
+      samples: samples.map(({ blob, url, ...sample }) => sample)
+    };
+    files.push({ name: 'collection.json', data: new TextEncoder().encode(JSON.stringify(metadata, null, 2)) });
+
+    return new Blob([DataCollector.createZip(files)], { type: 'application/zip' });
+  }
+
+  /**
+   * Export reviewed samples and download the zip
+   */
+  async download() {
+    const samples = this.getConfirmedSamples();
+    if (samples.length === 0) {
+      console.warn('⚠️ No reviewed samples to export');
+      return;
+    }
+
+    const blob = await this.exportZip();
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = `training-data-${new Date().toISOString().slice(0, 19).replace(/[:T]/g, '-')}.zip`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+
+    this.exportedCount = samples.length;
+    console.log(`📦 Exported ${samples.length} training sample(s)`);
+  }
+
+  /**
+   * Make a label safe to use as a folder/file name
+   * @param {string} label - Class label
+   * @returns {string}
+   */
+  static toFileName(label) {
+    return String(label).trim().replace(/[\\/:*?"<>|]+/g, '_') || 'unlabelled';
+  }
+
+  /**
+   * Create an uncompressed (stored) zip archive
+   * JPEGs don't compress further, so no deflate is needed
+   * @param {Array<{name: string, data: Uint8Array}>} files - Archive entries
+   * @returns {Uint8Array}
+   */
+  static createZip(files) {
+    const encoder = new TextEncoder();
+    const now = new Date();
+    const dosTime = (now.getHours() << 11) | (now.getMinutes() << 5) | (now.getSeconds() >> 1);
+    const dosDate = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+
+    const localParts = [];
+    const centralParts = [];
+    let offset = 0;
+
+    files.forEach(file => {
+      const name = encoder.encode(file.name);
+      const crc = DataCollector.crc32(file.data);
+
+      const local = new DataView(new ArrayBuffer(30));
+      local.setUint32(0, 0x04034b50, true);  // Local file header signature
+      local.setUint16(4, 20, true);          // Version needed
+      local.setUint16(6, 0x0800, true);      // UTF-8 file names
+      local.setUint16(8, 0, true);           // Stored
+      local.setUint16(10, dosTime, true);
+      local.setUint16(12, dosDate, true);
+      local.setUint32(14, crc, true);
+      local.setUint32(18, file.data.length, true);
+      local.setUint32(22, file.data.length, true);
+      local.setUint16(26, name.length, true);
+      local.setUint16(28, 0, true);          // Extra field length
+
+      const central = new DataView(new ArrayBuffer(46));
+      central.setUint32(0, 0x02014b50, true); // Central directory signature
+      central.setUint16(4, 20, true);         // Version made by
+      central.setUint16(6, 20, true);         // Version needed
+      central.setUint16(8, 0x0800, true);
+      central.setUint16(10, 0, true);
+      central.setUint16(12, dosTime, true);
+      central.setUint16(14, dosDate, true);
+      central.setUint32(16, crc, true);
+      central.setUint32(20, file.data.length, true);
+      central.setUint32(24, file.data.length, true);
+      central.setUint16(28, name.length, true);
+      central.setUint32(42, offset, true);    // Local header offset (other fields 0)
+
+      localParts.push(new Uint8Array(local.buffer), name, file.data);
+      centralParts.push(new Uint8Array(central.buffer), name);
+      offset += 30 + name.length + file.data.length;
+    });
+
+    const centralSize = centralParts.reduce((sum, part) => sum + part.length, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true);       // End of central directory signature
+    end.setUint16(8, files.length, true);
+    end.setUint16(10, files.length, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+
+    const parts = [...localParts, ...centralParts, new Uint8Array(end.buffer)];
+    const zip = new Uint8Array(offset + centralSize + 22);
+    let position = 0;
+    parts.forEach(part => {
+      zip.set(part, position);
+      position += part.length;
+    });
+
+    return zip;
+  }
+
+  /**
+   * CRC-32 checksum (zip polynomial)
+   * @param {Uint8Array} data - Bytes
+   * @returns {number}
+   */
+  static crc32(data) {
+    if (!DataCollector.crcTable) {
+      DataCollector.crcTable = new Uint32Array(256);
+      for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+          c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+        }
+        DataCollector.crcTable[n] = c >>> 0;
+      }
+    }
+
+    let crc = 0xffffffff;
+    for (let i = 0; i < data.length; i++) {
+      crc = DataCollector.crcTable[(crc ^ data[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+  }
+
+  // ============================================================================
+  // UI
+  // ============================================================================
+
+  /**
+   * Create the review panel (styles in css/styles.css)
+   */
+  createPanel() {
+    this.panel = document.createElement('div');
+    this.panel.id = 'data-collection-panel';
+    this.panel.innerHTML = `
+      <div class="dc-header">
+        <span class="dc-title">📸 Data collection</span>
+        <span class="dc-counts"></span>
+      </div>
+      <div class="dc-review"></div>
+      <div class="dc-actions">
+        <button type="button" class="dc-pause"></button>
+        <button type="button" class="dc-export">Export zip</button>
+      </div>
+    `;
+
+    this.panel.querySelector('.dc-pause').addEventListener('click', () => this.setPaused(!this.paused));
+    this.panel.querySelector('.dc-export').addEventListener('click', () => this.download());
+
+    // Label / discard buttons are re-rendered, so delegate
+    this.panel.querySelector('.dc-review').addEventListener('click', (event) => {
+      const button = event.target.closest('button');
+      if (!button) {
+        return;
+      }
+
+      const id = Number(button.dataset.id);
+      if (button.dataset.action === 'discard') {
+        this.discardSample(id);
+      } else {
+        this.labelSample(id, button.dataset.label);
+      }
+    });
+
+    document.body.appendChild(this.panel);
+  }
+
+  /**
+   * Show the oldest pending sample with its label choices
+   */
+  render() {
+    if (!this.panel) {
+      return;
+    }
+
+    const pending = this.getPendingSamples();
+    const confirmed = this.getConfirmedSamples();
+
+    this.panel.querySelector('.dc-counts').textContent =
+      `${confirmed.length} labelled · ${pending.length} to review`;
+    this.panel.querySelector('.dc-pause').textContent = this.paused ? '▶ Resume' : '⏸ Pause';
+    this.panel.querySelector('.dc-export').disabled = confirmed.length === 0;
+
+    const review = this.panel.querySelector('.dc-review');
+    const sample = pending[0];
+
+    if (!sample) {
+      review.innerHTML = `<p class="dc-hint">${this.paused ? 'Capture paused' : 'Point the camera at a target to capture frames'}</p>`;
+      return;
+    }
+
+    const prediction = sample.predictedLabel
+      ? `${sample.predictedLabel} ${(sample.confidence * 100).toFixed(0)}%`
+      : 'no prediction';
+
+    review.innerHTML = `
+      <img class="dc-thumb" alt="">
+      <div class="dc-details">
+        <div class="dc-meta">Target ${sample.targetIndex} · ${prediction}</div>
+        <div class="dc-labels"></div>
+      </div>
+    `;
+    review.querySelector('.dc-thumb').src = sample.url;
+
+    // textContent/dataset so labels from config can't inject markup
+    const labels = review.querySelector('.dc-labels');
+    [...this.getLabelOptions(sample), null].forEach(label => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.dataset.id = sample.id;
+
+      if (label === null) {
+        button.dataset.action = 'discard';
+        button.className = 'dc-discard';
+        button.textContent = '✕ Discard';
+      } else {
+        button.dataset.label = label;
+        button.textContent = label === sample.predictedLabel ? `✓ ${label}` : label;
+        if (label === sample.predictedLabel) {
+          button.className = 'dc-predicted';
+        }
+      }
+
+      labels.appendChild(button);
+    });
+  }
+
+  /**
+   * Stop capturing and release sample images
+   */
+  cleanup() {
+    this.tracked.forEach(entry => clearInterval(entry.timer));
+    this.tracked.clear();
+    this.samples.forEach(sample => URL.revokeObjectURL(sample.url));
+    this.samples = [];
+    this.panel?.remove();
+    this.panel = null;
+  }
+}
+
+// ============================================================================
+// EXPORT
+// ============================================================================
+
+// Make available globally
+window.DataCollector = DataCollector;
+
+console.log('✅ DataCollector module loaded');
@@ -0,0 +1,280 @@
+// ============================================================================
+// ERROR SCREEN - Categorized startup errors with recovery instructions
+// ============================================================================
+// Replaces alert() and the loading-screen text with a full-screen overlay:
+//
+//   camera-denied     Permission refused - how to re-enable it on this device
+//   no-camera         No camera, or it's in use by another app
+//   insecure-context  Page not served over HTTPS (camera API unavailable)
+//   config-load       products.json / Supabase failed
+//   mind-load         Image targets (.mind) failed to load or MindAR didn't start
+//   ml-load           Product recognition unavailable (AR keeps working)
+//   unknown           Anything else
+//
+// The category comes from the error (name / `category`) and the lifecycle
+// state that failed. "Try again" calls the onRetry passed to show() -
+// app.js wires it to restartAR().
+// ============================================================================
+
+const ERROR_MESSAGES = {
+  'camera-denied': {
+    icon: '📷',
+    title: 'Camera access needed',
+    message: 'The AR experience uses your camera to recognize the product. Camera access was blocked.'
+  },
+  'no-camera': {
+    icon: '🚫',
+    title: 'No camera available',
+    message: 'We couldn\'t find or open a camera. If another app is using it, close that app and try again.'
+  },
+  'insecure-context': {
+    icon: '🔒',
+    title: 'Secure connection required',
+    message: 'Browsers only allow camera access on secure (https://) pages.'
+  },
+  'config-load': {
+    icon: '📦',
+    title: 'Couldn\'t load products',
+    message: 'The product information failed to load. Check your connection and try again.'
+  },
+  'mind-load': {
+    icon: '🎯',
+    title: 'Couldn\'t start tracking',
+    message: 'The image targets failed to load. Check your connection and try again.'
+  },
+  'ml-load': {
+    icon: '🤖',
+    title: 'Product recognition unavailable',
+    message: 'Product recognition is unavailable. AR tracking still works.'
+  },
+  'unknown': {
+    icon: '⚠️',
+    title: 'Something went wrong',
+    message: 'The AR experience couldn\'t start.'
+  }
+};
+
+// How to re-enable the camera, per platform
+const CAMERA_INSTRUCTIONS = {
+  'ios': [
+    'Tap "aA" in the address bar, then Website Settings',
+    'Set Camera to Allow',
+    'Or: Settings → Safari → Camera → Allow'
+  ],
+  'android': [
+    'Tap the icon left of the address bar',
+    'Open Permissions (or Site settings)',
+    'Set Camera to Allow'
+  ],
+  'in-app': [
+    'Open the ⋯ menu of this app',
+    'Choose "Open in browser" (Safari or Chrome)',
+    'Allow camera access when asked'
+  ],
+  'desktop': [
+    'Click the camera or lock icon in the address bar',
+    'Allow camera access for this site'
+  ]
+};
+
+class ErrorScreen {
+  constructor() {
+    this.element = null;
+    this.category = null;
+  }
+
+  /**
+   * Show the error screen
+   * @param {Error} error - What failed
+   * @param {Object} options - { failedState, category (overrides detection), onRetry, dismissible }
+   * @returns {string} - Category shown
+   */
+  show(error, options = {}) {
+    const category = options.category || ErrorScreen.categorize(error, options.failedState);
+    const copy = ErrorScreen.getMessage(category);
+    const instructions = ErrorScreen.getInstructions(category);
+
+    this.hide();
+    this.category = category;
+
+    this.element = document.createElement('div');
+    this.element.id = 'error-screen';
+    this.element.className = 'overlay active';
+    this.element.dataset.category = category;
+    this.element.innerHTML = `
+      <div class="error-content">
+        <div class="error-icon"></div>
+        <h1 class="error-title"></h1>
+        <p class="error-message"></p>
+        <ol class="error-instructions"></ol>
+        <div class="error-actions">
+          <button type="button" class="error-retry">Try again</button>
+          <button type="button" class="error-dismiss">Continue without it</button>
+        </div>
+        <details class="error-details">
+          <summary>Details</summary>
+          <code></code>
+        </details>
+      </div>
+    `;
+
+    this.element.querySelector('.error-icon').textContent = copy.icon;
+    this.element.querySelector('.error-title').textContent = copy.title;
+    this.element.querySelector('.error-message').textContent = copy.message;
+    this.element.querySelector('.error-details code').textContent = error ? `${error.name}: ${error.message}` : '';
+
+    const list = this.element.querySelector('.error-instructions');
+    instructions.forEach(step => {
+      const item = document.createElement('li');
+      item.textContent = step;
+      list.appendChild(item);
+    });
+    list.classList.toggle('hidden', instructions.length === 0);
+
+    const retry = this.element.querySelector('.error-retry');
+    retry.classList.toggle('hidden', !options.onRetry);
+    retry.addEventListener('click', () => {
+      this.hide();
+      options.onRetry();
+    });
+
+    const dismiss = this.element.querySelector('.error-dismiss');
+    dismiss.classList.toggle('hidden', !options.dismissible);
+    dismiss.addEventListener('click', () => this.hide());
+
+    // Covers the loading / instructions overlays
+    document.getElementById('loading-screen')?.classList.remove('active');
+    document.getElementById('instructions-screen')?.classList.remove('active');
+    (document.getElementById('ui-container') || document.body).appendChild(this.element);
+
+    console.log(`🛑 Error screen: ${category}`);
+    return category;
+  }
+
+  /**
+   * Remove the error screen
+   */
+  hide() {
+    this.element?.remove();
+    this.element = null;
+    this.category = null;
+  }
+
+  /**
+   * Check if an error screen is showing
+   * @returns {boolean}
+   */
+  isVisible() {
+    return this.element !== null;
+  }
+
+  // ============================================================================
+  // HELPERS
+  // ============================================================================
+
+  /**
+   * Error category from the error and the lifecycle state it happened in
+   * @param {Error} error - What failed
+   * @param {string} failedState - ARLifecycle state at the time (optional)
+   * @returns {string} - Key of ERROR_MESSAGES
+   */
+  static categorize(error, failedState) {
+    if (error?.category && ERROR_MESSAGES[error.category]) {
+      return error.category;
+    }
+
+    if (window.isSecureContext === false && failedState === 'camera-permission') {
+      return 'insecure-context';
+    }
+
+    switch (error?.name) {
+      case 'NotAllowedError':
+      case 'SecurityError':
+      case 'PermissionDeniedError':
+        return 'camera-denied';
+      case 'NotFoundError':
+      case 'NotReadableError':
+      case 'OverconstrainedError':
+      case 'DevicesNotFoundError':
+        return 'no-camera';
+    }
+
+    switch (failedState) {
+      case 'loading-config':
+        return 'config-load';
+      case 'camera-permission':
+        return 'no-camera';
+      case 'starting-tracker':
+        return 'mind-load';
+      case 'loading-ml':
+        return 'ml-load';
+      default:
+        return 'unknown';
+    }
+  }
+
+  /**
+   * Title / message / icon for a category
+   * The ml-load message can be set in CONFIG.ml.runtime.errorMessage
+   * @param {string} category - Key of ERROR_MESSAGES
+   * @returns {Object} - { icon, title, message }
+   */
+  static getMessage(category) {
+    const copy = ERROR_MESSAGES[category] || ERROR_MESSAGES.unknown;
+
+    if (category === 'ml-load' && window.CONFIG?.ml?.runtime?.errorMessage) {
+      return { ...copy, message: window.CONFIG.ml.runtime.errorMessage };
+    }
+
+    return copy;
+  }
+
+  /**
+   * Recovery steps for a category on this device
+   * @param {string} category - Key of ERROR_MESSAGES
+   * @returns {Array<string>}
+   */
+  static getInstructions(category) {
+    if (category === 'camera-denied') {
+      return CAMERA_INSTRUCTIONS[ErrorScreen.getPlatform()];
+    }
+
+    if (category === 'insecure-context') {
+      return [`Open https://${window.location.host}${window.location.pathname}`];
+    }
+
+    return [];
+  }
+
+  /**
+   * Rough platform detection for the permission instructions
+   * @returns {string} - 'ios' | 'android' | 'in-app' | 'desktop'
+   */
+  static getPlatform() {
+    const userAgent = navigator.userAgent || '';
+
+    // Instagram / Facebook / TikTok webviews often can't show the camera prompt
+    if (/FBAN|FBAV|Instagram|Line\/|TikTok|musical_ly/i.test(userAgent)) {
+      return 'in-app';
+    }
+
+    if (/iPhone|iPad|iPod/i.test(userAgent) || (navigator.platform === 'MacIntel' && navigator.maxTouchPoints > 1)) {
+      return 'ios';
+    }
+
+    if (/Android/i.test(userAgent)) {
+      return 'android';
+    }
+
+    return 'desktop';
+  }
+}
+
+// ============================================================================
+// EXPORT
+// ============================================================================
+
+// Make available globally
+window.ErrorScreen = ErrorScreen;
+
+console.log('✅ ErrorScreen module loaded');
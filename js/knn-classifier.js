@@ -0,0 +1,244 @@
+// ============================================================================
+// KNN PRODUCT CLASSIFIER - MobileNet embeddings + nearest neighbours
+// ============================================================================
+// Alternative backend for MLClassifier. Instead of a trained classification
+// head, each product stores reference embeddings (MobileNet feature vectors
+// of product photos) and camera frames are matched to the nearest ones.
+//
+// Adding a flavor = photograph it, run scripts/build-embeddings.js, point
+// the product's ml.embeddingsPath at the output. No retraining.
+//
+// Exposes the same methods MLClassifier uses on Teachable Machine models
+// (predict, getClassLabels, getTotalClasses, getInputShape), so it can be
+// used as a drop-in `model`.
+//
+// Embedding format (must match scripts/build-embeddings.js):
+// - RGB, resized to imageSize x imageSize, scaled to [0, 1]
+// - Output feature vector L2-normalized (cosine similarity = dot product)
+//
+// The default embedding model is the copy scripts/vendor-ml-runtime.js
+// saves from TF Hub (CONFIG.ml.runtime.models.knnEmbedding), so the kNN
+// backend works offline like the Teachable Machine path.
+// ============================================================================
+
+class KNNClassifier {
+  constructor(options = {}) {
+    this.config = {
+      embeddingModelURL: './vendor/ml-runtime/models/mobilenet_v2_100_224-feature_vector-3/model.json',
+      fromTFHub: false,
+      imageSize: 224,
+      k: 5,                 // Neighbours that vote on the class
+      ...options
+    };
+
+    this.embeddingModel = null;
+    this.references = [];   // [{ className, productId, vector: Float32Array }]
+    this.classLabels = [];
+    this.labelMap = {};     // className -> productId
+    this.productsWithoutEmbeddings = [];
+  }
+
+  // ============================================================================
+  // LOADING
+  // ============================================================================
+
+  /**
+   * Load the embedding model and every product's reference embeddings
+   * @param {Array} products - Array of product objects from config
+   */
+  async load(products) {
+    console.log(`🔄 Loading embedding model from ${this.config.embeddingModelURL}...`);
+
+    try {
+      this.embeddingModel = await tf.loadGraphModel(this.config.embeddingModelURL, {
+        fromTFHub: this.config.fromTFHub
+      });
+    } catch (error) {
+      throw new Error(`Embedding model not reachable at ${this.config.embeddingModelURL} (${error.message}) - ` +
+        'run scripts/vendor-ml-runtime.js or set CONFIG.ml.knn.embeddingModelURL');
+    }
+
+    for (const product of products) {
+      const embeddings = await this.loadProductEmbeddings(product);
+
+      if (embeddings.length === 0) {
+        this.productsWithoutEmbeddings.push(product.id);
+        continue;
+      }
+
+      const className = product.ml?.label || product.id;
+      this.classLabels.push(className);
+      this.labelMap[className] = product.id;
+
+      embeddings.forEach(vector => {
+        this.references.push({
+          className: className,
+          productId: product.id,
+          vector: KNNClassifier.normalize(Float32Array.from(vector))
+        });
+      });
+    }
+
+    if (this.productsWithoutEmbeddings.length > 0) {
+      console.warn(`⚠️ Products with no reference embeddings: ${this.productsWithoutEmbeddings.join(', ')}`);
+    }
+
+    console.log(`✅ kNN references loaded: ${this.references.length} embedding(s) for ${this.classLabels.length} product(s)`);
+  }
+
+  /**
+   * Get a product's reference embeddings
+   * Inline `ml.embeddings` takes precedence over `ml.embeddingsPath`
+   * @param {Object} product - Product config
+   * @returns {Promise<Array<Array<number>>>}
+   */
+  async loadProductEmbeddings(product) {
+    if (Array.isArray(product.ml?.embeddings)) {
+      return product.ml.embeddings;
+    }
+
+    if (!product.ml?.embeddingsPath) {
+      return [];
+    }
+
+    try {
+      const response = await fetch(product.ml.embeddingsPath);
+      if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`);
+      }
+      const data = await response.json();
+
+      if (data.model && data.model !== this.config.embeddingModelURL) {
+        console.warn(`⚠️ Embeddings for ${product.id} were built with ${data.model}, but ${this.config.embeddingModelURL} is loaded`);
+      }
+
+      return data.embeddings || [];
+    } catch (error) {
+      console.error(`❌ Error loading embeddings for ${product.id}:`, error);
+      return [];
+    }
+  }
+
+  // ============================================================================
+  // INFERENCE
+  // ============================================================================
+
+  /**
+   * Compute the L2-normalized embedding of an image
+   * @param {HTMLVideoElement|HTMLCanvasElement|ImageData} image - Input image
+   * @returns {Promise<Float32Array>}
+   */
+  async embed(image) {
+    const size = this.config.imageSize;
+
+    const output = tf.tidy(() => {
+      const input = tf.browser.fromPixels(image)
+        .resizeBilinear([size, size])
+        .toFloat()
+        .div(255)
+        .expandDims(0);
+      return this.embeddingModel.predict(input);
+    });
+
+    const vector = await output.data();
+    output.dispose();
+
+    return KNNClassifier.normalize(Float32Array.from(vector));
+  }
+
+  /**
+   * Classify an image by its nearest reference embeddings
+   * Probability = share of the k nearest neighbours' similarity per class
+   * @param {HTMLVideoElement|HTMLCanvasElement} image - Input image
+   * @returns {Promise<Array>} - [{ className, probability, similarity }] (similarity = best match for that class)
+   */
+  async predict(image) {
+    const embedding = await this.embed(image);
+
+    const scored = this.references
+      .map(ref => ({ ref, similarity: KNNClassifier.dot(embedding, ref.vector) }))
+      .sort((a, b) => b.similarity - a.similarity);
+
+    const neighbours = scored.slice(0, this.config.k);
+    const weights = {};
+    let totalWeight = 0;
+
+    neighbours.forEach(({ ref, similarity }) => {
+      const weight = Math.max(0, similarity);
+      weights[ref.className] = (weights[ref.className] || 0) + weight;
+      totalWeight += weight;
+    });
+
+    return this.classLabels.map(className => {
+      const best = scored.find(s => s.ref.className === className);
+      return {
+        className: className,
+        probability: totalWeight > 0 ? (weights[className] || 0) / totalWeight : 0,
+        similarity: best ? best.similarity : 0
+      };
+    });
+  }
+
+  // ============================================================================
+  // MODEL INTERFACE (matches Teachable Machine model)
+  // ============================================================================
+
+  getClassLabels() {
+    return [...this.classLabels];
+  }
+
+  getTotalClasses() {
+    return this.classLabels.length;
+  }
+
+  getInputShape() {
+    return [1, this.config.imageSize, this.config.imageSize, 3];
+  }
+
+  getLabelMap() {
+    return { ...this.labelMap };
+  }
+
+  dispose() {
+    if (this.embeddingModel) {
+      this.embeddingModel.dispose();
+      this.embeddingModel = null;
+    }
+    this.references = [];
+  }
+
+  // ============================================================================
+  // VECTOR HELPERS
+  // ============================================================================
+
+  static normalize(vector) {
+    let norm = 0;
+    for (let i = 0; i < vector.length; i++) {
+      norm += vector[i] * vector[i];
+    }
+    norm = Math.sqrt(norm) || 1;
+
+    for (let i = 0; i < vector.length; i++) {
+      vector[i] /= norm;
+    }
+    return vector;
+  }
+
+  static dot(a, b) {
+    const length = Math.min(a.length, b.length);
+    let sum = 0;
+    for (let i = 0; i < length; i++) {
+      sum += a[i] * b[i];
+    }
+    return sum;
+  }
+}
+
+// ============================================================================
+// EXPORT
+// ============================================================================
+
+// Make available globally
+window.KNNClassifier = KNNClassifier;
+
+console.log('✅ KNNClassifier module loaded');
@@ -0,0 +1,269 @@
+// ============================================================================
+// MIND FILE MERGER - Combine several compiled .mind files into one
+// ============================================================================
+// MindAR loads a single imageTargetSrc. When products reference different
+// .mind files, ARConfigLoader fetches them all, merges them here and hands
+// MindAR a blob: URL of the result.
+//
+// A .mind file is MessagePack: { v: <version>, dataList: [target, ...] }.
+// Targets are copied byte for byte - only the top-level map and the
+// dataList array header are rewritten, so no MessagePack library is needed.
+//
+// Targets keep their order: file 0's targets first, then file 1's, ...
+// A product's index within its own file becomes offset + index.
+// ============================================================================
+
+class MindFileMerger {
+  /**
+   * Merge compiled .mind files
+   * @param {Array<ArrayBuffer>} buffers - File contents, in target order
+   * @returns {Object} - { data: Uint8Array, version, offsets: first target index per file, counts: targets per file }
+   * @throws {Error} - If a file isn't a .mind file or versions differ
+   */
+  static merge(buffers) {
+    const files = buffers.map((buffer, i) => {
+      try {
+        return MindFileMerger.read(buffer);
+      } catch (error) {
+        throw new Error(`File ${i + 1} is not a valid .mind file (${error.message})`);
+      }
+    });
+
+    const version = files[0].version;
+    files.forEach((file, i) => {
+      if (file.version !== version) {
+        throw new Error(`File ${i + 1} was compiled with .mind version ${file.version}, expected ${version} - recompile it`);
+      }
+    });
+
+    const offsets = [];
+    let total = 0;
+    files.forEach(file => {
+      offsets.push(total);
+      total += file.targetCount;
+    });
+
+    const header = [
+      0x82,                                        // map with 2 entries
+      ...MindFileMerger.encodeString('v'), ...MindFileMerger.encodeUint(version),
+      ...MindFileMerger.encodeString('dataList'), ...MindFileMerger.encodeArrayHeader(total)
+    ];
+
+    const size = header.length + files.reduce((sum, file) => sum + file.targets.length, 0);
+    const data = new Uint8Array(size);
+    data.set(header, 0);
+
+    let position = header.length;
+    files.forEach(file => {
+      data.set(file.targets, position);
+      position += file.targets.length;
+    });
+
+    return {
+      data,
+      version,
+      offsets,
+      counts: files.map(file => file.targetCount)
+    };
+  }
+
+  /**
+   * Locate the targets in a .mind file
+   * @param {ArrayBuffer} buffer - File contents
+   * @returns {Object} - { version, targetCount, targets: raw bytes of the dataList entries }
+   */
+  static read(buffer) {
+    const bytes = new Uint8Array(buffer);
+    const view = new DataView(buffer);
+    const decoder = new TextDecoder();
+
+    const map = MindFileMerger.readContainerHeader(view, 0);
+    if (map?.kind !== 'map') {
+      throw new Error('expected a MessagePack map');
+    }
+
+    let offset = map.start;
+    let version = null;
+    let list = null;
+
+    for (let i = 0; i < map.count; i++) {
+      const key = MindFileMerger.readString(view, offset, decoder);
+      offset = key.end;
+
+      const valueEnd = MindFileMerger.skipValue(view, offset);
+
+      if (key.value === 'v') {
+        version = MindFileMerger.readUint(view, offset);
+      } else if (key.value === 'dataList') {
+        const array = MindFileMerger.readContainerHeader(view, offset);
+        if (array?.kind !== 'array') {
+          throw new Error('dataList is not an array');
+        }
+        list = { count: array.count, start: array.start, end: valueEnd };
+      }
+
+      offset = valueEnd;
+    }
+
+    if (version === null || !list) {
+      throw new Error('missing v or dataList');
+    }
+
+    return {
+      version,
+      targetCount: list.count,
+      targets: bytes.subarray(list.start, list.end)
+    };
+  }
+
+  // ============================================================================
+  // MESSAGEPACK HELPERS
+  // ============================================================================
+
+  /**
+   * Map / array header at offset
+   * @returns {Object|null} - { kind: 'map' | 'array', count, start: offset of the first item }
+   */
+  static readContainerHeader(view, offset) {
+    const type = view.getUint8(offset);
+
+    if (type >= 0x80 && type <= 0x8f) return { kind: 'map', count: type & 0x0f, start: offset + 1 };
+    if (type >= 0x90 && type <= 0x9f) return { kind: 'array', count: type & 0x0f, start: offset + 1 };
+
+    switch (type) {
+      case 0xdc: return { kind: 'array', count: view.getUint16(offset + 1), start: offset + 3 };
+      case 0xdd: return { kind: 'array', count: view.getUint32(offset + 1), start: offset + 5 };
+      case 0xde: return { kind: 'map', count: view.getUint16(offset + 1), start: offset + 3 };
+      case 0xdf: return { kind: 'map', count: view.getUint32(offset + 1), start: offset + 5 };
+      default: return null;
+    }
+  }
+
+  /**
+   * String at offset
+   * @returns {Object} - { value, end }
+   */
+  static readString(view, offset, decoder) {
+    const type = view.getUint8(offset);
+    let length;
+    let start;
+
+    if (type >= 0xa0 && type <= 0xbf) {
+      length = type & 0x1f;
+      start = offset + 1;
+    } else if (type === 0xd9) {
+      length = view.getUint8(offset + 1);
+      start = offset + 2;
+    } else if (type === 0xda) {
+      length = view.getUint16(offset + 1);
+      start = offset + 3;
+    } else if (type === 0xdb) {
+      length = view.getUint32(offset + 1);
+      start = offset + 5;
+    } else {
+      throw new Error(`expected a string key at byte ${offset}`);
+    }
+
+    const value = decoder.decode(new Uint8Array(view.buffer, view.byteOffset + start, length));
+    return { value, end: start + length };
+  }
+
+  /**
+   * Unsigned integer at offset
+   * @returns {number}
+   */
+  static readUint(view, offset) {
+    const type = view.getUint8(offset);
+
+    if (type <= 0x7f) return type;
+
+    switch (type) {
+      case 0xcc: return view.getUint8(offset + 1);
+      case 0xcd: return view.getUint16(offset + 1);
+      case 0xce: return view.getUint32(offset + 1);
+      default: throw new Error(`expected an unsigned integer at byte ${offset}`);
+    }
+  }
+
+  /**
+   * Offset just past the value at offset (nested maps / arrays included)
+   * @returns {number}
+   */
+  static skipValue(view, offset) {
+    const type = view.getUint8(offset);
+
+    // positive / negative fixint
+    if (type <= 0x7f || type >= 0xe0) return offset + 1;
+    // fixstr
+    if (type >= 0xa0 && type <= 0xbf) return offset + 1 + (type & 0x1f);
+
+    const container = MindFileMerger.readContainerHeader(view, offset);
+    if (container) {
+      const items = container.kind === 'map' ? container.count * 2 : container.count;
+      let position = container.start;
+      for (let i = 0; i < items; i++) {
+        position = MindFileMerger.skipValue(view, position);
+      }
+      return position;
+    }
+
+    switch (type) {
+      case 0xc0: case 0xc2: case 0xc3: return offset + 1;                           // nil, false, true
+      case 0xc4: case 0xd9: return offset + 2 + view.getUint8(offset + 1);          // bin8, str8
+      case 0xc5: case 0xda: return offset + 3 + view.getUint16(offset + 1);         // bin16, str16
+      case 0xc6: case 0xdb: return offset + 5 + view.getUint32(offset + 1);         // bin32, str32
+      case 0xc7: return offset + 3 + view.getUint8(offset + 1);                     // ext8
+      case 0xc8: return offset + 4 + view.getUint16(offset + 1);                    // ext16
+      case 0xc9: return offset + 6 + view.getUint32(offset + 1);                    // ext32
+      case 0xcc: case 0xd0: return offset + 2;                                      // (u)int8
+      case 0xcd: case 0xd1: return offset + 3;                                      // (u)int16
+      case 0xca: case 0xce: case 0xd2: return offset + 5;                           // float32, (u)int32
+      case 0xcb: case 0xcf: case 0xd3: return offset + 9;                           // float64, (u)int64
+      case 0xd4: return offset + 3;                                                 // fixext1
+      case 0xd5: return offset + 4;                                                 // fixext2
+      case 0xd6: return offset + 6;                                                 // fixext4
+      case 0xd7: return offset + 10;                                                // fixext8
+      case 0xd8: return offset + 18;                                                // fixext16
+      default: throw new Error(`unsupported MessagePack type 0x${type.toString(16)} at byte ${offset}`);
+    }
+  }
+
+  /**
+   * Encode a short string (fixstr / str8)
+   * @returns {Array<number>}
+   */
+  static encodeString(value) {
+    const bytes = [...new TextEncoder().encode(value)];
+    return bytes.length < 32 ? [0xa0 | bytes.length, ...bytes] : [0xd9, bytes.length, ...bytes];
+  }
+
+  /**
+   * Encode an unsigned integer
+   * @returns {Array<number>}
+   */
+  static encodeUint(value) {
+    if (value <= 0x7f) return [value];
+    if (value <= 0xff) return [0xcc, value];
+    if (value <= 0xffff) return [0xcd, value >> 8, value & 0xff];
+    return [0xce, (value >>> 24) & 0xff, (value >>> 16) & 0xff, (value >>> 8) & 0xff, value & 0xff];
+  }
+
+  /**
+   * Encode an array header
+   * @returns {Array<number>}
+   */
+  static encodeArrayHeader(count) {
+    if (count <= 0x0f) return [0x90 | count];
+    if (count <= 0xffff) return [0xdc, count >> 8, count & 0xff];
+    return [0xdd, (count >>> 24) & 0xff, (count >>> 16) & 0xff, (count >>> 8) & 0xff, count & 0xff];
+  }
+}
+
+// ============================================================================
+// EXPORT
+// ============================================================================
+
+// Make available globally
+window.MindFileMerger = MindFileMerger;
+
+console.log('✅ MindFileMerger module loaded');
@@ -10,22 +10,106 @@
 // - Confidence scoring
 //
 // Model trained on: Cool Mint vs Spearmint Zyn products
+// Label mapping: metadata.json labels ↔ product.ml.label
+// One instance per model - see MLModelRegistry (ml-model-registry.js)
 // ============================================================================
 
 class MLClassifier {
-  constructor() {
+  /**
+   * @param {Object} options - Model registry entry
+   *   { id, version, modelURL, metadataURL, imageSize, labels, backend, thresholds, calibrationURL }
+   */
+  constructor(options = {}) {
     this.model = null;
     this.initialized = false;
     this.isProcessing = false;
-    this.modelURL = './js/mlModels/model.json';
-    this.metadataURL = './js/mlModels/metadata.json';
+    this.modelId = options.id || 'default';
+    this.version = options.version || null;
+    this.modelURL = options.modelURL || './js/mlModels/model.json';
+    this.metadataURL = options.metadataURL || './js/mlModels/metadata.json';
+    this.expectedLabels = options.labels || null; // Labels the registry says this model has
+    this.calibrationURL = options.calibrationURL || null; // From scripts/calibrate-model.js
+    this.calibration = null; // { temperature, thresholds } once loaded
+    this.backend = options.backend ?? window.CONFIG?.ml?.backend ?? 'teachable'; // 'teachable' | 'knn'
+    this.runsInWorker = false; // Set in initialize() when the model runs in ml-worker.js
+    this.loadedFromCache = false; // Set in initialize() when weights came from IndexedDB
 
     // Configuration
     this.config = {
-      confidenceThreshold: 0.70, // 70% minimum confidence
+      confidenceThreshold: 0.70, // 70% minimum confidence (labels without their own threshold)
+      thresholds: {              // Per-label minimum confidence, e.g. { 'Cool Mint': 0.85 }
+        ...(window.CONFIG?.ml?.thresholds || {}),
+        ...(options.thresholds || {})
+      },
       debugMode: window.CONFIG?.debug?.verbose ?? true,
-      throttleInterval: 500, // Process twice per second (faster than OCR!)
-      imageSize: 224 // Teachable Machine default
+      throttleInterval: window.CONFIG?.ml?.throttleInterval ?? 500, // Re-classification interval while tracked
+      imageSize: options.imageSize || 224, // Teachable Machine default
+
+      // Multi-frame voting (see classifyWithVoting)
+      voting: {
+        enabled: true,
+        frames: 5,          // Number of frames to sample
+        windowMs: 1000,     // Time span the frames are spread across
+        strategy: 'mean',   // 'mean' | 'majority' | 'ema'
+        emaAlpha: 0.5,      // Smoothing factor for 'ema' (higher = favour recent frames)
+        minAgreement: 0.6,  // Share of frames whose top label must match the winner
+        ...(window.CONFIG?.ml?.voting || {})
+      },
+
+      // Persist Teachable Machine models in IndexedDB (tf.io indexeddb://)
+      cache: {
+        enabled: true,
+        prefix: 'ar-ml',    // Keys: indexeddb://<prefix>-<modelId>@<version>
+        ...(window.CONFIG?.ml?.cache || {})
+      },
+
+      // Run the Teachable Machine model in a Web Worker (see ml-worker-model.js)
+      worker: {
+        enabled: true,
+        workerURL: './js/ml-worker.js',
+        ...(window.CONFIG?.ml?.worker || {})
+      },
+
+      // kNN backend (see knn-classifier.js)
+      knn: {
+        embeddingModelURL: './vendor/ml-runtime/models/mobilenet_v2_100_224-feature_vector-3/model.json',
+        fromTFHub: false,
+        k: 5,               // Neighbours that vote on the class
+        ...(window.CONFIG?.ml?.knn || {})
+      },
+
+      // Open-set rejection: report "unknown product" instead of forcing a match
+      unknown: {
+        enabled: true,
+        rejectLabels: ['Background', 'Other', 'Unknown'], // Trained "none of the above" classes
+        minMargin: null,    // Top-1 minus top-2 probability must reach this (null = off)
+        maxEntropy: null,   // Normalized prediction entropy (0-1) must stay below this (null = off)
+        minSimilarity: 0.5, // kNN only: best cosine similarity to any reference must reach this
+        ...(window.CONFIG?.ml?.unknown || {})
+      },
+
+      // Crop input to the tracked target's screen-space quad (see target-cropper.js)
+      crop: {
+        enabled: true,
+        debug: false,       // Show the cropped input on screen
+        ...(window.CONFIG?.ml?.crop || {})
+      },
+
+      // Fuse colour-histogram scores with the model (see color-histogram.js)
+      ensemble: {
+        enabled: false,
+        weights: { model: 0.7, color: 0.3 }, // Relative share of each score
+        reference: 'auto',  // 'auto' | 'palette' | 'image' | 'colors'
+        ...(window.CONFIG?.ml?.ensemble || {})
+      },
+
+      // Continuous re-classification of shared targets (see app.js)
+      reclassification: {
+        enabled: true,
+        switchMargin: 0.1,  // Challenger needs its label threshold + switchMargin
+        switchFrames: 3,    // Consecutive wins before the product switches
+        ...(window.CONFIG?.ml?.reclassification || {})
+      }
     };
 
     // Performance tracking
@@ -37,11 +121,23 @@ class MLClassifier {
     };
 
     // Label mapping (from Teachable Machine to product IDs)
-    this.labelMap = {
-      'Cool Mint': 'product-2',
-      'Spearmint': 'product-1'
+    // Built in initialize() from metadata.json labels + each product's ml.label
+    this.labelMap = {};
+
+    // Labels/products that could not be matched (see buildLabelMap)
+    this.labelReport = {
+      unmappedLabels: [],
+      productsWithoutLabel: []
     };
 
+    // Colour-histogram matcher, set in initialize() when the ensemble is enabled
+    this.colorMatcher = null;
+
+    // Target cropper (optional - falls back to full frame if not loaded)
+    this.cropper = window.TargetCropper
+      ? new TargetCropper({ outputSize: this.config.imageSize, debug: this.config.crop.debug })
+      : null;
+
     console.log('🤖 MLClassifier initialized');
   }
 
@@ -51,6 +147,7 @@ class MLClassifier {
 
   /**
    * Initialize the ML classifier with Teachable Machine model
+   * (or reference embeddings when backend is 'knn')
    * @param {Array} products - Array of product objects from config
    */
   async initialize(products) {
@@ -59,21 +156,33 @@ class MLClassifier {
       return false;
     }
 
-    console.log(`🔄 Loading ML model from ${this.modelURL}...`);
+    console.log(`🔄 Loading ML model "${this.modelId}"${this.version ? ` v${this.version}` : ''} (${this.backend}) from ${this.backend === 'knn' ? this.config.knn.embeddingModelURL : this.modelURL}...`);
     const startTime = performance.now();
 
     try {
-      // Check if TensorFlow.js and Teachable Machine are loaded
-      if (typeof tf === 'undefined') {
+      if (this.shouldUseWorker()) {
+        await this.initializeWorker(products);
+      } else if (typeof tf === 'undefined') {
+        // Check if TensorFlow.js is loaded
         throw new Error('TensorFlow.js not loaded. Include tfjs script in HTML.');
-      }
+      } else if (this.backend === 'knn') {
+        await this.initializeKNN(products);
+      } else {
+        if (typeof tmImage === 'undefined') {
+          throw new Error('Teachable Machine library not loaded. Include tm-image script in HTML.');
+        }
+
+        // Load the Teachable Machine model (IndexedDB cache first)
+        const metadata = await this.loadMetadata();
+        this.model = await this.loadTeachableModel(metadata);
 
-      if (typeof tmImage === 'undefined') {
-        throw new Error('Teachable Machine library not loaded. Include tm-image script in HTML.');
+        // Match model labels to products (ml.label in products.json / Supabase)
+        const labels = metadata?.labels?.length > 0 ? metadata.labels : this.model.getClassLabels();
+        this.buildLabelMap(labels, products);
       }
 
-      // Load the Teachable Machine model
-      this.model = await tmImage.load(this.modelURL, this.metadataURL);
+      await this.loadCalibration();
+      await this.initializeColorMatcher(products);
 
       this.initialized = true;
       const loadTime = (performance.now() - startTime).toFixed(2);
@@ -94,6 +203,366 @@ class MLClassifier {
     }
   }
 
+  /**
+   * Check if the model should run in a Web Worker
+   * Only the Teachable Machine backend supports it, and the browser needs
+   * Worker + OffscreenCanvas + createImageBitmap
+   * @returns {boolean}
+   */
+  shouldUseWorker() {
+    return this.config.worker.enabled &&
+      this.backend === 'teachable' &&
+      typeof WorkerModel !== 'undefined' &&
+      typeof MLRuntimeLoader !== 'undefined' &&
+      WorkerModel.isSupported();
+  }
+
+  /**
+   * Load the Teachable Machine model inside a Web Worker
+   * TF.js is loaded by the worker, never on the main thread
+   * @param {Array} products - Array of product objects from config
+   */
+  async initializeWorker(products) {
+    // Pinned, integrity-checked TF.js (see ml-runtime-loader.js)
+    const tfjs = await new MLRuntimeLoader().resolve('tfjs');
+
+    this.model = new WorkerModel({
+      workerURL: this.config.worker.workerURL,
+      tfjs: tfjs,
+      modelURL: this.modelURL,
+      metadataURL: this.metadataURL,
+      imageSize: this.config.imageSize,
+      modelId: this.modelId,
+      version: this.version,
+      cache: this.config.cache
+    });
+    await this.model.load();
+    this.runsInWorker = true;
+    this.loadedFromCache = this.model.fromCache;
+
+    // Worker reads labels from metadata.json
+    this.buildLabelMap(this.model.getClassLabels(), products);
+  }
+
+  /**
+   * Load the kNN backend: embedding model + per-product reference embeddings
+   * Each class is one product, so the label map comes from the references
+   * @param {Array} products - Array of product objects from config
+   */
+  async initializeKNN(products) {
+    if (typeof KNNClassifier === 'undefined') {
+      throw new Error('KNNClassifier not loaded. Include knn-classifier.js in HTML.');
+    }
+
+    this.model = new KNNClassifier({
+      embeddingModelURL: this.config.knn.embeddingModelURL,
+      fromTFHub: this.config.knn.fromTFHub,
+      imageSize: this.config.imageSize,
+      k: this.config.knn.k
+    });
+    await this.model.load(products);
+
+    if (this.model.getTotalClasses() === 0) {
+      throw new Error('No product has reference embeddings (ml.embeddings or ml.embeddingsPath)');
+    }
+
+    this.labelMap = this.model.getLabelMap();
+    this.labelReport = {
+      unmappedLabels: [],
+      productsWithoutLabel: [...this.model.productsWithoutEmbeddings]
+    };
+
+    console.log('🏷️ ML label mapping:', this.labelMap);
+  }
+
+  /**
+   * Read metadata.json (labels, export timestamp)
+   * Revalidated on every load so a re-exported model invalidates the cache
+   * @returns {Promise<Object|null>} - Metadata, or null if unavailable
+   */
+  async loadMetadata() {
+    try {
+      const response = await fetch(this.metadataURL, { cache: 'no-cache' });
+      if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`);
+      }
+      const metadata = await response.json();
+
+      if (!Array.isArray(metadata.labels) || metadata.labels.length === 0) {
+        console.warn('⚠️ metadata.json has no labels, using model class labels');
+      }
+
+      return metadata;
+    } catch (error) {
+      console.warn('⚠️ Could not read model metadata, using model class labels:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Build label → product ID mapping from model labels and product config
+   * Each product declares which model label identifies it via `ml.label`
+   * @param {Array<string>} labels - Model class labels
+   * @param {Array} products - Array of product objects from config
+   * @returns {Object} - Report with unmappedLabels and productsWithoutLabel
+   */
+  buildLabelMap(labels, products) {
+    const labelMap = {};
+    const productsWithoutLabel = [];
+
+    // Registry labels describe what the model should contain - catch stale model files
+    if (this.expectedLabels && this.expectedLabels.join('|') !== labels.join('|')) {
+      console.warn(`⚠️ Model "${this.modelId}" labels [${labels.join(', ')}] differ from registry [${this.expectedLabels.join(', ')}]`);
+    }
+
+    products.forEach(product => {
+      const label = product.ml?.label;
+
+      if (!label) {
+        productsWithoutLabel.push(product.id);
+        return;
+      }
+
+      if (!labels.includes(label)) {
+        console.warn(`⚠️ Product ${product.id} uses ML label "${label}" which is not in the model`);
+        productsWithoutLabel.push(product.id);
+        return;
+      }
+
+      if (labelMap[label]) {
+        console.warn(`⚠️ ML label "${label}" is used by both ${labelMap[label]} and ${product.id}, keeping ${labelMap[label]}`);
+        return;
+      }
+
+      labelMap[label] = product.id;
+    });
+
+    const unmappedLabels = labels.filter(label => !labelMap[label] && !this.isRejectLabel(label));
+
+    this.labelMap = labelMap;
+    this.labelReport = { unmappedLabels, productsWithoutLabel };
+
+    console.log('🏷️ ML label mapping:', this.labelMap);
+
+    if (unmappedLabels.length > 0) {
+      console.warn(`⚠️ Model labels with no product: ${unmappedLabels.join(', ')}`);
+    }
+
+    if (productsWithoutLabel.length > 0) {
+      console.warn(`⚠️ Products with no ML label: ${productsWithoutLabel.join(', ')}`);
+    }
+
+    return this.labelReport;
+  }
+
+  // ============================================================================
+  // MODEL CACHE (IndexedDB)
+  // ============================================================================
+
+  /**
+   * Get the IndexedDB key for this model version
+   * Version = registry version (products.json / Supabase) + metadata.json
+   * export timestamp, so either changing triggers a re-download
+   * @param {Object|null} metadata - Model metadata
+   * @returns {string|null} - indexeddb:// URL, or null if caching is off / unversioned
+   */
+  getCacheKey(metadata) {
+    const version = [this.version, metadata?.timeStamp].filter(Boolean).join('+');
+
+    if (!this.config.cache.enabled || !version || typeof indexedDB === 'undefined') {
+      return null;
+    }
+
+    return `indexeddb://${this.config.cache.prefix}-${this.modelId}@${version}`;
+  }
+
+  /**
+   * Load the Teachable Machine model from IndexedDB, or download and cache it
+   * @param {Object|null} metadata - Model metadata (from loadMetadata)
+   * @returns {Promise<Object>} - tmImage model
+   */
+  async loadTeachableModel(metadata) {
+    const cacheKey = this.getCacheKey(metadata);
+    const tmMetadata = metadata || this.metadataURL;
+
+    if (cacheKey) {
+      try {
+        const model = await tmImage.load(cacheKey, tmMetadata);
+        this.loadedFromCache = true;
+        console.log(`💾 ML model loaded from cache (${cacheKey})`);
+        return model;
+      } catch (error) {
+        // Not cached yet (or cache unreadable) - download below
+      }
+    }
+
+    const model = await tmImage.load(this.modelURL, tmMetadata);
+    this.loadedFromCache = false;
+
+    if (cacheKey) {
+      await this.saveToCache(model.model, cacheKey);
+    }
+
+    return model;
+  }
+
+  /**
+   * Save model weights to IndexedDB and drop older versions of this model
+   * Cache failures (quota, private mode) are logged, never fatal
+   * @param {tf.LayersModel} layersModel - Underlying TF.js model
+   * @param {string} cacheKey - indexeddb:// URL for this version
+   */
+  async saveToCache(layersModel, cacheKey) {
+    try {
+      await layersModel.save(cacheKey);
+
+      const versionPrefix = `indexeddb://${this.config.cache.prefix}-${this.modelId}@`;
+      const cached = await tf.io.listModels();
+
+      for (const key of Object.keys(cached)) {
+        if (key.startsWith(versionPrefix) && key !== cacheKey) {
+          await tf.io.removeModel(key);
+          console.log(`🗑️ Removed outdated cached model ${key}`);
+        }
+      }
+
+      console.log(`💾 ML model cached (${cacheKey})`);
+    } catch (error) {
+      console.warn('⚠️ Could not cache ML model:', error.message);
+    }
+  }
+
+  // ============================================================================
+  // CALIBRATION & THRESHOLDS
+  // ============================================================================
+
+  /**
+   * Load the temperature-scaling / threshold file for this model (optional)
+   * A missing or broken file only disables calibration
+   */
+  async loadCalibration() {
+    this.calibration = null;
+
+    if (!this.calibrationURL) {
+      return;
+    }
+
+    try {
+      const response = await fetch(this.calibrationURL, { cache: 'no-cache' });
+      if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`);
+      }
+      const calibration = await response.json();
+
+      this.calibration = {
+        temperature: calibration.temperature > 0 ? calibration.temperature : 1,
+        thresholds: calibration.thresholds || {}
+      };
+
+      console.log(`🌡️ ML calibration loaded (T = ${this.calibration.temperature})`, this.calibration.thresholds);
+    } catch (error) {
+      console.warn(`⚠️ Could not load ML calibration from ${this.calibrationURL}:`, error.message);
+    }
+  }
+
+  /**
+   * Build colour references for the ensemble (optional)
+   * Needs at least two labels with a reference - a single one would always score 1
+   * @param {Array} products - Array of product objects from config
+   */
+  async initializeColorMatcher(products) {
+    this.colorMatcher = null;
+
+    if (!this.config.ensemble.enabled) {
+      return;
+    }
+
+    if (!window.ColorHistogramMatcher) {
+      console.warn('⚠️ Colour ensemble enabled but color-histogram.js is not loaded');
+      return;
+    }
+
+    try {
+      const matcher = new ColorHistogramMatcher({ reference: this.config.ensemble.reference });
+      await matcher.initialize(products.filter(p => p.ml?.label && this.labelMap[p.ml.label] === p.id));
+
+      if (Object.keys(matcher.references).length < 2) {
+        console.warn('⚠️ Colour ensemble needs references for at least two labels, disabled');
+        return;
+      }
+
+      this.colorMatcher = matcher;
+      console.log('🎨 Colour ensemble enabled', this.config.ensemble.weights);
+    } catch (error) {
+      console.warn('⚠️ Could not build colour references, ensemble disabled:', error.message);
+    }
+  }
+
+  /**
+   * Apply temperature scaling to model predictions
+   * p_i^(1/T) renormalized = softmax(logits / T), so ranking is unchanged
+   * @param {Array} predictions - [{ className, probability, ... }]
+   * @returns {Array} - Same shape with calibrated probability and rawProbability
+   */
+  calibrate(predictions) {
+    const temperature = this.calibration?.temperature ?? 1;
+
+    if (temperature === 1) {
+      return predictions.map(p => ({ ...p, rawProbability: p.probability }));
+    }
+
+    const scaled = predictions.map(p => Math.pow(Math.max(p.probability, 1e-12), 1 / temperature));
+    const sum = scaled.reduce((a, b) => a + b, 0);
+
+    return predictions.map((p, i) => ({
+      ...p,
+      probability: scaled[i] / sum,
+      rawProbability: p.probability
+    }));
+  }
+
+  /**
+   * Mix colour scores into the (calibrated) model probabilities
+   * Labels with a colour reference share the probability mass the model gave
+   * them, re-split by weights.model × model + weights.color × colour score.
+   * Other labels (Background, ...) keep their probability, so the sum stays 1
+   * @param {Array} predictions - Calibrated [{ className, probability, ... }]
+   * @param {Object} colorScores - { label: score } from ColorHistogramMatcher.match
+   * @returns {Array} - Same shape with fused probability, modelProbability and colorScore
+   */
+  fuseColorScores(predictions, colorScores) {
+    const { model: modelWeight, color: colorWeight } = this.config.ensemble.weights;
+    const mass = predictions
+      .filter(p => colorScores[p.className] !== undefined)
+      .reduce((sum, p) => sum + p.probability, 0);
+
+    return predictions.map(p => {
+      const colorScore = colorScores[p.className];
+      if (colorScore === undefined) {
+        return { ...p, modelProbability: p.probability, colorScore: null };
+      }
+
+      return {
+        ...p,
+        probability: (modelWeight * p.probability + colorWeight * colorScore * mass) / (modelWeight + colorWeight),
+        modelProbability: p.probability,
+        colorScore: colorScore
+      };
+    });
+  }
+
+  /**
+   * Get the minimum (calibrated) confidence for a label
+   * Priority: config thresholds (CONFIG.ml.thresholds / registry) > calibration file > confidenceThreshold
+   * @param {string} label - Model class label
+   * @returns {number} - Threshold (0-1)
+   */
+  getThreshold(label) {
+    return this.config.thresholds[label] ??
+      this.calibration?.thresholds?.[label] ??
+      this.config.confidenceThreshold;
+  }
+
   // ============================================================================
   // PRODUCT CLASSIFICATION
   // ============================================================================
@@ -101,9 +570,10 @@ class MLClassifier {
   /**
    * Classify product from video element using ML model
    * @param {HTMLVideoElement} videoElement - Video source from camera
+   * @param {Object} options - { targetEntity } to crop the input to the tracked target
    * @returns {Promise<Object>} - Classification result with productId and confidence
    */
-  async classifyProduct(videoElement) {
+  async classifyProduct(videoElement, options = {}) {
     if (!this.initialized) {
       console.warn('⚠️ MLClassifier not initialized');
       return null;
@@ -128,7 +598,8 @@ class MLClassifier {
         console.log('🤖 Running ML classification...');
       }
 
-      const predictions = await this.model.predict(videoElement);
+      const input = this.getModelInput(videoElement, options.targetEntity);
+      const predictions = await this.predictFrame(input.image);
 
       // Process predictions
       const inferenceTime = performance.now() - startTime;
@@ -138,7 +609,10 @@ class MLClassifier {
 
       const topPrediction = predictions[0];
       const confidence = topPrediction.probability;
+      const rawConfidence = topPrediction.rawProbability;
+      const modelConfidence = topPrediction.modelProbability ?? confidence;
       const label = topPrediction.className;
+      const threshold = this.getThreshold(label);
 
       // Log all predictions if debug mode
       if (this.config.debugMode) {
@@ -146,7 +620,10 @@ class MLClassifier {
         console.log('🤖 ML Classification Results:');
         predictions.forEach((pred, idx) => {
           const emoji = idx === 0 ? '✓' : '○';
-          console.log(`  ${emoji} ${pred.className}: ${(pred.probability * 100).toFixed(1)}%`);
+          const ensemble = pred.colorScore != null
+            ? ` (model ${(pred.modelProbability * 100).toFixed(1)}%, colour ${(pred.colorScore * 100).toFixed(1)}%)`
+            : '';
+          console.log(`  ${emoji} ${pred.className}: ${(pred.probability * 100).toFixed(1)}%${ensemble}`);
         });
       }
 
@@ -156,13 +633,18 @@ class MLClassifier {
         (this.stats.averageInferenceTime * (this.stats.totalClassifications - 1) + inferenceTime) /
         this.stats.totalClassifications;
 
-      // Check confidence threshold
-      if (confidence < this.config.confidenceThreshold) {
+      // Trained "background/other" class won
+      if (this.config.unknown.enabled && this.isRejectLabel(label)) {
+        return this.createUnknownResult('reject-label', predictions, { inferenceTime, cropped: input.cropped });
+      }
+
+      // Check confidence threshold (per label)
+      if (confidence < threshold) {
         this.stats.failedMatches++;
 
         if (this.config.debugMode) {
           console.log(`⚠️ Low confidence: ${label} (${(confidence * 100).toFixed(1)}%)`);
-          console.log(`   Threshold: ${(this.config.confidenceThreshold * 100).toFixed(0)}%`);
+          console.log(`   Threshold: ${(threshold * 100).toFixed(0)}%`);
           console.log(`⚡ Inference time: ${inferenceTime.toFixed(2)}ms`);
           console.log('═══════════════════════════════════');
         }
@@ -170,6 +652,12 @@ class MLClassifier {
         return null;
       }
 
+      // Confident but ambiguous - likely a package the model wasn't trained on
+      const openSetReason = this.checkOpenSet(predictions);
+      if (openSetReason) {
+        return this.createUnknownResult(openSetReason, predictions, { inferenceTime, cropped: input.cropped });
+      }
+
       // Map label to product ID
       const productId = this.labelMap[label];
 
@@ -192,13 +680,23 @@ class MLClassifier {
       return {
         productId: productId,
         confidence: confidence,
+        rawConfidence: rawConfidence,
+        modelConfidence: modelConfidence,
+        colorScore: topPrediction.colorScore ?? null,
+        ensembleWeights: this.colorMatcher ? this.config.ensemble.weights : null,
+        calibrated: this.calibration !== null,
+        threshold: threshold,
         label: label,
         allPredictions: predictions.map(p => ({
           label: p.className,
           productId: this.labelMap[p.className],
-          confidence: p.probability
+          confidence: p.probability,
+          rawConfidence: p.rawProbability,
+          modelConfidence: p.modelProbability ?? p.probability,
+          colorScore: p.colorScore ?? null
         })),
-        inferenceTime: inferenceTime
+        inferenceTime: inferenceTime,
+        cropped: input.cropped
       };
 
     } catch (error) {
@@ -209,6 +707,430 @@ class MLClassifier {
     }
   }
 
+  /**
+   * Pick the image fed to the model
+   * Crops to the tracked target when possible, otherwise uses the full frame
+   * @param {HTMLVideoElement} videoElement - Video source from camera
+   * @param {Element} targetEntity - Tracked mindar-image-target entity (optional)
+   * @returns {Object} - { image, cropped }
+   */
+  getModelInput(videoElement, targetEntity) {
+    if (this.config.crop.enabled && this.cropper && targetEntity) {
+      const crop = this.cropper.cropTarget(videoElement, targetEntity);
+      if (crop) {
+        return { image: crop, cropped: true };
+      }
+
+      if (this.config.debugMode) {
+        console.log('⚠️ Target quad unavailable, classifying full frame');
+      }
+    }
+
+    return { image: videoElement, cropped: false };
+  }
+
+  /**
+   * Model predictions for one image, fused with colour scores when the
+   * ensemble is enabled
+   * @param {HTMLCanvasElement|HTMLVideoElement} image - Model input
+   * @returns {Promise<Array>} - [{ className, probability, rawProbability, modelProbability?, colorScore? }]
+   */
+  async predictFrame(image) {
+    // Histogram first - reads the same frame the model gets
+    const colorScores = this.colorMatcher ? this.colorMatcher.match(image) : null;
+    const predictions = this.calibrate(await this.model.predict(image));
+
+    return colorScores ? this.fuseColorScores(predictions, colorScores) : predictions;
+  }
+
+  /**
+   * Raw model output for an image, without thresholds, label mapping or stats
+   * (used by DataCollector to record what the model thought of a saved crop)
+   * @param {HTMLCanvasElement|HTMLVideoElement} image - Model input
+   * @returns {Promise<Array>} - Calibrated [{ className, probability, rawProbability }], best first
+   */
+  async predictImage(image) {
+    if (!this.isReady()) {
+      return [];
+    }
+
+    const predictions = await this.predictFrame(image);
+    return predictions.sort((a, b) => b.probability - a.probability);
+  }
+
+  /**
+   * Classify product over several frames and vote on the result
+   * Samples `frames` predictions spread across `windowMs` and only returns a
+   * match when the aggregate is confident and stable, so a single frame with
+   * glare or motion blur can't pick the wrong variant
+   * @param {HTMLVideoElement} videoElement - Video source from camera
+   * @param {Object} options - Overrides for config.voting, plus isCancelled()
+   * @returns {Promise<Object>} - Classification result (classifyProduct shape + voting info)
+   */
+  async classifyWithVoting(videoElement, options = {}) {
+    if (!this.initialized) {
+      console.warn('⚠️ MLClassifier not initialized');
+      return null;
+    }
+
+    if (!videoElement || videoElement.readyState < 2) {
+      console.warn('⚠️ Video element not ready');
+      return null;
+    }
+
+    if (this.isProcessing) {
+      console.log('⏭️ ML already processing, skipping...');
+      return null;
+    }
+
+    const { isCancelled, targetEntity, ...overrides } = options;
+    const voting = { ...this.config.voting, ...overrides };
+    const frameCount = Math.max(1, voting.frames);
+    const interval = frameCount > 1 ? voting.windowMs / (frameCount - 1) : 0;
+
+    this.isProcessing = true;
+
+    try {
+      if (this.config.debugMode) {
+        console.log(`🗳️ Running ML voting (${frameCount} frames, ${voting.strategy})...`);
+      }
+
+      // Sample frames
+      const frames = [];
+      let totalInferenceTime = 0;
+      let croppedFrames = 0;
+
+      for (let i = 0; i < frameCount; i++) {
+        if (isCancelled && isCancelled()) {
+          if (this.config.debugMode) {
+            console.log('⏹️ ML voting cancelled');
+          }
+          return null;
+        }
+
+        if (videoElement.readyState >= 2) {
+          const startTime = performance.now();
+          const input = this.getModelInput(videoElement, targetEntity);
+          frames.push(await this.predictFrame(input.image));
+          totalInferenceTime += performance.now() - startTime;
+          if (input.cropped) {
+            croppedFrames++;
+          }
+        }
+
+        if (i < frameCount - 1) {
+          await new Promise(resolve => setTimeout(resolve, interval));
+        }
+      }
+
+      if (frames.length === 0) {
+        console.warn('⚠️ No frames sampled for ML voting');
+        return null;
+      }
+
+      const inferenceTime = totalInferenceTime / frames.length;
+      const aggregate = this.aggregatePredictions(frames, voting);
+      const rawScores = this.aggregatePredictions(
+        frames.map(frame => frame.map(p => ({ ...p, probability: p.rawProbability }))),
+        voting
+      ).scores;
+
+      // Ensemble parts: model score aggregated like the fused score, colour score averaged
+      const modelScores = this.aggregatePredictions(
+        frames.map(frame => frame.map(p => ({ ...p, probability: p.modelProbability ?? p.probability }))),
+        voting
+      ).scores;
+      const colorScores = {};
+      frames.forEach(frame => frame.forEach(p => {
+        if (p.colorScore != null) {
+          colorScores[p.className] = (colorScores[p.className] || 0) + p.colorScore / frames.length;
+        }
+      }));
+
+      const predictions = Object.entries(aggregate.scores)
+        .map(([className, probability]) => {
+          const prediction = {
+            className,
+            probability,
+            rawProbability: rawScores[className],
+            modelProbability: modelScores[className],
+            colorScore: colorScores[className] ?? null
+          };
+          if (aggregate.similarities[className] !== undefined) {
+            prediction.similarity = aggregate.similarities[className];
+          }
+          return prediction;
+        })
+        .sort((a, b) => b.probability - a.probability);
+
+      const label = predictions[0].className;
+      const confidence = predictions[0].probability;
+      const rawConfidence = predictions[0].rawProbability;
+      const threshold = this.getThreshold(label);
+      const agreement = (aggregate.votes[label] || 0) / frames.length;
+
+      // Log aggregate if debug mode
+      if (this.config.debugMode) {
+        console.log('═══════════════════════════════════');
+        console.log(`🗳️ ML Voting Results (${frames.length} frames, ${voting.strategy}):`);
+        predictions.forEach((pred, idx) => {
+          const emoji = idx === 0 ? '✓' : '○';
+          const votes = aggregate.votes[pred.className] || 0;
+          console.log(`  ${emoji} ${pred.className}: ${(pred.probability * 100).toFixed(1)}% (${votes} vote(s))`);
+        });
+      }
+
+      // Update stats
+      this.stats.totalClassifications++;
+      this.stats.averageInferenceTime =
+        (this.stats.averageInferenceTime * (this.stats.totalClassifications - 1) + inferenceTime) /
+        this.stats.totalClassifications;
+
+      const votingInfo = {
+        strategy: voting.strategy,
+        framesSampled: frames.length,
+        votes: aggregate.votes,
+        agreement: agreement
+      };
+
+      // Trained "background/other" class won the vote
+      if (this.config.unknown.enabled && this.isRejectLabel(label) && agreement >= voting.minAgreement) {
+        return this.createUnknownResult('reject-label', predictions, {
+          inferenceTime,
+          cropped: croppedFrames === frames.length,
+          voting: votingInfo
+        });
+      }
+
+      // Check confidence and stability
+      const isConfident = confidence >= threshold;
+      const isStable = agreement >= voting.minAgreement;
+      const productId = this.labelMap[label];
+
+      // Stable and confident but ambiguous - likely an untrained package
+      const openSetReason = isConfident && isStable ? this.checkOpenSet(predictions) : null;
+      if (openSetReason) {
+        return this.createUnknownResult(openSetReason, predictions, {
+          inferenceTime,
+          cropped: croppedFrames === frames.length,
+          voting: votingInfo
+        });
+      }
+
+      if (!isConfident || !isStable || !productId) {
+        this.stats.failedMatches++;
+
+        if (this.config.debugMode) {
+          if (!productId) {
+            console.warn(`⚠️ Unknown label: ${label}`);
+          } else if (!isConfident) {
+            console.log(`⚠️ Low confidence: ${label} (${(confidence * 100).toFixed(1)}%)`);
+            console.log(`   Threshold: ${(threshold * 100).toFixed(0)}%`);
+          } else {
+            console.log(`⚠️ Unstable result: ${label} won ${(agreement * 100).toFixed(0)}% of frames`);
+            console.log(`   Required agreement: ${(voting.minAgreement * 100).toFixed(0)}%`);
+          }
+          console.log('═══════════════════════════════════');
+        }
+
+        return null;
+      }
+
+      this.stats.successfulMatches++;
+
+      if (this.config.debugMode) {
+        console.log(`✅ Product identified: ${productId} (${label})`);
+        console.log(`📊 Confidence: ${(confidence * 100).toFixed(1)}%, agreement: ${(agreement * 100).toFixed(0)}%`);
+        console.log(`⚡ Avg inference time: ${inferenceTime.toFixed(2)}ms`);
+        console.log('═══════════════════════════════════');
+      }
+
+      return {
+        productId: productId,
+        confidence: confidence,
+        rawConfidence: rawConfidence,
+        modelConfidence: predictions[0].modelProbability,
+        colorScore: predictions[0].colorScore,
+        ensembleWeights: this.colorMatcher ? this.config.ensemble.weights : null,
+        calibrated: this.calibration !== null,
+        threshold: threshold,
+        label: label,
+        allPredictions: predictions.map(p => ({
+          label: p.className,
+          productId: this.labelMap[p.className],
+          confidence: p.probability,
+          rawConfidence: p.rawProbability,
+          modelConfidence: p.modelProbability,
+          colorScore: p.colorScore
+        })),
+        inferenceTime: inferenceTime,
+        cropped: croppedFrames === frames.length,
+        voting: votingInfo
+      };
+
+    } catch (error) {
+      console.error('❌ ML voting failed:', error);
+      return null;
+    } finally {
+      this.isProcessing = false;
+    }
+  }
+
+  /**
+   * Aggregate per-frame predictions into one score per label
+   * - mean: average probability across frames
+   * - majority: share of frames where the label was the top prediction
+   * - ema: exponentially smoothed probability (recent frames weigh more)
+   * @param {Array<Array>} frames - Raw model predictions for each frame
+   * @param {Object} voting - Voting configuration
+   * @returns {Object} - { scores: {label: score}, votes: {label: topCount}, similarities: {label: meanSimilarity} }
+   */
+  aggregatePredictions(frames, voting) {
+    const scores = {};
+    const votes = {};
+    const similarities = {}; // kNN only: mean best-match similarity per label
+
+    frames.forEach((predictions, frameIndex) => {
+      const top = predictions.reduce((best, p) => (p.probability > best.probability ? p : best));
+      votes[top.className] = (votes[top.className] || 0) + 1;
+
+      predictions.forEach(p => {
+        const previous = scores[p.className];
+
+        if (p.similarity !== undefined) {
+          similarities[p.className] = (similarities[p.className] || 0) + p.similarity / frames.length;
+        }
+
+        switch (voting.strategy) {
+          case 'ema':
+            scores[p.className] = frameIndex === 0 || previous === undefined
+              ? p.probability
+              : voting.emaAlpha * p.probability + (1 - voting.emaAlpha) * previous;
+            break;
+          case 'majority':
+            scores[p.className] = 0; // Filled in from vote counts below
+            break;
+          default: // 'mean'
+            scores[p.className] = (previous || 0) + p.probability / frames.length;
+        }
+      });
+    });
+
+    if (voting.strategy === 'majority') {
+      Object.keys(scores).forEach(label => {
+        scores[label] = (votes[label] || 0) / frames.length;
+      });
+    }
+
+    return { scores, votes, similarities };
+  }
+
+  // ============================================================================
+  // OPEN-SET (UNKNOWN PRODUCT) REJECTION
+  // ============================================================================
+
+  /**
+   * Check if a label is a trained "none of the above" class
+   * @param {string} label - Model class label
+   * @returns {boolean}
+   */
+  isRejectLabel(label) {
+    return this.config.unknown.rejectLabels
+      .some(rejectLabel => rejectLabel.toLowerCase() === String(label).toLowerCase());
+  }
+
+  /**
+   * Check margin and entropy of (sorted) predictions
+   * A closed-set model always picks one of its classes; a small gap between
+   * the top two classes or a flat distribution suggests none of them fit
+   * @param {Array} predictions - Predictions sorted by probability (desc)
+   * @returns {string|null} - 'low-similarity', 'low-margin', 'high-entropy' or null if the result looks valid
+   */
+  checkOpenSet(predictions) {
+    if (!this.config.unknown.enabled) {
+      return null;
+    }
+
+    // kNN: closest reference is too far away to be any known product
+    if (predictions[0].similarity !== undefined && predictions[0].similarity < this.config.unknown.minSimilarity) {
+      return 'low-similarity';
+    }
+
+    if (predictions.length < 2) {
+      return null;
+    }
+
+    const { margin, entropy } = this.getUncertainty(predictions);
+
+    if (this.config.unknown.minMargin != null && margin < this.config.unknown.minMargin) {
+      return 'low-margin';
+    }
+
+    if (this.config.unknown.maxEntropy != null && entropy > this.config.unknown.maxEntropy) {
+      return 'high-entropy';
+    }
+
+    return null;
+  }
+
+  /**
+   * Compute top-2 margin and normalized entropy (0 = certain, 1 = uniform)
+   * @param {Array} predictions - Predictions sorted by probability (desc)
+   * @returns {Object} - { margin, entropy }
+   */
+  getUncertainty(predictions) {
+    const margin = predictions[0].probability - (predictions[1]?.probability ?? 0);
+
+    const total = predictions.reduce((sum, p) => sum + p.probability, 0) || 1;
+    const entropy = predictions.reduce((sum, p) => {
+      const prob = p.probability / total;
+      return prob > 0 ? sum - prob * Math.log(prob) : sum;
+    }, 0);
+
+    return {
+      margin: margin,
+      entropy: predictions.length > 1 ? entropy / Math.log(predictions.length) : 0
+    };
+  }
+
+  /**
+   * Build the result returned when the product is not recognized
+   * @param {string} reason - 'reject-label' | 'low-similarity' | 'low-margin' | 'high-entropy'
+   * @param {Array} predictions - Predictions sorted by probability (desc)
+   * @param {Object} extra - Additional result fields (inferenceTime, cropped, voting)
+   * @returns {Object} - Result with productId: null and unknown: true
+   */
+  createUnknownResult(reason, predictions, extra = {}) {
+    const { margin, entropy } = this.getUncertainty(predictions);
+
+    this.stats.failedMatches++;
+
+    if (this.config.debugMode) {
+      console.log(`❓ Product unrecognized (${reason}): top ${predictions[0].className} ${(predictions[0].probability * 100).toFixed(1)}%`);
+      console.log(`   Margin: ${(margin * 100).toFixed(1)}%, entropy: ${entropy.toFixed(2)}`);
+      console.log('═══════════════════════════════════');
+    }
+
+    return {
+      productId: null,
+      unknown: true,
+      reason: reason,
+      confidence: predictions[0].probability,
+      rawConfidence: predictions[0].rawProbability,
+      calibrated: this.calibration !== null,
+      label: predictions[0].className,
+      margin: margin,
+      entropy: entropy,
+      allPredictions: predictions.map(p => ({
+        label: p.className,
+        productId: this.labelMap[p.className],
+        confidence: p.probability,
+        rawConfidence: p.rawProbability
+      })),
+      ...extra
+    };
+  }
+
   // ============================================================================
   // CONFIGURATION
   // ============================================================================
@@ -226,6 +1148,26 @@ class MLClassifier {
     console.log(`🔧 Confidence threshold set to ${(threshold * 100).toFixed(0)}%`);
   }
 
+  /**
+   * Set the confidence threshold for one label
+   * @param {string} label - Model class label
+   * @param {number|null} threshold - Threshold value (0-1), or null to use the default
+   */
+  setLabelThreshold(label, threshold) {
+    if (threshold === null) {
+      delete this.config.thresholds[label];
+      console.log(`🔧 Threshold for ${label} reset to default`);
+      return;
+    }
+
+    if (threshold < 0 || threshold > 1) {
+      console.warn('⚠️ Invalid threshold, must be between 0 and 1');
+      return;
+    }
+    this.config.thresholds[label] = threshold;
+    console.log(`🔧 Threshold for ${label} set to ${(threshold * 100).toFixed(0)}%`);
+  }
+
   /**
    * Enable or disable debug mode
    * @param {boolean} enabled - Debug mode state
@@ -235,6 +1177,28 @@ class MLClassifier {
     console.log(`🔧 Debug mode ${enabled ? 'enabled' : 'disabled'}`);
   }
 
+  /**
+   * Enable or disable cropping to the tracked target
+   * @param {boolean} enabled - Crop state
+   * @param {boolean} debug - Show the cropped input on screen
+   */
+  setCropMode(enabled, debug = this.config.crop.debug) {
+    this.config.crop = { ...this.config.crop, enabled, debug };
+    if (this.cropper) {
+      this.cropper.setDebug(debug);
+    }
+    console.log(`🔧 Target crop ${enabled ? 'enabled' : 'disabled'}${debug ? ' (debug)' : ''}`);
+  }
+
+  /**
+   * Update multi-frame voting configuration
+   * @param {Object} options - Partial voting config (enabled, frames, windowMs, strategy, ...)
+   */
+  setVotingConfig(options) {
+    this.config.voting = { ...this.config.voting, ...options };
+    console.log('🔧 Voting config updated:', this.config.voting);
+  }
+
   /**
    * Update label mapping
    * @param {Object} mapping - Label to product ID mapping
@@ -292,10 +1256,18 @@ class MLClassifier {
     }
 
     return {
+      id: this.modelId,
+      version: this.version,
+      backend: this.backend,
+      runsInWorker: this.runsInWorker,
+      loadedFromCache: this.loadedFromCache,
       classes: this.model.getTotalClasses(),
       labels: this.model.getClassLabels(),
       inputShape: this.model.getInputShape ? this.model.getInputShape() : [1, 224, 224, 3],
-      labelMap: this.labelMap
+      labelMap: this.labelMap,
+      labelReport: this.labelReport,
+      calibration: this.calibration,
+      ensemble: this.colorMatcher ? { weights: this.config.ensemble.weights, labels: Object.keys(this.colorMatcher.references) } : null
     };
   }
 
@@ -306,6 +1278,9 @@ class MLClassifier {
     if (this.model) {
       console.log('🧹 Cleaning up ML model...');
       // Teachable Machine models handle cleanup automatically
+      if (this.backend === 'knn' || this.runsInWorker) {
+        this.model.dispose();
+      }
       this.model = null;
       this.initialized = false;
       console.log('✅ ML model disposed');
@@ -0,0 +1,192 @@
+// ============================================================================
+// ML MODEL REGISTRY - One classifier model per shared-target family
+// ============================================================================
+// Maps each shared target (targetIndex group) to the model that tells its
+// variants apart, and loads that model lazily the first time the target is
+// found. Lets many product families scale without one giant model.
+//
+// Registry entries (CONFIG.ml.models, products.json "mlModels" or the
+// Supabase global_settings 'ml_models' entry):
+//   "zyn-mint": {
+//     "version": "1.0.0",
+//     "modelURL": "./js/mlModels/model.json",
+//     "metadataURL": "./js/mlModels/metadata.json",
+//     "imageSize": 224,
+//     "labels": ["Cool Mint", "Spearmint"],
+//     "backend": "teachable"              (optional, defaults to CONFIG.ml.backend)
+//   }
+//
+// Products pick a model with `ml.model`; without it the default model
+// (CONFIG.ml.defaultModel) is used. Targets with a single product only get
+// a model if that product sets `ml.model` explicitly.
+// ============================================================================
+
+class MLModelRegistry {
+  /**
+   * @param {Object} models - Registry entries keyed by model ID (merged over CONFIG.ml.models)
+   */
+  constructor(models = {}) {
+    // "_comment"-style keys in products.json are documentation, not models
+    this.models = Object.fromEntries(
+      Object.entries({ ...(window.CONFIG?.ml?.models || {}), ...models })
+        .filter(([id]) => !id.startsWith('_'))
+    );
+    this.defaultModelId = window.CONFIG?.ml?.defaultModel ?? 'default';
+
+    this.groups = new Map();      // targetIndex -> { modelId, products }
+    this.classifiers = new Map(); // modelId -> MLClassifier
+    this.loading = new Map();     // modelId -> Promise<MLClassifier>
+  }
+
+  // ============================================================================
+  // REGISTRATION
+  // ============================================================================
+
+  /**
+   * Assign a model to every target group that needs classification
+   * @param {Array} products - Array of product objects from config
+   */
+  register(products) {
+    const targetGroups = {};
+    products.forEach(product => {
+      if (!targetGroups[product.targetIndex]) {
+        targetGroups[product.targetIndex] = [];
+      }
+      targetGroups[product.targetIndex].push(product);
+    });
+
+    Object.entries(targetGroups).forEach(([targetIndex, groupProducts]) => {
+      const explicit = groupProducts.map(p => p.ml?.model).filter(Boolean);
+
+      // Single-product targets need no classification unless asked for
+      if (groupProducts.length === 1 && explicit.length === 0) {
+        return;
+      }
+
+      const modelId = explicit[0] || this.defaultModelId;
+
+      if (explicit.some(id => id !== modelId)) {
+        console.warn(`⚠️ Target ${targetIndex} products reference different models (${[...new Set(explicit)].join(', ')}), using "${modelId}"`);
+      }
+
+      if (!this.models[modelId]) {
+        console.error(`❌ Target ${targetIndex} uses unknown ML model "${modelId}"`);
+        return;
+      }
+
+      this.groups.set(Number(targetIndex), { modelId, products: groupProducts });
+    });
+
+    console.log(`📚 ML model registry: ${this.groups.size} target(s) → ${new Set([...this.groups.values()].map(g => g.modelId)).size} model(s)`);
+  }
+
+  /**
+   * Get the model ID for a target
+   * @param {number} targetIndex - MindAR target index
+   * @returns {string|null} - Model ID, or null if the target isn't classified
+   */
+  getModelId(targetIndex) {
+    return this.groups.get(targetIndex)?.modelId ?? null;
+  }
+
+  /**
+   * Get (or create, without loading) the classifier for a model
+   * @param {string} modelId - Registry model ID
+   * @returns {MLClassifier}
+   */
+  getClassifier(modelId) {
+    if (!this.classifiers.has(modelId)) {
+      this.classifiers.set(modelId, new MLClassifier({ id: modelId, ...this.models[modelId] }));
+    }
+    return this.classifiers.get(modelId);
+  }
+
+  /**
+   * Check if any registered model needs TF.js on the main thread
+   * (kNN backend, or no Web Worker support)
+   * @returns {boolean}
+   */
+  requiresMainThreadRuntime() {
+    return [...this.groups.values()].some(({ modelId }) => !this.getClassifier(modelId).shouldUseWorker());
+  }
+
+  // ============================================================================
+  // LAZY LOADING
+  // ============================================================================
+
+  /**
+   * Load the classifier for a target (once - concurrent calls share the load)
+   * Each model is initialized with every product that references it
+   * @param {number} targetIndex - MindAR target index
+   * @returns {Promise<MLClassifier|null>} - Ready classifier, or null if the target isn't classified
+   */
+  async load(targetIndex) {
+    const modelId = this.getModelId(targetIndex);
+    if (!modelId) {
+      return null;
+    }
+
+    if (!this.loading.has(modelId)) {
+      const products = [...this.groups.values()]
+        .filter(group => group.modelId === modelId)
+        .flatMap(group => group.products);
+
+      const promise = this.getClassifier(modelId).initialize(products)
+        .then(() => this.getClassifier(modelId))
+        .catch(error => {
+          // Allow a retry on the next targetFound (e.g. flaky network)
+          this.loading.delete(modelId);
+          throw error;
+        });
+
+      this.loading.set(modelId, promise);
+    }
+
+    return this.loading.get(modelId);
+  }
+
+  /**
+   * Get all classifiers that finished loading
+   * @returns {Array<MLClassifier>}
+   */
+  getLoadedClassifiers() {
+    return [...this.classifiers.values()].filter(classifier => classifier.isReady());
+  }
+
+  /**
+   * Get registry and load state for debugging
+   * @returns {Object}
+   */
+  getInfo() {
+    const targets = {};
+    this.groups.forEach(({ modelId, products }, targetIndex) => {
+      targets[targetIndex] = { modelId, products: products.map(p => p.id) };
+    });
+
+    return {
+      models: Object.keys(this.models),
+      targets: targets,
+      loaded: this.getLoadedClassifiers().map(classifier => classifier.getModelInfo())
+    };
+  }
+
+  /**
+   * Dispose all loaded models
+   */
+  async cleanup() {
+    for (const classifier of this.classifiers.values()) {
+      await classifier.cleanup();
+    }
+    this.classifiers.clear();
+    this.loading.clear();
+  }
+}
+
+// ============================================================================
+// EXPORT
+// ============================================================================
+
+// Make available globally
+window.MLModelRegistry = MLModelRegistry;
+
+console.log('✅ MLModelRegistry module loaded');
@@ -0,0 +1,155 @@
+// ============================================================================
+// ML RUNTIME LOADER - Version-pinned TensorFlow.js / Teachable Machine / Tesseract.js
+// ============================================================================
+// Resolves the ML libraries from vendored files (default) or a CDN, always
+// at the versions pinned in CONFIG.ml.runtime.libraries (js/config.js - the
+// only copy of the pins; scripts/vendor-ml-runtime.js reads the same list),
+// with Subresource Integrity.
+//
+// Layout (same for both sources):
+//   <base><package>@<version>/<file>
+//   e.g. ./vendor/ml-runtime/@tensorflow/tfjs@4.11.0/dist/tf.min.js
+//
+// Integrity hashes come from <localPath>manifest.json, written by
+// scripts/vendor-ml-runtime.js, or from `integrity` in the CONFIG pin.
+// ============================================================================
+
+class MLRuntimeLoader {
+  constructor(options = {}) {
+    const runtime = window.CONFIG?.ml?.runtime || {};
+
+    this.config = {
+      source: 'local',                      // 'local' | 'cdn'
+      localPath: './vendor/ml-runtime/',
+      cdnPath: 'https://cdn.jsdelivr.net/npm/',
+      requireIntegrity: true,               // Refuse to load libraries without a hash
+      ...runtime,
+      libraries: runtime.libraries || {},   // Pins live only in CONFIG.ml.runtime.libraries
+      ...options
+    };
+
+    this.manifest = null;
+  }
+
+  // ============================================================================
+  // RESOLUTION
+  // ============================================================================
+
+  /**
+   * Load manifest.json from the vendor directory (cached)
+   * Missing manifest is not fatal - CONFIG pins may carry their own hashes
+   * @returns {Promise<Object>} - { libraries: { name: { version, integrity } } }
+   */
+  async loadManifest() {
+    if (this.manifest) {
+      return this.manifest;
+    }
+
+    try {
+      const response = await fetch(`${this.config.localPath}manifest.json`, { cache: 'no-cache' });
+      if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`);
+      }
+      this.manifest = await response.json();
+    } catch (error) {
+      console.warn(`⚠️ ML runtime manifest not available (${error.message})`);
+      this.manifest = { libraries: {} };
+    }
+
+    return this.manifest;
+  }
+
+  /**
+   * Resolve a library to its pinned URL and integrity hash
+   * @param {string} name - Library key ('tfjs' | 'teachable' | 'tesseract' | ...)
+   * @returns {Promise<Object>} - { name, version, url, integrity }
+   */
+  async resolve(name) {
+    const library = this.config.libraries[name];
+    if (!library) {
+      throw new Error(`Unknown ML runtime library: ${name} (not in CONFIG.ml.runtime.libraries)`);
+    }
+
+    const manifest = await this.loadManifest();
+    const vendored = manifest.libraries?.[name];
+
+    // Vendored files must be the pinned version - otherwise re-run the vendor script
+    if (vendored && vendored.version !== library.version) {
+      throw new Error(`Vendored ${library.package} is ${vendored.version}, but ${library.version} is pinned. Run scripts/vendor-ml-runtime.js`);
+    }
+
+    const integrity = library.integrity || vendored?.integrity || null;
+    if (!integrity && this.config.requireIntegrity) {
+      throw new Error(`No integrity hash for ${library.package}@${library.version}. Run scripts/vendor-ml-runtime.js`);
+    }
+
+    const base = this.config.source === 'cdn' ? this.config.cdnPath : this.config.localPath;
+
+    return {
+      name: name,
+      version: library.version,
+      url: `${base}${library.package}@${library.version}/${library.file}`,
+      integrity: integrity
+    };
+  }
+
+  // ============================================================================
+  // LOADING (MAIN THREAD)
+  // ============================================================================
+
+  /**
+   * Inject a library's <script> tag with Subresource Integrity
+   * Each URL is injected once per page, whichever instance asks for it
+   * @param {string} name - Library key ('tfjs' | 'teachable' | 'tesseract')
+   * @returns {Promise<Object>} - Resolved library info
+   */
+  async loadScript(name) {
+    const library = await this.resolve(name);
+
+    if (!MLRuntimeLoader.scripts.has(library.url)) {
+      const loading = this.injectScript(library);
+      MLRuntimeLoader.scripts.set(library.url, loading);
+      // Forget failed loads so a retry injects the script again
+      loading.catch(() => MLRuntimeLoader.scripts.delete(library.url));
+    }
+
+    await MLRuntimeLoader.scripts.get(library.url);
+    return library;
+  }
+
+  /**
+   * Append the <script> tag and wait for it to run
+   * @param {Object} library - Resolved library info
+   * @returns {Promise<void>}
+   */
+  async injectScript(library) {
+    await new Promise((resolve, reject) => {
+      const script = document.createElement('script');
+      script.src = library.url;
+      script.crossOrigin = 'anonymous';
+      if (library.integrity) {
+        script.integrity = library.integrity;
+      }
+      script.onload = resolve;
+      script.onerror = () => {
+        script.remove();
+        reject(new Error(`Failed to load ${library.url} (missing file or integrity mismatch)`));
+      };
+      document.head.appendChild(script);
+    });
+
+    console.log(`✅ ${library.name} ${library.version} loaded (${this.config.source})`);
+  }
+}
+
+// Script URL -> load promise, shared by every instance on the page
+MLRuntimeLoader.scripts = new Map();
+
+// ============================================================================
+// EXPORT
+// ============================================================================
+
+// Make available globally
+window.MLRuntimeLoader = MLRuntimeLoader;
+
+console.log('✅ MLRuntimeLoader module loaded');
@@ -0,0 +1,188 @@
+// ============================================================================
+// WORKER MODEL - Main-thread proxy for ml-worker.js
+// ============================================================================
+// Runs the Teachable Machine model inside a dedicated Web Worker and exposes
+// the same methods MLClassifier uses on tmImage models (predict,
+// getClassLabels, getTotalClasses, getInputShape), so it can be used as a
+// drop-in `model`.
+//
+// Frames are sent as transferable ImageBitmaps - TensorFlow.js is never
+// loaded on the main thread, so it can't collide with MindAR.
+// ============================================================================
+
+class WorkerModel {
+  constructor(options = {}) {
+    this.config = {
+      workerURL: './js/ml-worker.js',
+      tfjs: null, // { url, integrity } from MLRuntimeLoader.resolve('tfjs')
+      modelURL: './js/mlModels/model.json',
+      metadataURL: './js/mlModels/metadata.json',
+      imageSize: 224,
+      modelId: 'default',
+      version: null,  // Registry version (combined with metadata timeStamp for the cache key)
+      cache: { enabled: false, prefix: 'ar-ml' },
+      timeout: 30000, // Max wait for a worker response (ms)
+      ...options
+    };
+
+    this.worker = null;
+    this.labels = [];
+    this.backend = null;
+    this.fromCache = false;
+    this.nextId = 1;
+    this.pending = new Map(); // id -> { resolve, reject, timer }
+  }
+
+  /**
+   * Check if the browser can run inference in a worker
+   * @returns {boolean}
+   */
+  static isSupported() {
+    return typeof Worker !== 'undefined' &&
+      typeof OffscreenCanvas !== 'undefined' &&
+      typeof createImageBitmap !== 'undefined';
+  }
+
+  // ============================================================================
+  // LOADING
+  // ============================================================================
+
+  /**
+   * Start the worker and load TF.js + the model inside it
+   */
+  async load() {
+    this.worker = new Worker(this.config.workerURL);
+    this.worker.onmessage = (event) => this.handleMessage(event.data);
+    this.worker.onerror = (event) => {
+      console.error('❌ ML worker error:', event.message);
+      this.rejectAll(new Error(event.message || 'ML worker error'));
+    };
+
+    // Worker resolves relative URLs against its own location, so send absolute ones
+    const info = await this.send({
+      type: 'init',
+      tfjs: {
+        url: new URL(this.config.tfjs.url, document.baseURI).href,
+        integrity: this.config.tfjs.integrity
+      },
+      modelURL: new URL(this.config.modelURL, document.baseURI).href,
+      metadataURL: new URL(this.config.metadataURL, document.baseURI).href,
+      imageSize: this.config.imageSize,
+      modelId: this.config.modelId,
+      version: this.config.version,
+      cache: this.config.cache
+    });
+
+    this.labels = info.labels;
+    this.backend = info.backend;
+    this.fromCache = info.fromCache;
+
+    console.log(`✅ ML worker ready (TF.js backend: ${this.backend}${this.fromCache ? ', model from cache' : ''})`);
+  }
+
+  // ============================================================================
+  // INFERENCE
+  // ============================================================================
+
+  /**
+   * Classify an image in the worker
+   * @param {HTMLVideoElement|HTMLCanvasElement} image - Input image
+   * @returns {Promise<Array>} - [{ className, probability }]
+   */
+  async predict(image) {
+    const bitmap = await createImageBitmap(image);
+    const { predictions } = await this.send({ type: 'predict', bitmap }, [bitmap]);
+    return predictions;
+  }
+
+  // ============================================================================
+  // MESSAGING
+  // ============================================================================
+
+  /**
+   * Post a message and wait for the matching response
+   * @private
+   */
+  send(message, transfer = []) {
+    if (!this.worker) {
+      return Promise.reject(new Error('ML worker not started'));
+    }
+
+    const id = this.nextId++;
+
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.pending.delete(id);
+        reject(new Error(`ML worker timed out (${message.type})`));
+      }, this.config.timeout);
+
+      this.pending.set(id, { resolve, reject, timer });
+      this.worker.postMessage({ ...message, id }, transfer);
+    });
+  }
+
+  /**
+   * Resolve/reject the pending request for a worker message
+   * @private
+   */
+  handleMessage(data) {
+    const request = this.pending.get(data.id);
+    if (!request) {
+      return;
+    }
+
+    clearTimeout(request.timer);
+    this.pending.delete(data.id);
+
+    if (data.type === 'error') {
+      request.reject(new Error(data.message));
+    } else {
+      request.resolve(data);
+    }
+  }
+
+  /**
+   * Reject all pending requests
+   * @private
+   */
+  rejectAll(error) {
+    this.pending.forEach(({ reject, timer }) => {
+      clearTimeout(timer);
+      reject(error);
+    });
+    this.pending.clear();
+  }
+
+  // ============================================================================
+  // MODEL INTERFACE (matches Teachable Machine model)
+  // ============================================================================
+
+  getClassLabels() {
+    return [...this.labels];
+  }
+
+  getTotalClasses() {
+    return this.labels.length;
+  }
+
+  getInputShape() {
+    return [1, this.config.imageSize, this.config.imageSize, 3];
+  }
+
+  dispose() {
+    this.rejectAll(new Error('ML worker terminated'));
+    if (this.worker) {
+      this.worker.terminate();
+      this.worker = null;
+    }
+  }
+}
+
+// ============================================================================
+// EXPORT
+// ============================================================================
+
+// Make available globally
+window.WorkerModel = WorkerModel;
+
+console.log('✅ WorkerModel module loaded');
@@ -0,0 +1,208 @@
+// ============================================================================
+// ML WORKER - Teachable Machine inference off the main thread
+// ============================================================================
+// Dedicated worker that owns TensorFlow.js and the Teachable Machine model,
+// so TF.js never shares the main thread (or its WASM memory) with MindAR
+// and inference doesn't drop tracking frames.
+//
+// Protocol (see WorkerModel in ml-worker-model.js):
+//   → { type: 'init', id, tfjs: { url, integrity }, modelURL, metadataURL, imageSize,
+//       modelId, version, cache: { enabled, prefix } }
+//   ← { type: 'ready', id, labels, backend, fromCache }
+//   → { type: 'predict', id, bitmap }        (ImageBitmap, transferred)
+//   ← { type: 'result', id, predictions }    ([{ className, probability }])
+//   ← { type: 'error', id, message }
+//
+// Preprocessing mirrors @teachablemachine/image: centre-crop to square,
+// resize to imageSize, scale pixels to [-1, 1] (x / 127 - 1, as tmImage does).
+//
+// importScripts() has no Subresource Integrity, so TF.js is fetched, its
+// SHA hash checked, and only then executed from a blob URL.
+//
+// Model weights are cached in IndexedDB with the same keys as MLClassifier
+// (indexeddb://<prefix>-<modelId>@<version>), so both paths share the cache.
+// ============================================================================
+
+let model = null;
+let labels = [];
+let imageSize = 224;
+let canvas = null;
+let context = null;
+
+// ============================================================================
+// INITIALIZATION
+// ============================================================================
+
+async function init({ tfjs, modelURL, metadataURL, imageSize: size, modelId, version, cache }) {
+  await importVerifiedScript(tfjs.url, tfjs.integrity);
+
+  // WebGL needs OffscreenCanvas support in workers; CPU always works
+  // setBackend resolves to false (it doesn't throw) when the backend fails to initialize
+  const webgl = await tf.setBackend('webgl').catch(() => false);
+  if (!webgl) {
+    await tf.setBackend('cpu');
+  }
+  await tf.ready();
+
+  // Revalidate so a re-exported model invalidates the cache
+  const response = await fetch(metadataURL, { cache: 'no-cache' });
+  if (!response.ok) {
+    throw new Error(`Metadata HTTP error! status: ${response.status}`);
+  }
+  const metadata = await response.json();
+
+  labels = metadata.labels || [];
+  imageSize = metadata.imageSize || size || 224;
+
+  const cacheKey = getCacheKey(cache, modelId, [version, metadata.timeStamp].filter(Boolean).join('+'));
+  const fromCache = await loadModel(modelURL, cacheKey);
+  if (!fromCache && cacheKey) {
+    await saveToCache(cacheKey, `indexeddb://${cache.prefix}-${modelId}@`);
+  }
+
+  canvas = new OffscreenCanvas(imageSize, imageSize);
+  context = canvas.getContext('2d', { willReadFrequently: true });
+
+  // Warm up so the first real prediction isn't slow
+  tf.tidy(() => model.predict(tf.zeros([1, imageSize, imageSize, 3])));
+
+  return { labels, backend: tf.getBackend(), fromCache };
+}
+
+// ============================================================================
+// MODEL CACHE (IndexedDB)
+// ============================================================================
+
+function getCacheKey(cache, modelId, version) {
+  if (!cache?.enabled || !version || typeof indexedDB === 'undefined') {
+    return null;
+  }
+  return `indexeddb://${cache.prefix}-${modelId}@${version}`;
+}
+
+/**
+ * Load the model from IndexedDB if cached, otherwise from the network
+ * @returns {Promise<boolean>} - true if loaded from cache
+ */
+async function loadModel(modelURL, cacheKey) {
+  if (cacheKey) {
+    try {
+      model = await tf.loadLayersModel(cacheKey);
+      return true;
+    } catch (error) {
+      // Not cached yet - download below
+    }
+  }
+
+  model = await tf.loadLayersModel(modelURL);
+  return false;
+}
+
+/**
+ * Cache the model and drop older versions (failures are not fatal)
+ */
+async function saveToCache(cacheKey, versionPrefix) {
+  try {
+    await model.save(cacheKey);
+
+    const cached = await tf.io.listModels();
+    for (const key of Object.keys(cached)) {
+      if (key.startsWith(versionPrefix) && key !== cacheKey) {
+        await tf.io.removeModel(key);
+      }
+    }
+  } catch (error) {
+    console.warn('⚠️ Could not cache ML model:', error.message);
+  }
+}
+
+/**
+ * Fetch a script, check it against an SRI hash ("sha384-<base64>"), then run it
+ * @param {string} url - Absolute script URL
+ * @param {string|null} integrity - Expected hash (null skips the check)
+ */
+async function importVerifiedScript(url, integrity) {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`Failed to load ${url} (HTTP ${response.status})`);
+  }
+  const source = await response.arrayBuffer();
+
+  if (integrity) {
+    const [algorithm, expected] = integrity.split('-');
+    const digest = await crypto.subtle.digest(algorithm.toUpperCase().replace('SHA', 'SHA-'), source);
+    const actual = btoa(String.fromCharCode(...new Uint8Array(digest)));
+
+    if (actual !== expected) {
+      throw new Error(`Integrity mismatch for ${url}`);
+    }
+  }
+
+  const blobURL = URL.createObjectURL(new Blob([source], { type: 'text/javascript' }));
+  try {
+    importScripts(blobURL);
+  } finally {
+    URL.revokeObjectURL(blobURL);
+  }
+}
+
+// ============================================================================
+// INFERENCE
+// ============================================================================
+
+async function predict(bitmap) {
+  if (!model) {
+    throw new Error('Model not loaded');
+  }
+
+  // Centre-crop to square and resize
+  const side = Math.min(bitmap.width, bitmap.height);
+  const sx = (bitmap.width - side) / 2;
+  const sy = (bitmap.height - side) / 2;
+  context.drawImage(bitmap, sx, sy, side, side, 0, 0, imageSize, imageSize);
+  bitmap.close();
+
+  const imageData = context.getImageData(0, 0, imageSize, imageSize);
+
+  const output = tf.tidy(() => {
+    const input = tf.browser.fromPixels(imageData)
+      .toFloat()
+      .div(127)
+      .sub(1)
+      .expandDims(0);
+    return model.predict(input);
+  });
+
+  const probabilities = await output.data();
+  output.dispose();
+
+  return labels.map((className, index) => ({
+    className: className,
+    probability: probabilities[index]
+  }));
+}
+
+// ============================================================================
+// MESSAGE HANDLING
+// ============================================================================
+
+self.onmessage = async (event) => {
+  const { type, id } = event.data;
+
+  try {
+    if (type === 'init') {
+      const info = await init(event.data);
+      self.postMessage({ type: 'ready', id, ...info });
+    } else if (type === 'predict') {
+      const predictions = await predict(event.data.bitmap);
+      self.postMessage({ type: 'result', id, predictions });
+    } else {
+      throw new Error(`Unknown message type: ${type}`);
+    }
+  } catch (error) {
+    if (event.data.bitmap) {
+      event.data.bitmap.close();
+    }
+    self.postMessage({ type: 'error', id, message: error.message });
+  }
+};
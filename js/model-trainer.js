@@ -0,0 +1,426 @@
+// ============================================================================
+// MODEL TRAINER - In-browser fine-tuning of the Teachable Machine classifier
+// ============================================================================
+// Transfer learning the same way Teachable Machine does it, without the
+// website (used by fine-tune.html):
+// - Loads the current model from js/mlModels and splits it into the frozen
+//   MobileNet feature extractor (layer 0) and the classification head (layer 1)
+// - Captured frames are turned into 1280-d embeddings right away
+// - A new head (dense 100 relu → dense N softmax, same as Teachable Machine)
+//   is trained on the embeddings, warm-started from the current head
+// - Exports model.json / weights.bin / metadata.json in the Teachable Machine
+//   layout, so MLClassifier (and the worker) can load it directly
+//
+// Every class that should stay in the model needs fresh examples - the
+// original training images aren't part of the model files. Classes with no
+// examples are left out of the exported model.
+//
+// Requires TensorFlow.js (window.tf). Runs on the CPU backend by default so
+// training doesn't fight MindAR for the GPU.
+// ============================================================================
+
+class ModelTrainer {
+  constructor(options = {}) {
+    this.config = {
+      modelURL: './js/mlModels/model.json',
+      metadataURL: './js/mlModels/metadata.json',
+      backend: 'cpu',          // TF.js backend used for capture + training
+      hiddenUnits: 100,        // Teachable Machine head size
+      epochs: 50,
+      batchSize: 16,
+      learningRate: 0.001,
+      validationSplit: 0.15,   // Held out to report val accuracy
+      minExamples: 10,         // Per class, to be included in training
+      ...(window.CONFIG?.ml?.training || {}),
+      ...options
+    };
+
+    this.metadata = null;
+    this.baseLabels = [];           // Labels of the loaded model
+    this.featureExtractor = null;   // Frozen MobileNet + global average pooling
+    this.baseHead = null;           // Head of the loaded model (for warm start)
+    this.imageSize = 224;
+
+    this.classes = new Map();       // label -> Array<Tensor> (embeddings [1, featureSize])
+
+    this.trainedHead = null;
+    this.trainedLabels = null;
+  }
+
+  // ============================================================================
+  // INITIALIZATION
+  // ============================================================================
+
+  /**
+   * Load the current model and split it into feature extractor + head
+   * @returns {Promise<Array<string>>} - Labels of the loaded model
+   */
+  async load() {
+    if (typeof tf === 'undefined') {
+      throw new Error('TensorFlow.js not loaded');
+    }
+
+    await tf.setBackend(this.config.backend);
+    await tf.ready();
+    console.log(`🧠 TF.js backend: ${tf.getBackend()}`);
+
+    const response = await fetch(this.config.metadataURL, { cache: 'no-cache' });
+    if (!response.ok) {
+      throw new Error(`Failed to load metadata: ${response.status}`);
+    }
+    this.metadata = await response.json();
+    this.baseLabels = this.metadata.labels || [];
+    this.imageSize = this.metadata.imageSize || 224;
+
+    const model = await tf.loadLayersModel(this.config.modelURL);
+    if (model.layers.length !== 2) {
+      throw new Error(`Expected a Teachable Machine model (feature extractor + head), got ${model.layers.length} layers`);
+    }
+
+    [this.featureExtractor, this.baseHead] = model.layers;
+    this.featureExtractor.trainable = false;
+
+    this.baseLabels.forEach(label => this.addClass(label));
+
+    console.log(`✅ Model loaded for fine-tuning: ${this.baseLabels.join(', ')}`);
+    return this.baseLabels;
+  }
+
+  // ============================================================================
+  // EXAMPLES
+  // ============================================================================
+
+  /**
+   * Add an (empty) class
+   * @param {string} label - Class label (becomes the metadata.json label)
+   */
+  addClass(label) {
+    if (!this.classes.has(label)) {
+      this.classes.set(label, []);
+    }
+  }
+
+  /**
+   * Remove a class and its examples
+   * @param {string} label - Class label
+   */
+  removeClass(label) {
+    this.clearExamples(label);
+    this.classes.delete(label);
+  }
+
+  /**
+   * Drop all examples of a class
+   * @param {string} label - Class label
+   */
+  clearExamples(label) {
+    (this.classes.get(label) || []).forEach(embedding => embedding.dispose());
+    if (this.classes.has(label)) {
+      this.classes.set(label, []);
+    }
+  }
+
+  /**
+   * Add a training example (stored as an embedding, the image isn't kept)
+   * @param {string} label - Class label
+   * @param {HTMLVideoElement|HTMLCanvasElement|HTMLImageElement} image - Frame or crop
+   * @returns {number} - Number of examples for this class
+   */
+  addExample(label, image) {
+    this.addClass(label);
+
+    const embedding = tf.tidy(() => this.featureExtractor.predict(this.preprocess(image)));
+    this.classes.get(label).push(embedding);
+
+    return this.classes.get(label).length;
+  }
+
+  /**
+   * Same preprocessing as @teachablemachine/image (and scripts/lib/teachable-node.js):
+   * centre-crop to square, resize to imageSize, scale to [-1, 1]
+   * @param {HTMLVideoElement|HTMLCanvasElement|HTMLImageElement} image - Source
+   * @returns {tf.Tensor4D} - [1, imageSize, imageSize, 3]
+   */
+  preprocess(image) {
+    return tf.tidy(() => {
+      const pixels = tf.browser.fromPixels(image);
+      const [height, width] = pixels.shape;
+      const side = Math.min(width, height);
+      const cropped = pixels.slice(
+        [Math.floor((height - side) / 2), Math.floor((width - side) / 2), 0],
+        [side, side, 3]
+      );
+
+      return tf.image.resizeBilinear(cropped, [this.imageSize, this.imageSize])
+        .toFloat()
+        .div(127)
+        .sub(1)
+        .expandDims(0);
+    });
+  }
+
+  /**
+   * Example count per class
+   * @returns {Object} - { label: count }
+   */
+  getExampleCounts() {
+    const counts = {};
+    this.classes.forEach((examples, label) => {
+      counts[label] = examples.length;
+    });
+    return counts;
+  }
+
+  /**
+   * Classes with enough examples to train on
+   * @returns {Array<string>}
+   */
+  getTrainableLabels() {
+    return [...this.classes.entries()]
+      .filter(([, examples]) => examples.length >= this.config.minExamples)
+      .map(([label]) => label);
+  }
+
+  // ============================================================================
+  // TRAINING
+  // ============================================================================
+
+  /**
+   * Train a new head on the collected examples
+   * @param {Object} callbacks - { onEpochEnd(epoch, logs) } for progress
+   * @returns {Promise<Object>} - { labels, skipped, history }
+   */
+  async train(callbacks = {}) {
+    const labels = this.getTrainableLabels();
+    if (labels.length < 2) {
+      throw new Error(`Need at least 2 classes with ${this.config.minExamples}+ examples`);
+    }
+
+    const skipped = [...this.classes.keys()].filter(label => !labels.includes(label));
+    if (skipped.length > 0) {
+      console.warn(`⚠️ Not enough examples, leaving out: ${skipped.join(', ')}`);
+    }
+
+    // Shuffle before fit() - validationSplit takes the last samples, which would otherwise be one class
+    const { xs, ys } = tf.tidy(() => {
+      const embeddings = [];
+      const classIndices = [];
+      labels.forEach((label, classIndex) => {
+        this.classes.get(label).forEach(embedding => {
+          embeddings.push(embedding);
+          classIndices.push(classIndex);
+        });
+      });
+
+      const order = tf.util.createShuffledIndices(embeddings.length);
+      const shuffled = Array.from(order, i => embeddings[i]);
+      const shuffledClasses = Array.from(order, i => classIndices[i]);
+
+      return {
+        xs: tf.concat(shuffled, 0),
+        ys: tf.oneHot(tf.tensor1d(shuffledClasses, 'int32'), labels.length).toFloat()
+      };
+    });
+
+    const head = this.createHead(labels);
+    head.compile({
+      optimizer: tf.train.adam(this.config.learningRate),
+      loss: 'categoricalCrossentropy',
+      metrics: ['accuracy']
+    });
+
+    console.log(`🏋️ Training on ${xs.shape[0]} examples, ${labels.length} classes...`);
+
+    try {
+      const history = await head.fit(xs, ys, {
+        epochs: this.config.epochs,
+        batchSize: this.config.batchSize,
+        validationSplit: this.config.validationSplit,
+        shuffle: true,
+        callbacks: {
+          onEpochEnd: async (epoch, logs) => {
+            callbacks.onEpochEnd?.(epoch, logs);
+            await tf.nextFrame(); // Keep the page responsive
+          }
+        }
+      });
+
+      if (this.trainedHead) {
+        this.trainedHead.dispose();
+      }
+      this.trainedHead = head;
+      this.trainedLabels = labels;
+
+      console.log('✅ Training complete');
+      return { labels, skipped, history: history.history };
+    } catch (error) {
+      head.dispose();
+      throw error;
+    } finally {
+      xs.dispose();
+      ys.dispose();
+    }
+  }
+
+  /**
+   * Build a Teachable Machine style head, warm-started from the loaded one
+   * @param {Array<string>} labels - Output classes, in order
+   * @returns {tf.Sequential}
+   */
+  createHead(labels) {
+    const featureSize = this.featureExtractor.outputs[0].shape[1];
+
+    const head = tf.sequential({
+      layers: [
+        tf.layers.dense({
+          inputShape: [featureSize],
+          units: this.config.hiddenUnits,
+          activation: 'relu',
+          kernelInitializer: 'varianceScaling',
+          useBias: true
+        }),
+        tf.layers.dense({
+          units: labels.length,
+          activation: 'softmax',
+          kernelInitializer: 'varianceScaling',
+          useBias: false
+        })
+      ]
+    });
+
+    this.warmStart(head, labels);
+    return head;
+  }
+
+  /**
+   * Copy hidden layer + output columns of known labels from the loaded head
+   * New labels keep their random init
+   * @param {tf.Sequential} head - New head
+   * @param {Array<string>} labels - Output classes of the new head
+   */
+  warmStart(head, labels) {
+    const [oldHidden, oldOutput] = this.baseHead.layers;
+    if (oldHidden.units !== this.config.hiddenUnits) {
+      return;
+    }
+
+    head.layers[0].setWeights(oldHidden.getWeights());
+
+    tf.tidy(() => {
+      const oldKernel = oldOutput.getWeights()[0];      // [hidden, oldLabels]
+      const newKernel = head.layers[1].getWeights()[0]; // [hidden, labels]
+
+      const columns = labels.map((label, index) => {
+        const oldIndex = this.baseLabels.indexOf(label);
+        return oldIndex >= 0
+          ? oldKernel.slice([0, oldIndex], [-1, 1])
+          : newKernel.slice([0, index], [-1, 1]);
+      });
+
+      head.layers[1].setWeights([tf.concat(columns, 1)]);
+    });
+  }
+
+  // ============================================================================
+  // EXPORT
+  // ============================================================================
+
+  /**
+   * Export the fine-tuned model in the Teachable Machine file layout
+   * @param {Object} options - { modelName }
+   * @returns {Promise<Object>} - { 'model.json': Blob, 'weights.bin': Blob, 'metadata.json': Blob }
+   */
+  async export(options = {}) {
+    if (!this.trainedHead) {
+      throw new Error('Train the model before exporting');
+    }
+
+    // Same structure as Teachable Machine: [feature extractor, head]
+    const model = tf.sequential({ layers: [this.featureExtractor, this.trainedHead] });
+
+    let artifacts = null;
+    await model.save(tf.io.withSaveHandler(async (modelArtifacts) => {
+      artifacts = modelArtifacts;
+      return { modelArtifactsInfo: { dateSaved: new Date(), modelTopologyType: 'JSON' } };
+    }));
+
+    const modelJSON = {
+      modelTopology: artifacts.modelTopology,
+      weightsManifest: [{ paths: ['weights.bin'], weights: artifacts.weightSpecs }]
+    };
+
+    const weightData = Array.isArray(artifacts.weightData) ? artifacts.weightData : [artifacts.weightData];
+
+    // New timeStamp → new IndexedDB cache key in MLClassifier / ml-worker.js
+    const metadata = {
+      ...this.metadata,
+      tfjsVersion: tf.version.tfjs,
+      timeStamp: new Date().toISOString(),
+      modelName: options.modelName || this.metadata.modelName,
+      labels: this.trainedLabels,
+      imageSize: this.imageSize,
+      userMetadata: {
+        ...(this.metadata.userMetadata || {}),
+        fineTunedFrom: this.metadata.timeStamp || null,
+        examples: this.getExampleCounts()
+      }
+    };
+
+    return {
+      'model.json': new Blob([JSON.stringify(modelJSON)], { type: 'application/json' }),
+      'weights.bin': new Blob(weightData, { type: 'application/octet-stream' }),
+      'metadata.json': new Blob([JSON.stringify(metadata)], { type: 'application/json' })
+    };
+  }
+
+  /**
+   * Export and download the three model files
+   * @param {Object} options - { modelName }
+   */
+  async download(options = {}) {
+    const files = await this.export(options);
+
+    for (const [name, blob] of Object.entries(files)) {
+      const link = document.createElement('a');
+      link.href = URL.createObjectURL(blob);
+      link.download = name;
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+
+      // Some browsers drop rapid consecutive downloads
+      await new Promise(resolve => setTimeout(resolve, 300));
+    }
+
+    console.log('📦 Exported model.json, weights.bin, metadata.json');
+  }
+
+  /**
+   * Dispose examples and models
+   */
+  cleanup() {
+    [...this.classes.keys()].forEach(label => this.clearExamples(label));
+    this.classes.clear();
+
+    if (this.trainedHead) {
+      this.trainedHead.dispose();
+      this.trainedHead = null;
+    }
+    if (this.featureExtractor) {
+      this.featureExtractor.dispose();
+      this.baseHead.dispose();
+      this.featureExtractor = null;
+      this.baseHead = null;
+    }
+  }
+}
+
+// ============================================================================
+// EXPORT
+// ============================================================================
+
+// Make available globally
+window.ModelTrainer = ModelTrainer;
+
+console.log('✅ ModelTrainer module loaded');
@@ -0,0 +1,323 @@
+// ============================================================================
+// OCR VERIFIER - Text recognition as a second opinion for shared targets
+// ============================================================================
+// Variants of one package often differ mostly in printed text ("Cool Mint"
+// vs "Spearmint", "X-Low 1.5 MG" vs "6 MG"). When the image classifier is
+// unsure, this reads the text on the cropped target with Tesseract.js
+// (vendored, see CONFIG.ml.runtime.libraries) and combines it with the ML
+// probabilities:
+//
+//   combined = (1 - weight) × ML probability + weight × OCR keyword score
+//
+// Keywords are configured per product in products.json:
+//   "ml": { "label": "Cool Mint", "keywords": ["COOL MINT", "COOL"] }
+//
+// Matching is fuzzy (normalized edit distance per word window) because OCR
+// on camera frames is noisy. If no keyword matches, the ML result is kept
+// unchanged.
+// ============================================================================
+
+class OCRVerifier {
+  constructor(options = {}) {
+    this.config = {
+      when: 'uncertain',     // 'uncertain': only when ML can't decide | 'always': check every result
+      weight: 0.5,           // Share of the OCR score in the combined confidence (0-1)
+      minSimilarity: 0.8,    // Minimum fuzzy match for a keyword to count (0-1)
+      timeout: 4000,         // Give up on OCR after N ms (ML result is kept)
+      cropSize: 640,         // Rectified crop size - text needs more pixels than the classifier
+      language: 'eng',
+      parameters: {
+        tessedit_pageseg_mode: '11' // Sparse text - packaging has scattered words
+      },
+      ...(window.CONFIG?.ml?.ocr || {}),
+      ...options
+    };
+
+    this.cropper = new TargetCropper({ outputSize: this.config.cropSize, maxSourceSize: this.config.cropSize * 2 });
+    this.worker = null;
+    this.loading = null;
+  }
+
+  // ============================================================================
+  // INITIALIZATION
+  // ============================================================================
+
+  /**
+   * Load Tesseract.js and start its worker (once - concurrent calls share the load)
+   * @returns {Promise<void>}
+   */
+  async initialize() {
+    if (!this.loading) {
+      this.loading = this.createWorker().catch(error => {
+        // Allow a retry on the next verification
+        this.loading = null;
+        throw error;
+      });
+    }
+
+    return this.loading;
+  }
+
+  /**
+   * Create the Tesseract worker from the pinned, self-hosted files
+   */
+  async createWorker() {
+    const runtime = new MLRuntimeLoader();
+
+    await runtime.loadScript('tesseract');
+    const worker = await runtime.resolve('tesseractWorker');
+    const core = await runtime.resolve('tesseractCore');
+    const lang = await runtime.resolve('tesseractLang');
+
+    console.log('🔤 Starting OCR worker...');
+
+    this.worker = await Tesseract.createWorker(this.config.language, 1, {
+      workerPath: worker.url,
+      corePath: core.url,
+      langPath: lang.url.substring(0, lang.url.lastIndexOf('/')),
+      workerBlobURL: false
+    });
+    await this.worker.setParameters(this.config.parameters);
+
+    console.log('✅ OCR ready');
+  }
+
+  // ============================================================================
+  // VERIFICATION
+  // ============================================================================
+
+  /**
+   * Check if OCR can help for this target and result
+   * @param {Object|null} result - ML result (null if ML couldn't decide)
+   * @param {Array} products - Products sharing the target
+   * @returns {boolean}
+   */
+  shouldVerify(result, products) {
+    if (!products.some(p => p.ml?.keywords?.length)) {
+      return false;
+    }
+
+    // Trained background/other class won - nothing to read
+    if (result?.reason === 'reject-label') {
+      return false;
+    }
+
+    return this.config.when === 'always' || !result || result.unknown === true;
+  }
+
+  /**
+   * Read the target's text and combine it with the ML probabilities
+   * @param {Object|null} result - ML result (null if ML couldn't decide)
+   * @param {MLClassifier} classifier - Classifier for the target
+   * @param {HTMLVideoElement} videoElement - Camera video
+   * @param {Element} targetEntity - Tracked mindar-image-target entity
+   * @param {Array} products - Products sharing the target
+   * @returns {Promise<Object|null>} - Identified result, or the ML result if OCR didn't settle it
+   */
+  async verify(result, classifier, videoElement, targetEntity, products) {
+    const crop = this.cropper.cropTarget(videoElement, targetEntity);
+    if (!crop) {
+      return result;
+    }
+
+    try {
+      await this.initialize();
+
+      // Voting results carry probabilities aggregated over frames; otherwise classify this crop
+      const mlPredictions = result?.allPredictions ||
+        (await classifier.predictImage(crop)).map(p => ({
+          label: p.className,
+          productId: classifier.labelMap[p.className],
+          confidence: p.probability
+        }));
+
+      const startTime = performance.now();
+      const text = await this.recognize(crop);
+      const ocrTime = performance.now() - startTime;
+
+      const keywordScores = this.scoreProducts(text, products);
+      const ocr = { text, scores: keywordScores, time: ocrTime };
+
+      console.log(`🔤 OCR (${ocrTime.toFixed(0)}ms): "${text.replace(/\s+/g, ' ').trim()}"`);
+
+      const total = Object.values(keywordScores).reduce((a, b) => a + b, 0);
+      if (total === 0) {
+        return result ? { ...result, ocr } : result;
+      }
+
+      return this.combine(result, mlPredictions, keywordScores, total, ocr, classifier);
+    } catch (error) {
+      console.warn('⚠️ OCR verification failed, keeping ML result:', error.message);
+      return result;
+    }
+  }
+
+  /**
+   * Run Tesseract on a canvas (with timeout)
+   * @param {HTMLCanvasElement} canvas - Rectified target crop
+   * @returns {Promise<string>} - Recognized text
+   */
+  async recognize(canvas) {
+    let timer = null;
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(() => reject(new Error(`OCR timed out after ${this.config.timeout}ms`)), this.config.timeout);
+    });
+
+    try {
+      const { data } = await Promise.race([this.worker.recognize(canvas), timeout]);
+      return data.text || '';
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Mix ML probabilities with OCR keyword scores
+   * @param {Object|null} result - ML result
+   * @param {Array} mlPredictions - [{ label, productId, confidence }]
+   * @param {Object} keywordScores - { productId: score }
+   * @param {number} total - Sum of keyword scores (> 0)
+   * @param {Object} ocr - { text, scores, time } attached to the result
+   * @param {MLClassifier} classifier - For per-label thresholds
+   * @returns {Object|null} - Identified result, or the (annotated) ML result
+   */
+  combine(result, mlPredictions, keywordScores, total, ocr, classifier) {
+    const weight = this.config.weight;
+
+    const combined = mlPredictions
+      .filter(p => p.productId)
+      .map(p => ({
+        ...p,
+        mlConfidence: p.confidence,
+        confidence: (1 - weight) * p.confidence + weight * ((keywordScores[p.productId] || 0) / total)
+      }))
+      .sort((a, b) => b.confidence - a.confidence);
+
+    const top = combined[0];
+    if (!top) {
+      return result;
+    }
+
+    const threshold = classifier.getThreshold(top.label);
+    console.log(`🔤 ML + OCR: ${top.label} ${(top.confidence * 100).toFixed(1)}% (ML ${(top.mlConfidence * 100).toFixed(1)}%)`);
+
+    if (top.confidence < threshold) {
+      // 'always' mode: text contradicts a confident ML guess - don't show either
+      return result && !result.unknown ? null : result && { ...result, ocr };
+    }
+
+    return {
+      productId: top.productId,
+      confidence: top.confidence,
+      rawConfidence: top.mlConfidence,
+      calibrated: classifier.calibration !== null,
+      threshold: threshold,
+      label: top.label,
+      allPredictions: combined,
+      inferenceTime: result?.inferenceTime ?? null,
+      cropped: true,
+      voting: result?.voting || null,
+      verifiedBy: 'ocr',
+      ocr: ocr
+    };
+  }
+
+  // ============================================================================
+  // KEYWORD MATCHING
+  // ============================================================================
+
+  /**
+   * Best keyword match per product
+   * @param {string} text - OCR output
+   * @param {Array} products - Products sharing the target
+   * @returns {Object} - { productId: score 0-1 } (0 below minSimilarity)
+   */
+  scoreProducts(text, products) {
+    const words = OCRVerifier.normalize(text).split(' ').filter(Boolean);
+    const scores = {};
+
+    products.forEach(product => {
+      const best = Math.max(0, ...(product.ml?.keywords || []).map(keyword => this.matchKeyword(words, keyword)));
+      scores[product.id] = best >= this.config.minSimilarity ? best : 0;
+    });
+
+    return scores;
+  }
+
+  /**
+   * Fuzzy-match a keyword against every window of ±1 its word count
+   * Spaces are ignored - OCR often splits or merges words ("SPEAR MINT")
+   * @param {Array<string>} words - Normalized OCR words
+   * @param {string} keyword - Keyword from products.json
+   * @returns {number} - Best similarity 0-1
+   */
+  matchKeyword(words, keyword) {
+    const normalized = OCRVerifier.normalize(keyword);
+    const target = normalized.replace(/ /g, '');
+    const length = normalized.split(' ').length;
+    let best = 0;
+
+    for (let size = Math.max(1, length - 1); size <= length + 1; size++) {
+      for (let i = 0; i + size <= words.length; i++) {
+        const window = words.slice(i, i + size).join('');
+        const distance = OCRVerifier.levenshtein(window, target);
+        best = Math.max(best, 1 - distance / Math.max(window.length, target.length));
+      }
+    }
+
+    return best;
+  }
+
+  /**
+   * Uppercase, letters/digits/dots only, single spaces
+   * @param {string} text - Raw text
+   * @returns {string}
+   */
+  static normalize(text) {
+    return String(text).toUpperCase().replace(/[^A-Z0-9.]+/g, ' ').trim();
+  }
+
+  /**
+   * Edit distance between two strings
+   * @param {string} a - First string
+   * @param {string} b - Second string
+   * @returns {number}
+   */
+  static levenshtein(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+    for (let i = 1; i <= a.length; i++) {
+      const current = [i];
+      for (let j = 1; j <= b.length; j++) {
+        current[j] = Math.min(
+          previous[j] + 1,
+          current[j - 1] + 1,
+          previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+        );
+      }
+      previous = current;
+    }
+
+    return previous[b.length];
+  }
+
+  /**
+   * Stop the Tesseract worker
+   */
+  async cleanup() {
+    if (this.worker) {
+      await this.worker.terminate();
+      this.worker = null;
+      this.loading = null;
+    }
+  }
+}
+
+// ============================================================================
+// EXPORT
+// ============================================================================
+
+// Make available globally
+window.OCRVerifier = OCRVerifier;
+
+console.log('✅ OCRVerifier module loaded');
@@ -222,6 +222,49 @@ class SupabaseClient {
     }
   }
 
+  /**
+   * Get ML model registry (global_settings key 'ml_models')
+   * Maps model IDs to { version, modelURL, metadataURL, imageSize, labels }
+   *
+   * @returns {Promise<Object>} Registry entries keyed by model ID (empty if none)
+   */
+  async getMLModels() {
+    if (!this.isReady()) {
+      throw new Error('Supabase client not initialized');
+    }
+
+    try {
+      // Check cache first
+      if (this.isCacheValid('mlModels')) {
+        return this.cache.get('mlModels').data;
+      }
+
+      const { data, error } = await this.client
+        .from('global_settings')
+        .select('setting_value')
+        .eq('setting_key', 'ml_models')
+        .maybeSingle();
+
+      if (error) {
+        console.error('❌ Error fetching ML models:', error);
+        return {};
+      }
+
+      const models = data?.setting_value || {};
+
+      // Cache registry
+      if (window.CONFIG.performance.cacheConfig) {
+        this.setCacheItem('mlModels', models);
+      }
+
+      return models;
+
+    } catch (error) {
+      console.error('❌ Error in getMLModels:', error);
+      return {};
+    }
+  }
+
   // ============================================================================
   // ANALYTICS TRACKING
   // ============================================================================
@@ -372,6 +415,13 @@ class SupabaseClient {
     await this.trackEvent('product_lost', productId);
   }
 
+  /**
+   * Track unrecognized product (shared target matched no trained variant)
+   */
+  async trackProductUnrecognized(reason, topLabel, confidence) {
+    await this.trackEvent('product_unrecognized', null, { reason, topLabel, confidence });
+  }
+
   /**
    * Track button click
    */
@@ -386,6 +436,15 @@ class SupabaseClient {
     await this.trackEvent('model_loaded', productId, { loadTime });
   }
 
+  /**
+   * Track a failed .mind download or integrity check
+   * @param {Object} detail - { url, attempt, reason, message, expected, actual, productIds }
+   */
+  async trackTargetError(detail) {
+    const { productIds = [], ...metadata } = detail;
+    await this.trackEvent('target_error', productIds[0] || null, { ...metadata, productIds });
+  }
+
   /**
    * Track error
    */
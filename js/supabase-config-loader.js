@@ -92,14 +92,19 @@ class SupabaseConfigLoader extends ARConfigLoader {
       // Fetch global settings
       const globalSettingsData = await this.supabaseClient.getGlobalSettings();
 
+      // Fetch ML model registry
+      const mlModels = await this.supabaseClient.getMLModels();
+
       // Convert Supabase format to products.json format
       this.config = {
         products: this.convertProducts(productsData),
-        globalSettings: this.convertGlobalSettings(globalSettingsData)
+        globalSettings: this.convertGlobalSettings(globalSettingsData),
+        mlModels: mlModels
       };
 
       this.products = this.config.products;
       this.globalSettings = this.config.globalSettings;
+      this.mlModels = this.config.mlModels;
 
       console.log('✅ Configuration loaded from Supabase');
       console.log(`📦 Products found: ${this.products.length}`);
@@ -107,8 +112,8 @@ class SupabaseConfigLoader extends ARConfigLoader {
       // DEBUG: Log complete product structure
       console.log('🔍 Product structure:', JSON.stringify(this.products[0], null, 2));
 
-      // Validate configuration
-      this.validateTargets();
+      // Validate configuration and merge .mind files if needed
+      await this.prepareTargets();
 
       // NOTE: updateSceneConfig() is called in index.html after generateScene()
       // Don't call it here to avoid double-initialization of MindAR
@@ -186,6 +191,12 @@ class SupabaseConfigLoader extends ARConfigLoader {
         name: p.name,
         description: p.description || '',
         targetIndex: p.target_index,
+        ml: {
+          label: p.ml_label || null,
+          model: p.ml_model || null,
+          keywords: p.ml_keywords || [],
+          embeddingsPath: p.ml_embeddings_url || null
+        },
         target: target,
         model: this.convertModel(modelData),
         ui: ui,
@@ -207,26 +218,31 @@ class SupabaseConfigLoader extends ARConfigLoader {
       };
     }
 
-    // WORKAROUND: Use local .mind files instead of Supabase CDN
-    // Supabase CDN corrupts binary .mind files (known MindAR issue with CDNs)
-    let imagePath = targetData.mind_file_path || targetData.mind_file_url || '';
+    // The CDN URL is tried first; the stored path and the local copy in
+    // assets/targets are fallbacks. The config loader fetches every file with
+    // fallbacks itself (see ARConfigLoader.fetchTargetFile): a download that
+    // doesn't parse - or, with mind_file_size / mind_file_hash, doesn't match -
+    // is reported and the next path is tried, so MindAR never gets a bad file.
+    const url = (targetData.mind_file_url || '').trim();
+    const storedPath = (targetData.mind_file_path || '').trim();
+    const filename = (url || storedPath).split('/').pop();
 
-    console.log(`🔍 Original imagePath from DB: "${imagePath}" (length: ${imagePath.length})`);
+    const paths = [...new Set([
+      url,
+      storedPath,
+      filename ? `${window.CONFIG?.paths?.assetsLocal || './assets'}/targets/${filename}` : ''
+    ].filter(Boolean))];
 
-    // If it's a Supabase URL, use local path instead
-    if (imagePath.includes('supabase.co')) {
-      const filename = imagePath.split('/').pop();
-      imagePath = `./assets/targets/${filename}`;
-      console.log(`🔧 Using local .mind file instead of CDN: ${imagePath}`);
-    }
+    const integrity = targetData.mind_file_size || targetData.mind_file_hash
+      ? { size: targetData.mind_file_size || null, sha256: targetData.mind_file_hash || null }
+      : null;
 
-    // Ensure path is clean (no extra whitespace)
-    imagePath = imagePath.trim();
-
-    console.log(`✅ Final imagePath: "${imagePath}" (length: ${imagePath.length})`);
+    console.log(`🎯 Target: ${paths[0] || '(none)'}${paths.length > 1 ? ` (+${paths.length - 1} fallback)` : ''}${integrity ? ' - verified' : ''}`);
 
     return {
-      imagePath: imagePath,
+      imagePath: paths[0] || '',
+      fallbackPaths: paths.slice(1),
+      integrity: integrity,
       imagePreview: targetData.preview_image_path || targetData.preview_image_url || ''
     };
   }
@@ -416,13 +432,38 @@ class SupabaseConfigLoader extends ARConfigLoader {
     }
   }
 
+  /**
+   * Override: Handle unrecognized product
+   * Adds analytics tracking
+   */
+  onProductUnrecognized(detail) {
+    // Call parent method for fallback UI
+    super.onProductUnrecognized(detail);
+
+    // Track analytics
+    if (this.useSupabase && window.CONFIG.features.analyticsEnabled) {
+      this.supabaseClient.trackProductUnrecognized(detail.reason, detail.label, detail.confidence);
+    }
+  }
+
+  /**
+   * Override: Report failed .mind downloads / integrity checks
+   */
+  onTargetError(detail) {
+    super.onTargetError(detail);
+
+    if (this.useSupabase && window.CONFIG.features.analyticsEnabled) {
+      this.supabaseClient.trackTargetError(detail);
+    }
+  }
+
   /**
    * Override: Attach button click listeners
    * Adds analytics tracking
    */
-  attachButtonListeners(product) {
+  attachButtonListeners(product, productUI) {
     product.ui.buttons.forEach(button => {
-      const btnElement = document.getElementById(button.id);
+      const btnElement = productUI.querySelector(`[id="${button.id}"]`);
       if (btnElement) {
         btnElement.addEventListener('click', (e) => {
           e.preventDefault();
@@ -0,0 +1,338 @@
+// ============================================================================
+// TARGET CROPPER - Crop camera frames to the tracked target
+// ============================================================================
+// Projects a MindAR target's corners into video coordinates using the
+// anchor entity's world matrix and the A-Frame camera, then crops and
+// rectifies (perspective-warps) that quad into a square image.
+//
+// Used so the ML classifier only sees the product surface instead of the
+// whole camera frame with background clutter.
+//
+// Coordinate notes:
+// - MindAR scales the anchor so the target is 1 unit wide, centred at the
+//   origin: x ∈ [-0.5, 0.5], y ∈ [-h/2, h/2] where h = height / width
+// - MindAR cover-fits the video into its container (scaled to fill, the
+//   overflow centred and cut off) and sets the camera to the container's
+//   view, so NDC maps to container pixels. Those are shifted by the hidden
+//   overflow and scaled back to the video's own resolution.
+// ============================================================================
+
+class TargetCropper {
+  constructor(options = {}) {
+    this.config = {
+      outputSize: 224,     // Width/height of the rectified crop
+      maxSourceSize: 448,  // Downscale the source region to at most this size before warping
+      debug: false,        // Show the latest crop on screen
+      ...options
+    };
+
+    // Reusable canvases
+    this.sourceCanvas = document.createElement('canvas');
+    this.sourceContext = this.sourceCanvas.getContext('2d', { willReadFrequently: true });
+    this.outputCanvas = document.createElement('canvas');
+    this.outputCanvas.width = this.config.outputSize;
+    this.outputCanvas.height = this.config.outputSize;
+    this.outputContext = this.outputCanvas.getContext('2d');
+
+    this.debugElement = null;
+  }
+
+  // ============================================================================
+  // PROJECTION
+  // ============================================================================
+
+  /**
+   * Project target corners into video pixel coordinates
+   * @param {Element} targetEntity - Entity with mindar-image-target component
+   * @param {HTMLVideoElement} videoElement - Camera video
+   * @returns {Array<{x: number, y: number}>|null} - [topLeft, topRight, bottomRight, bottomLeft] or null
+   */
+  getTargetQuad(targetEntity, videoElement) {
+    const camera = targetEntity?.sceneEl?.camera;
+    const object3D = targetEntity?.object3D;
+
+    if (!camera || !object3D || !object3D.visible || typeof AFRAME === 'undefined') {
+      return null;
+    }
+
+    const videoWidth = videoElement.videoWidth;
+    const videoHeight = videoElement.videoHeight;
+    if (!videoWidth || !videoHeight) {
+      return null;
+    }
+
+    const view = this.getDisplayedVideo(targetEntity, videoWidth, videoHeight);
+    if (!view) {
+      return null;
+    }
+
+    const halfHeight = this.getTargetAspect(targetEntity) / 2;
+    const corners = [
+      [-0.5, halfHeight],   // top-left
+      [0.5, halfHeight],    // top-right
+      [0.5, -halfHeight],   // bottom-right
+      [-0.5, -halfHeight]   // bottom-left
+    ];
+
+    object3D.updateMatrixWorld();
+
+    const quad = [];
+    for (const [x, y] of corners) {
+      const point = new AFRAME.THREE.Vector3(x, y, 0)
+        .applyMatrix4(object3D.matrixWorld)
+        .project(camera);
+
+      // Behind the camera / outside the depth range
+      if (point.z < -1 || point.z > 1) {
+        return null;
+      }
+
+      // NDC → container pixels → displayed video pixels → video pixels
+      const containerX = (point.x + 1) / 2 * view.containerWidth;
+      const containerY = (1 - point.y) / 2 * view.containerHeight;
+      quad.push({
+        x: (containerX + view.offsetX) * view.scale,
+        y: (containerY + view.offsetY) * view.scale
+      });
+    }
+
+    // Entirely off-screen
+    const xs = quad.map(p => p.x);
+    const ys = quad.map(p => p.y);
+    if (Math.max(...xs) < 0 || Math.min(...xs) > videoWidth ||
+        Math.max(...ys) < 0 || Math.min(...ys) > videoHeight) {
+      return null;
+    }
+
+    return quad;
+  }
+
+  /**
+   * How MindAR displays the video in its container (same cover fit as its _resize)
+   * @param {Element} targetEntity - Entity with mindar-image-target component
+   * @param {number} videoWidth - Video resolution
+   * @param {number} videoHeight - Video resolution
+   * @returns {Object|null} - { containerWidth, containerHeight, offsetX, offsetY: hidden overflow
+   *   on each side in displayed pixels, scale: video pixels per displayed pixel }
+   */
+  getDisplayedVideo(targetEntity, videoWidth, videoHeight) {
+    const sceneEl = targetEntity.sceneEl;
+    const container = sceneEl.systems?.['mindar-image-system']?.container || sceneEl.parentNode || sceneEl;
+    const containerWidth = container.clientWidth;
+    const containerHeight = container.clientHeight;
+
+    if (!containerWidth || !containerHeight) {
+      return null;
+    }
+
+    const videoRatio = videoWidth / videoHeight;
+    const containerRatio = containerWidth / containerHeight;
+
+    let displayedWidth;
+    let displayedHeight;
+    if (videoRatio > containerRatio) {
+      displayedHeight = containerHeight;
+      displayedWidth = displayedHeight * videoRatio;
+    } else {
+      displayedWidth = containerWidth;
+      displayedHeight = displayedWidth / videoRatio;
+    }
+
+    return {
+      containerWidth,
+      containerHeight,
+      offsetX: (displayedWidth - containerWidth) / 2,
+      offsetY: (displayedHeight - containerHeight) / 2,
+      scale: videoWidth / displayedWidth
+    };
+  }
+
+  /**
+   * Get target height / width ratio from MindAR's compiled target dimensions
+   * @param {Element} targetEntity - Entity with mindar-image-target component
+   * @returns {number} - Aspect ratio (1 if unknown)
+   */
+  getTargetAspect(targetEntity) {
+    const targetIndex = targetEntity.getAttribute('mindar-image-target')?.targetIndex;
+    const controller = targetEntity.sceneEl?.systems?.['mindar-image-system']?.controller;
+    const dimensions = controller?.markerDimensions?.[targetIndex];
+
+    if (!dimensions || !dimensions[0]) {
+      return 1;
+    }
+
+    return dimensions[1] / dimensions[0];
+  }
+
+  // ============================================================================
+  // CROPPING
+  // ============================================================================
+
+  /**
+   * Crop the tracked target out of the current video frame
+   * @param {HTMLVideoElement} videoElement - Camera video
+   * @param {Element} targetEntity - Entity with mindar-image-target component
+   * @returns {HTMLCanvasElement|null} - Rectified square crop, or null if target not visible
+   */
+  cropTarget(videoElement, targetEntity) {
+    const quad = this.getTargetQuad(targetEntity, videoElement);
+    if (!quad) {
+      return null;
+    }
+
+    return this.cropQuad(videoElement, quad);
+  }
+
+  /**
+   * Rectify a quad from the video frame into a square canvas
+   * @param {HTMLVideoElement|HTMLCanvasElement} source - Frame source
+   * @param {Array<{x: number, y: number}>} quad - [topLeft, topRight, bottomRight, bottomLeft] in source pixels
+   * @returns {HTMLCanvasElement} - Rectified crop (reused between calls)
+   */
+  cropQuad(source, quad) {
+    const sourceWidth = source.videoWidth || source.width;
+    const sourceHeight = source.videoHeight || source.height;
+    const size = this.config.outputSize;
+
+    // Copy only the quad's bounding box (downscaled) to keep getImageData cheap
+    const left = Math.max(0, Math.floor(Math.min(...quad.map(p => p.x))));
+    const top = Math.max(0, Math.floor(Math.min(...quad.map(p => p.y))));
+    const right = Math.min(sourceWidth, Math.ceil(Math.max(...quad.map(p => p.x))));
+    const bottom = Math.min(sourceHeight, Math.ceil(Math.max(...quad.map(p => p.y))));
+    const regionWidth = Math.max(1, right - left);
+    const regionHeight = Math.max(1, bottom - top);
+    const scale = Math.min(1, this.config.maxSourceSize / Math.max(regionWidth, regionHeight));
+
+    this.sourceCanvas.width = Math.max(1, Math.round(regionWidth * scale));
+    this.sourceCanvas.height = Math.max(1, Math.round(regionHeight * scale));
+    this.sourceContext.drawImage(
+      source,
+      left, top, regionWidth, regionHeight,
+      0, 0, this.sourceCanvas.width, this.sourceCanvas.height
+    );
+
+    const src = this.sourceContext.getImageData(0, 0, this.sourceCanvas.width, this.sourceCanvas.height);
+    const dst = this.outputContext.createImageData(size, size);
+
+    // Quad in source-canvas coordinates
+    const localQuad = quad.map(p => ({ x: (p.x - left) * scale, y: (p.y - top) * scale }));
+    const H = TargetCropper.squareToQuad(localQuad);
+
+    // Nearest-neighbour sampling; pixels outside the frame stay black
+    for (let j = 0; j < size; j++) {
+      const v = (j + 0.5) / size;
+      for (let i = 0; i < size; i++) {
+        const u = (i + 0.5) / size;
+        const w = H.g * u + H.h * v + 1;
+        const sx = Math.floor((H.a * u + H.b * v + H.c) / w);
+        const sy = Math.floor((H.d * u + H.e * v + H.f) / w);
+        const di = (j * size + i) * 4;
+
+        if (sx >= 0 && sy >= 0 && sx < src.width && sy < src.height) {
+          const si = (sy * src.width + sx) * 4;
+          dst.data[di] = src.data[si];
+          dst.data[di + 1] = src.data[si + 1];
+          dst.data[di + 2] = src.data[si + 2];
+        }
+        dst.data[di + 3] = 255;
+      }
+    }
+
+    this.outputContext.putImageData(dst, 0, 0);
+
+    if (this.config.debug) {
+      this.showDebug();
+    }
+
+    return this.outputCanvas;
+  }
+
+  /**
+   * Projective mapping from the unit square to a quad
+   * (0,0)→p0, (1,0)→p1, (1,1)→p2, (0,1)→p3
+   * @param {Array<{x: number, y: number}>} quad - Four corners
+   * @returns {Object} - Coefficients { a, b, c, d, e, f, g, h }
+   */
+  static squareToQuad([p0, p1, p2, p3]) {
+    const dx1 = p1.x - p2.x;
+    const dx2 = p3.x - p2.x;
+    const dx3 = p0.x - p1.x + p2.x - p3.x;
+    const dy1 = p1.y - p2.y;
+    const dy2 = p3.y - p2.y;
+    const dy3 = p0.y - p1.y + p2.y - p3.y;
+
+    let g = 0;
+    let h = 0;
+
+    // Non-parallelogram: perspective terms needed
+    if (dx3 !== 0 || dy3 !== 0) {
+      const den = dx1 * dy2 - dx2 * dy1;
+      if (den !== 0) {
+        g = (dx3 * dy2 - dx2 * dy3) / den;
+        h = (dx1 * dy3 - dx3 * dy1) / den;
+      }
+    }
+
+    return {
+      a: p1.x - p0.x + g * p1.x,
+      b: p3.x - p0.x + h * p3.x,
+      c: p0.x,
+      d: p1.y - p0.y + g * p1.y,
+      e: p3.y - p0.y + h * p3.y,
+      f: p0.y,
+      g: g,
+      h: h
+    };
+  }
+
+  // ============================================================================
+  // DEBUG
+  // ============================================================================
+
+  /**
+   * Show the latest crop in the corner of the screen
+   */
+  showDebug() {
+    if (!this.debugElement) {
+      this.debugElement = document.createElement('canvas');
+      this.debugElement.id = 'target-crop-debug';
+      this.debugElement.width = this.config.outputSize;
+      this.debugElement.height = this.config.outputSize;
+      this.debugElement.style.cssText = `
+        position: fixed;
+        top: 10px;
+        left: 10px;
+        width: 112px;
+        height: 112px;
+        border: 2px solid #00ff00;
+        z-index: 1002;
+        pointer-events: none;
+      `;
+      document.body.appendChild(this.debugElement);
+    }
+
+    this.debugElement.getContext('2d').drawImage(this.outputCanvas, 0, 0);
+  }
+
+  /**
+   * Enable or disable the on-screen crop preview
+   * @param {boolean} enabled - Debug state
+   */
+  setDebug(enabled) {
+    this.config.debug = enabled;
+
+    if (!enabled && this.debugElement) {
+      this.debugElement.remove();
+      this.debugElement = null;
+    }
+  }
+}
+
+// ============================================================================
+// EXPORT
+// ============================================================================
+
+// Make available globally
+window.TargetCropper = TargetCropper;
+
+console.log('✅ TargetCropper module loaded');
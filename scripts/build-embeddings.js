@@ -0,0 +1,202 @@
+#!/usr/bin/env node
+
+/**
+ * Build Reference Embeddings for the kNN Classifier
+ *
+ * Computes MobileNet embeddings for a folder of product photos so new
+ * variants can be recognized without retraining (CONFIG.ml.backend = 'knn'):
+ * - Reads one sub-folder per product: <photosDir>/<productId>/*.jpg|png
+ * - Runs each photo through the same feature extractor as js/knn-classifier.js
+ * - Writes assets/embeddings/<productId>.json per product
+ *
+ * Usage:
+ *   node scripts/build-embeddings.js <photosDir> [--out <dir>] [--model <url>]
+ *
+ *   --model   Defaults to CONFIG.ml.knn.embeddingModelURL (the vendored copy -
+ *             run scripts/vendor-ml-runtime.js first); a TF Hub URL also works
+ *
+ * Example:
+ *   node scripts/build-embeddings.js ./photos
+ *   → assets/embeddings/product-1.json, assets/embeddings/product-2.json
+ *   Then set "ml": { "embeddingsPath": "./assets/embeddings/product-1.json" }
+ *
+ * Prerequisites:
+ *   npm install @tensorflow/tfjs-node
+ *   node scripts/vendor-ml-runtime.js   (embedding model)
+ */
+
+const path = require('path');
+const fs = require('fs');
+
+const tf = require('@tensorflow/tfjs-node');
+
+const { loadAppConfig } = require('./lib/app-config');
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+// Same model as the app - read from CONFIG.ml.knn in js/config.js
+const DEFAULT_MODEL_URL = loadAppConfig().ml.knn.embeddingModelURL;
+const IMAGE_SIZE = 224;
+const IMAGE_EXTENSIONS = ['.jpg', '.jpeg', '.png'];
+
+// Project root directory
+const PROJECT_ROOT = path.join(__dirname, '..');
+const DEFAULT_OUT_DIR = path.join(PROJECT_ROOT, 'assets', 'embeddings');
+
+// ============================================================================
+// HELPER FUNCTIONS
+// ============================================================================
+
+/**
+ * Parse command line arguments
+ */
+function parseArgs(argv) {
+  const args = { photosDir: null, outDir: DEFAULT_OUT_DIR, modelUrl: DEFAULT_MODEL_URL };
+
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--out') {
+      args.outDir = path.resolve(argv[++i]);
+    } else if (argv[i] === '--model') {
+      args.modelUrl = argv[++i];
+    } else if (!args.photosDir) {
+      args.photosDir = path.resolve(argv[i]);
+    }
+  }
+
+  return args;
+}
+
+/**
+ * URL tf.loadGraphModel can open in Node
+ * Local paths are relative to the project root, like the site paths in js/config.js
+ */
+function getLoadURL(modelUrl) {
+  if (/^https?:\/\//.test(modelUrl)) {
+    return modelUrl;
+  }
+  return 'file://' + path.resolve(PROJECT_ROOT, modelUrl);
+}
+
+/**
+ * Get image files in a product folder
+ */
+function getImageFiles(dir) {
+  return fs.readdirSync(dir)
+    .filter(file => IMAGE_EXTENSIONS.includes(path.extname(file).toLowerCase()))
+    .map(file => path.join(dir, file));
+}
+
+/**
+ * Compute L2-normalized embedding for one image
+ * Preprocessing mirrors KNNClassifier.embed() in js/knn-classifier.js
+ */
+async function embedImage(model, filePath) {
+  const buffer = fs.readFileSync(filePath);
+
+  const output = tf.tidy(() => {
+    const input = tf.node.decodeImage(buffer, 3)
+      .resizeBilinear([IMAGE_SIZE, IMAGE_SIZE])
+      .toFloat()
+      .div(255)
+      .expandDims(0);
+    const embedding = model.predict(input);
+    return embedding.div(embedding.norm());
+  });
+
+  const vector = Array.from(await output.data());
+  output.dispose();
+
+  // Round to keep JSON files small (cosine similarity is unaffected)
+  return vector.map(v => parseFloat(v.toFixed(6)));
+}
+
+// ============================================================================
+// MAIN
+// ============================================================================
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+
+  if (!args.photosDir) {
+    console.error('❌ Error: photos directory required');
+    console.error('   Usage: node scripts/build-embeddings.js <photosDir> [--out <dir>] [--model <url>]');
+    process.exit(1);
+  }
+
+  if (!fs.existsSync(args.photosDir)) {
+    console.error(`❌ Error: directory not found: ${args.photosDir}`);
+    process.exit(1);
+  }
+
+  const productDirs = fs.readdirSync(args.photosDir)
+    .filter(name => fs.statSync(path.join(args.photosDir, name)).isDirectory());
+
+  if (productDirs.length === 0) {
+    console.error(`❌ Error: no product folders in ${args.photosDir} (expected <photosDir>/<productId>/*.jpg)`);
+    process.exit(1);
+  }
+
+  console.log('🚀 Building reference embeddings...\n');
+  console.log(`📂 Photos: ${args.photosDir}`);
+  console.log(`📂 Output: ${args.outDir}`);
+  console.log(`🤖 Model: ${args.modelUrl}\n`);
+
+  const model = await tf.loadGraphModel(getLoadURL(args.modelUrl), {
+    fromTFHub: args.modelUrl.includes('tfhub.dev')
+  });
+
+  fs.mkdirSync(args.outDir, { recursive: true });
+
+  const summary = [];
+
+  for (const productId of productDirs) {
+    const files = getImageFiles(path.join(args.photosDir, productId));
+
+    if (files.length === 0) {
+      console.warn(`⚠️ ${productId}: no images, skipping`);
+      continue;
+    }
+
+    console.log(`📦 ${productId}: ${files.length} image(s)`);
+
+    const embeddings = [];
+    for (const filePath of files) {
+      try {
+        embeddings.push(await embedImage(model, filePath));
+      } catch (error) {
+        console.error(`   ❌ ${path.basename(filePath)}: ${error.message}`);
+      }
+    }
+
+    const outPath = path.join(args.outDir, `${productId}.json`);
+    fs.writeFileSync(outPath, JSON.stringify({
+      productId: productId,
+      model: args.modelUrl,
+      imageSize: IMAGE_SIZE,
+      createdAt: new Date().toISOString(),
+      sources: files.map(f => path.basename(f)),
+      embeddings: embeddings
+    }));
+
+    console.log(`   ✅ ${embeddings.length} embedding(s) → ${path.relative(PROJECT_ROOT, outPath)}`);
+    summary.push({ productId, count: embeddings.length, path: outPath });
+  }
+
+  console.log('\n' + '='.repeat(60));
+  console.log('📋 Add to products.json:');
+  console.log('='.repeat(60) + '\n');
+
+  summary.forEach(({ productId, path: outPath }) => {
+    console.log(`  ${productId}: "ml": { "embeddingsPath": "./${path.relative(PROJECT_ROOT, outPath)}" }`);
+  });
+
+  console.log('\n🎉 Done! Set CONFIG.ml.backend = \'knn\' in js/config.js to use these embeddings.');
+}
+
+// Run main function
+main().catch(error => {
+  console.error('\n❌ Fatal error:', error);
+  process.exit(1);
+});
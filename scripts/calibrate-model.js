@@ -0,0 +1,279 @@
+#!/usr/bin/env node
+
+/**
+ * Calibrate the Product Classifier
+ *
+ * Fits temperature scaling and per-label confidence thresholds from a
+ * labelled validation set, for MLClassifier's calibration file:
+ * - Runs every validation image through the model (same preprocessing as the app)
+ * - Finds the temperature T that minimizes negative log-likelihood
+ * - Picks, per label, the lowest calibrated confidence at which predictions
+ *   of that label reach the target precision (look-alikes get stricter thresholds)
+ * - Writes calibration.json next to the model
+ *
+ * Usage:
+ *   node scripts/calibrate-model.js <validationDir> [--model <dir>] [--out <file>] [--precision 0.95]
+ *
+ *   <validationDir>/<label>/*.jpg  - folder names must match metadata.json labels
+ *                                    (use images NOT used for training)
+ *
+ * Example:
+ *   node scripts/calibrate-model.js ./validation
+ *   → js/mlModels/calibration.json
+ *   Then add "calibrationURL": "./js/mlModels/calibration.json" to the model's registry entry
+ *
+ * Prerequisites:
+ *   npm install @tensorflow/tfjs-node
+ */
+
+const path = require('path');
+const fs = require('fs');
+
+const {
+  PROJECT_ROOT,
+  DEFAULT_MODEL_DIR,
+  loadTeachableModel,
+  predictFile,
+  getLabelledImages,
+  applyTemperature
+} = require('./lib/teachable-node');
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+const DEFAULT_PRECISION = 0.95;
+const TEMPERATURE_RANGE = [0.05, 20];
+const MIN_THRESHOLD = 0.5;  // Never suggest accepting a label below 50%
+const MAX_THRESHOLD = 0.99; // Used when the target precision is never reached
+const ECE_BINS = 10;
+
+// ============================================================================
+// HELPER FUNCTIONS
+// ============================================================================
+
+/**
+ * Parse command line arguments
+ */
+function parseArgs(argv) {
+  const args = { validationDir: null, modelDir: DEFAULT_MODEL_DIR, outFile: null, precision: DEFAULT_PRECISION };
+
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--model') {
+      args.modelDir = path.resolve(argv[++i]);
+    } else if (argv[i] === '--out') {
+      args.outFile = path.resolve(argv[++i]);
+    } else if (argv[i] === '--precision') {
+      args.precision = parseFloat(argv[++i]);
+    } else if (!args.validationDir) {
+      args.validationDir = path.resolve(argv[i]);
+    }
+  }
+
+  args.outFile = args.outFile || path.join(args.modelDir, 'calibration.json');
+  return args;
+}
+
+/**
+ * Mean negative log-likelihood of the true labels at temperature T
+ */
+function negativeLogLikelihood(samples, temperature) {
+  const total = samples.reduce((sum, { probabilities, labelIndex }) => {
+    const calibrated = applyTemperature(probabilities, temperature);
+    return sum - Math.log(Math.max(calibrated[labelIndex], 1e-12));
+  }, 0);
+  return total / samples.length;
+}
+
+/**
+ * Golden-section search for the NLL-minimizing temperature (in log space)
+ */
+function fitTemperature(samples) {
+  const ratio = (Math.sqrt(5) - 1) / 2;
+  let low = Math.log(TEMPERATURE_RANGE[0]);
+  let high = Math.log(TEMPERATURE_RANGE[1]);
+
+  for (let i = 0; i < 60; i++) {
+    const a = high - ratio * (high - low);
+    const b = low + ratio * (high - low);
+    if (negativeLogLikelihood(samples, Math.exp(a)) < negativeLogLikelihood(samples, Math.exp(b))) {
+      high = b;
+    } else {
+      low = a;
+    }
+  }
+
+  return Math.exp((low + high) / 2);
+}
+
+/**
+ * Expected calibration error (top-1 confidence vs accuracy, equal-width bins)
+ */
+function expectedCalibrationError(samples, temperature) {
+  const bins = Array.from({ length: ECE_BINS }, () => ({ count: 0, confidence: 0, correct: 0 }));
+
+  samples.forEach(({ probabilities, labelIndex }) => {
+    const calibrated = applyTemperature(probabilities, temperature);
+    const top = calibrated.indexOf(Math.max(...calibrated));
+    const bin = bins[Math.min(ECE_BINS - 1, Math.floor(calibrated[top] * ECE_BINS))];
+    bin.count++;
+    bin.confidence += calibrated[top];
+    bin.correct += top === labelIndex ? 1 : 0;
+  });
+
+  return bins.reduce((ece, bin) => (
+    bin.count === 0 ? ece : ece + Math.abs(bin.correct - bin.confidence) / samples.length
+  ), 0);
+}
+
+/**
+ * Lowest threshold at which predictions of each label reach the target precision
+ */
+function fitThresholds(samples, labels, temperature, precision) {
+  const thresholds = {};
+  const report = {};
+
+  labels.forEach((label, index) => {
+    // Calibrated top-1 confidences of every sample predicted as this label
+    const predicted = samples
+      .map(({ probabilities, labelIndex }) => {
+        const calibrated = applyTemperature(probabilities, temperature);
+        const top = calibrated.indexOf(Math.max(...calibrated));
+        return { top, confidence: calibrated[top], correct: labelIndex === index };
+      })
+      .filter(p => p.top === index)
+      .sort((a, b) => b.confidence - a.confidence);
+
+    if (predicted.length === 0) {
+      report[label] = { predicted: 0 };
+      return;
+    }
+
+    // Walk down from the most confident prediction, keep the lowest cutoff meeting the precision
+    let correct = 0;
+    let threshold = null;
+    predicted.forEach((p, i) => {
+      correct += p.correct ? 1 : 0;
+      if (correct / (i + 1) >= precision) {
+        threshold = p.confidence;
+      }
+    });
+
+    threshold = threshold === null
+      ? MAX_THRESHOLD
+      : Math.min(MAX_THRESHOLD, Math.max(MIN_THRESHOLD, threshold));
+
+    thresholds[label] = parseFloat(threshold.toFixed(3));
+
+    const accepted = predicted.filter(p => p.confidence >= threshold);
+    report[label] = {
+      predicted: predicted.length,
+      accepted: accepted.length,
+      precision: accepted.length > 0 ? accepted.filter(p => p.correct).length / accepted.length : null
+    };
+  });
+
+  return { thresholds, report };
+}
+
+// ============================================================================
+// MAIN
+// ============================================================================
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+
+  if (!args.validationDir) {
+    console.error('❌ Error: validation directory required');
+    console.error('   Usage: node scripts/calibrate-model.js <validationDir> [--model <dir>] [--out <file>] [--precision 0.95]');
+    process.exit(1);
+  }
+
+  if (!fs.existsSync(args.validationDir)) {
+    console.error(`❌ Error: directory not found: ${args.validationDir}`);
+    process.exit(1);
+  }
+
+  console.log('🚀 Calibrating product classifier...\n');
+  console.log(`📂 Validation set: ${args.validationDir}`);
+  console.log(`🤖 Model: ${path.relative(PROJECT_ROOT, args.modelDir)}`);
+  console.log(`🎯 Target precision: ${(args.precision * 100).toFixed(0)}%\n`);
+
+  const loaded = await loadTeachableModel(args.modelDir);
+  const images = getLabelledImages(args.validationDir);
+
+  const unknownFolders = [...new Set(images.map(i => i.label))].filter(l => !loaded.labels.includes(l));
+  if (unknownFolders.length > 0) {
+    console.warn(`⚠️ Skipping folders that are not model labels: ${unknownFolders.join(', ')}`);
+  }
+
+  const samples = [];
+  for (const { label, filePath } of images.filter(i => loaded.labels.includes(i.label))) {
+    try {
+      const predictions = await predictFile(loaded, filePath);
+      samples.push({
+        labelIndex: loaded.labels.indexOf(label),
+        probabilities: predictions.map(p => p.probability)
+      });
+    } catch (error) {
+      console.error(`   ❌ ${path.relative(args.validationDir, filePath)}: ${error.message}`);
+    }
+  }
+
+  if (samples.length === 0) {
+    console.error('❌ Error: no usable validation images (expected <validationDir>/<label>/*.jpg)');
+    process.exit(1);
+  }
+
+  console.log(`📦 ${samples.length} validation image(s)\n`);
+
+  const temperature = fitTemperature(samples);
+  const { thresholds, report } = fitThresholds(samples, loaded.labels, temperature, args.precision);
+
+  const calibration = {
+    temperature: parseFloat(temperature.toFixed(4)),
+    thresholds: thresholds,
+    targetPrecision: args.precision,
+    model: {
+      timeStamp: loaded.metadata.timeStamp || null,
+      labels: loaded.labels
+    },
+    validation: {
+      samples: samples.length,
+      nll: {
+        before: parseFloat(negativeLogLikelihood(samples, 1).toFixed(4)),
+        after: parseFloat(negativeLogLikelihood(samples, temperature).toFixed(4))
+      },
+      ece: {
+        before: parseFloat(expectedCalibrationError(samples, 1).toFixed(4)),
+        after: parseFloat(expectedCalibrationError(samples, temperature).toFixed(4))
+      },
+      perLabel: report
+    },
+    createdAt: new Date().toISOString()
+  };
+
+  fs.writeFileSync(args.outFile, JSON.stringify(calibration, null, 2) + '\n');
+
+  console.log(`🌡️ Temperature: ${calibration.temperature}`);
+  console.log(`   NLL: ${calibration.validation.nll.before} → ${calibration.validation.nll.after}`);
+  console.log(`   ECE: ${calibration.validation.ece.before} → ${calibration.validation.ece.after}\n`);
+  console.log('🎚️ Per-label thresholds:');
+  loaded.labels.forEach(label => {
+    const info = report[label];
+    if (thresholds[label] === undefined) {
+      console.log(`   ${label}: no predictions in validation set`);
+    } else {
+      console.log(`   ${label}: ${thresholds[label]} (${info.accepted}/${info.predicted} accepted)`);
+    }
+  });
+
+  console.log(`\n✅ Calibration written to ${path.relative(PROJECT_ROOT, args.outFile)}`);
+  console.log('🎉 Done! Set "calibrationURL" on the model\'s registry entry to use it.');
+}
+
+// Run main function
+main().catch(error => {
+  console.error('\n❌ Fatal error:', error);
+  process.exit(1);
+});
@@ -1,75 +1,264 @@
 #!/usr/bin/env node
 
 /**
- * Compile .mind file from source image using MindAR compiler
+ * Compile .mind Image Target Files (offline)
  *
- * This script requires the mind-ar-js package
- * Install with: npm install mind-ar-js
+ * Runs MindAR's own compiler in Node instead of the online tool:
+ * - Checks each image's real format (magic bytes) - node-canvas decodes PNG,
+ *   JPEG and GIF only, so e.g. an AVIF file named .png is rejected up front
+ * - Loads the images with node-canvas and runs MindAR's OfflineCompiler
+ *   (which draws on node-canvas itself) with TensorFlow.js on the CPU backend
+ * - Compiles all images into ONE .mind file, in the order given
+ *   (first image = targetIndex 0, second = 1, ...)
+ * - Validates the result by re-parsing it (target count and image sizes)
+ * - Writes a manifest mapping each image to its targetIndex for products.json
+ *
+ * Usage:
+ *   node scripts/compile-mind-file.js [images or directories...] [--out <file.mind>] [--manifest <file.json>]
+ *
+ *   No images: every .jpg / .jpeg / .png in assets/targets (sorted by name)
+ *   --out       Default: assets/targets/targets.mind
+ *   --manifest  Default: next to the .mind file, <name>.manifest.json
+ *
+ * Example:
+ *   node scripts/compile-mind-file.js assets/targets/zyn-cool-mint.png assets/targets/zynSpearmint.png --out assets/targets/zyn.mind
+ *   → assets/targets/zyn.mind + assets/targets/zyn.manifest.json
+ *   Then set each product's "targetIndex" and "target.imagePath" from the manifest
+ *
+ * Prerequisites:
+ *   npm install   (in scripts/ - mind-ar, canvas, @tensorflow/tfjs)
+ *   Compiling is CPU-bound: expect ~10-30 s per image
  */
 
-const fs = require('fs');
 const path = require('path');
+const fs = require('fs');
+
+const { assertDecodableImage } = require('./lib/image-format');
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+const PROJECT_ROOT = path.join(__dirname, '..');
+const TARGETS_DIR = path.join(PROJECT_ROOT, 'assets', 'targets');
+const DEFAULT_OUT = path.join(TARGETS_DIR, 'targets.mind');
+const IMAGE_EXTENSIONS = ['.jpg', '.jpeg', '.png'];
+
+// MindAR's Node compiler (extends the browser compiler's CompilerBase)
+const MINDAR_COMPILER = 'mind-ar/src/image-target/offline-compiler.js';
+
+// ============================================================================
+// HELPER FUNCTIONS
+// ============================================================================
+
+/**
+ * Parse command line arguments
+ */
+function parseArgs(argv) {
+  const args = { inputs: [], outFile: DEFAULT_OUT, manifestFile: null };
+
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--out') {
+      args.outFile = path.resolve(argv[++i]);
+    } else if (argv[i] === '--manifest') {
+      args.manifestFile = path.resolve(argv[++i]);
+    } else {
+      args.inputs.push(path.resolve(argv[i]));
+    }
+  }
+
+  if (args.inputs.length === 0) {
+    args.inputs.push(TARGETS_DIR);
+  }
 
-// Note: mind-ar-js doesn't have a Node.js compiler API
-// The compiler only works in browser environment
-//
-// To compile .mind files, you have two options:
-// 1. Use the online tool: https://hiukim.github.io/mind-ar-js-doc/tools/compile
-// 2. Use the Python version: https://github.com/hiukim/mind-ar-js
-
-console.log('╔════════════════════════════════════════════════════════════╗');
-console.log('║         MindAR Image Target Compiler Instructions         ║');
-console.log('╚════════════════════════════════════════════════════════════╝');
-console.log('');
-console.log('The .mind file appears to be corrupted and needs recompilation.');
-console.log('');
-console.log('📍 Source image location:');
-console.log('   ./assets/targets/zynSpearmint.png');
-console.log('');
-console.log('🔧 To recompile the .mind file:');
-console.log('');
-console.log('Option 1: Online Compiler (Easiest)');
-console.log('─────────────────────────────────────');
-console.log('1. Open: https://hiukim.github.io/mind-ar-js-doc/tools/compile');
-console.log('2. Click "Add Image" and select: assets/targets/zynSpearmint.png');
-console.log('3. Click "Start" to compile');
-console.log('4. Click "Download compiled" when done');
-console.log('5. Save as: assets/targets/zynSpearmint.mind (replace existing)');
-console.log('');
-console.log('Option 2: Python CLI (Advanced)');
-console.log('────────────────────────────────────');
-console.log('1. Install Python version: pip install mindar');
-console.log('2. Run: mindar-cli compile --input assets/targets/zynSpearmint.png --output assets/targets/zynSpearmint.mind');
-console.log('');
-console.log('After recompiling, refresh the browser and test again.');
-console.log('');
-
-// Check if source image exists
-const imagePath = path.join(__dirname, '..', 'assets', 'targets', 'zynSpearmint.png');
-if (fs.existsSync(imagePath)) {
-  console.log('✅ Source image found:', imagePath);
-  const stats = fs.statSync(imagePath);
-  console.log(`   Size: ${(stats.size / 1024).toFixed(2)} KB`);
-  console.log(`   Modified: ${stats.mtime.toLocaleString()}`);
-} else {
-  console.log('❌ Source image NOT found:', imagePath);
-  console.log('   You will need to locate the original image first.');
+  args.manifestFile = args.manifestFile ||
+    path.join(path.dirname(args.outFile), `${path.basename(args.outFile, '.mind')}.manifest.json`);
+  return args;
 }
 
-console.log('');
-
-// Check current .mind file
-const mindPath = path.join(__dirname, '..', 'assets', 'targets', 'zynSpearmint.mind');
-if (fs.existsSync(mindPath)) {
-  const stats = fs.statSync(mindPath);
-  console.log('📄 Current .mind file:');
-  console.log(`   Location: ${mindPath}`);
-  console.log(`   Size: ${(stats.size / 1024).toFixed(2)} KB`);
-  console.log(`   Modified: ${stats.mtime.toLocaleString()}`);
-  console.log('   Status: ⚠️ NEEDS RECOMPILATION');
-} else {
-  console.log('❌ .mind file NOT found:', mindPath);
+/**
+ * Expand directories into their image files (sorted), keep files as given
+ */
+function collectImages(inputs) {
+  const images = [];
+
+  inputs.forEach(input => {
+    if (!fs.existsSync(input)) {
+      throw new Error(`not found: ${input}`);
+    }
+
+    if (fs.statSync(input).isDirectory()) {
+      fs.readdirSync(input)
+        .filter(file => IMAGE_EXTENSIONS.includes(path.extname(file).toLowerCase()))
+        .sort()
+        .forEach(file => images.push(path.join(input, file)));
+    } else {
+      images.push(input);
+    }
+  });
+
+  return [...new Set(images)];
+}
+
+/**
+ * Project-relative path in the form products.json uses ("./assets/...")
+ */
+function toProjectPath(filePath) {
+  return './' + path.relative(PROJECT_ROOT, filePath).split(path.sep).join('/');
+}
+
+/**
+ * Check every image can be decoded before spending minutes compiling
+ * @returns {Array<string>} - One message per unusable image
+ */
+function checkImages(imagePaths) {
+  const problems = [];
+
+  imagePaths.forEach(imagePath => {
+    try {
+      const { format, extensionMatches } = assertDecodableImage(imagePath);
+      if (!extensionMatches) {
+        console.warn(`⚠️ ${path.basename(imagePath)} is a ${format.toUpperCase()} file - consider renaming it`);
+      }
+    } catch (error) {
+      problems.push(error.message);
+    }
+  });
+
+  return problems;
+}
+
+/**
+ * Load node-canvas and MindAR's compiler
+ * OfflineCompiler creates its canvases with node-canvas itself - no DOM needed
+ */
+async function loadCompiler() {
+  let canvasModule;
+  try {
+    canvasModule = require('canvas');
+  } catch (error) {
+    throw new Error('node-canvas not installed - run: npm install canvas (in scripts/)');
+  }
+
+  let compilerModule;
+  try {
+    compilerModule = await import(MINDAR_COMPILER);
+  } catch (error) {
+    throw new Error(`MindAR compiler not available (${error.message}) - run: npm install mind-ar (in scripts/)`);
+  }
+
+  // MindAR registers its detector kernels for the CPU backend in Node
+  const tf = await import('@tensorflow/tfjs');
+  await tf.setBackend('cpu');
+  await tf.ready();
+
+  return { loadImage: canvasModule.loadImage, OfflineCompiler: compilerModule.OfflineCompiler };
+}
+
+/**
+ * Re-parse a compiled file and check it matches the input images
+ * @returns {Array} - targetImage { width, height } per target
+ */
+function validateMindFile(OfflineCompiler, buffer, images) {
+  const dataList = new OfflineCompiler().importData(buffer);
+
+  if (!Array.isArray(dataList) || dataList.length !== images.length) {
+    throw new Error(`expected ${images.length} target(s), file has ${dataList?.length ?? 0}`);
+  }
+
+  return dataList.map((data, i) => {
+    const { width, height } = data.targetImage;
+    if (width !== images[i].width || height !== images[i].height) {
+      throw new Error(`target ${i} is ${width}x${height}, image is ${images[i].width}x${images[i].height}`);
+    }
+    if (!data.matchingData?.length || !data.trackingData?.length) {
+      throw new Error(`target ${i} has no matching / tracking data`);
+    }
+    return { width, height };
+  });
+}
+
+// ============================================================================
+// MAIN
+// ============================================================================
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const imagePaths = collectImages(args.inputs);
+
+  if (imagePaths.length === 0) {
+    console.error('❌ Error: no images found (.jpg, .jpeg, .png)');
+    console.error('   Usage: node scripts/compile-mind-file.js [images or directories...] [--out <file.mind>] [--manifest <file.json>]');
+    process.exit(1);
+  }
+
+  console.log('🚀 Compiling MindAR image targets...\n');
+  imagePaths.forEach((imagePath, i) => console.log(`   ${i}. ${toProjectPath(imagePath)}`));
+  console.log('');
+
+  const problems = checkImages(imagePaths);
+  if (problems.length > 0) {
+    problems.forEach(problem => console.error(`❌ ${problem}`));
+    process.exit(1);
+  }
+
+  const { loadImage, OfflineCompiler } = await loadCompiler();
+  const images = await Promise.all(imagePaths.map(imagePath => loadImage(imagePath)));
+
+  const startTime = Date.now();
+  const compiler = new OfflineCompiler();
+  let lastPercent = -10;
+
+  await compiler.compileImageTargets(images, (percent) => {
+    if (percent - lastPercent >= 10 || percent >= 100) {
+      lastPercent = percent;
+      console.log(`   ⏳ ${Math.round(percent)}%`);
+    }
+  });
+
+  const buffer = compiler.exportData();
+  console.log(`\n⏱️ Compiled in ${((Date.now() - startTime) / 1000).toFixed(1)}s`);
+
+  // Never write a file MindAR can't load
+  let sizes;
+  try {
+    sizes = validateMindFile(OfflineCompiler, buffer, images);
+  } catch (error) {
+    console.error(`❌ Validation failed: ${error.message}`);
+    process.exit(1);
+  }
+
+  fs.mkdirSync(path.dirname(args.outFile), { recursive: true });
+  fs.writeFileSync(args.outFile, Buffer.from(buffer));
+
+  const manifest = {
+    mindFile: toProjectPath(args.outFile),
+    size: buffer.byteLength,
+    targets: imagePaths.map((imagePath, i) => ({
+      targetIndex: i,
+      image: toProjectPath(imagePath),
+      width: sizes[i].width,
+      height: sizes[i].height
+    })),
+    createdAt: new Date().toISOString()
+  };
+
+  fs.writeFileSync(args.manifestFile, JSON.stringify(manifest, null, 2) + '\n');
+
+  console.log(`✅ Validated ${sizes.length} target(s) (${(buffer.byteLength / 1024).toFixed(1)} KB)`);
+  console.log(`📦 ${manifest.mindFile}`);
+  console.log(`📝 ${toProjectPath(args.manifestFile)}\n`);
+
+  console.log('🎯 products.json:');
+  manifest.targets.forEach(target => {
+    console.log(`   ${target.image} → "targetIndex": ${target.targetIndex}, "imagePath": "${manifest.mindFile}"`);
+  });
+
+  console.log('\n🎉 Done!');
 }
 
-console.log('');
-console.log('═══════════════════════════════════════════════════════════');
+// Run main function
+main().catch(error => {
+  console.error('\n❌ Fatal error:', error.message || error);
+  process.exit(1);
+});
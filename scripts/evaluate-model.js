@@ -0,0 +1,430 @@
+#!/usr/bin/env node
+
+/**
+ * Evaluate the Product Classifier Offline
+ *
+ * Runs the model used by js/ml-classifier.js over a labelled image set and
+ * reports how well it would do in the app:
+ * - Confusion matrix (true label × predicted label)
+ * - Per-class precision / recall / F1
+ * - Latency stats (decode + preprocess + inference per image)
+ * - Default confidence threshold that maximizes accuracy (labels with their
+ *   own threshold keep it during the sweep)
+ *
+ * Folders named after a model label are positives; any other folder (e.g.
+ * "other-brands") holds negatives the app should reject. With negatives,
+ * accuracy counts a rejected negative as correct, so the best threshold is
+ * a real trade-off.
+ *
+ * Decisions follow MLClassifier.classifyProduct with the settings in
+ * js/config.js: reject labels, per-label thresholds (CONFIG.ml.thresholds >
+ * calibration file > default) and the CONFIG.ml.unknown margin / entropy
+ * checks. Every image is ONE frame - multi-frame voting (CONFIG.ml.voting)
+ * is not simulated, so in-app results are usually more stable than these.
+ *
+ * Usage:
+ *   node scripts/evaluate-model.js <imagesDir> [--model <dir>] [--calibration <file>] [--out <file>]
+ *
+ *   <imagesDir>/<label>/*.jpg  - folder per label (Teachable Machine export layout)
+ *
+ * Example:
+ *   node scripts/evaluate-model.js ./test-images
+ *   → evaluation/evaluation-report.json + evaluation/evaluation-report.txt (git-ignored)
+ *
+ * Prerequisites:
+ *   npm install @tensorflow/tfjs-node
+ */
+
+const path = require('path');
+const fs = require('fs');
+const { performance } = require('perf_hooks');
+
+const {
+  PROJECT_ROOT,
+  DEFAULT_MODEL_DIR,
+  loadTeachableModel,
+  predictFile,
+  getLabelledImages,
+  applyTemperature
+} = require('./lib/teachable-node');
+const { loadAppConfig } = require('./lib/app-config');
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+// Same settings the app runs with (MLClassifier defaults + js/config.js)
+const ML_CONFIG = loadAppConfig().ml || {};
+const UNKNOWN = {
+  enabled: true,
+  rejectLabels: ['Background', 'Other', 'Unknown'],
+  minMargin: null,
+  maxEntropy: null,
+  ...(ML_CONFIG.unknown || {})
+};
+const CONFIG_THRESHOLDS = ML_CONFIG.thresholds || {};
+
+const REJECTED = '(rejected)';
+const DEFAULT_THRESHOLD = 0.70; // MLClassifier confidenceThreshold
+const THRESHOLD_STEP = 0.01;
+
+const DEFAULT_OUT_FILE = path.join(PROJECT_ROOT, 'evaluation', 'evaluation-report.json');
+
+// ============================================================================
+// HELPER FUNCTIONS
+// ============================================================================
+
+/**
+ * Parse command line arguments
+ */
+function parseArgs(argv) {
+  const args = { imagesDir: null, modelDir: DEFAULT_MODEL_DIR, calibrationFile: null, outFile: DEFAULT_OUT_FILE };
+
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--model') {
+      args.modelDir = path.resolve(argv[++i]);
+    } else if (argv[i] === '--calibration') {
+      args.calibrationFile = path.resolve(argv[++i]);
+    } else if (argv[i] === '--out') {
+      args.outFile = path.resolve(argv[++i]);
+    } else if (!args.imagesDir) {
+      args.imagesDir = path.resolve(argv[i]);
+    }
+  }
+
+  return args;
+}
+
+/**
+ * Percentile of a sorted array (nearest rank)
+ */
+function percentile(sorted, p) {
+  if (sorted.length === 0) {
+    return 0;
+  }
+  return sorted[Math.min(sorted.length - 1, Math.ceil(p / 100 * sorted.length) - 1)];
+}
+
+/**
+ * Trained "none of the above" class (MLClassifier.isRejectLabel)
+ */
+function isRejectLabel(label) {
+  return UNKNOWN.rejectLabels.some(rejectLabel => rejectLabel.toLowerCase() === String(label).toLowerCase());
+}
+
+/**
+ * Top-2 margin and normalized entropy (MLClassifier.getUncertainty)
+ * @param {Array<number>} probabilities - One per model label
+ * @returns {Object} - { margin, entropy }
+ */
+function getUncertainty(probabilities) {
+  const sorted = [...probabilities].sort((a, b) => b - a);
+  const total = sorted.reduce((sum, p) => sum + p, 0) || 1;
+  const entropy = sorted.reduce((sum, p) => {
+    const prob = p / total;
+    return prob > 0 ? sum - prob * Math.log(prob) : sum;
+  }, 0);
+
+  return {
+    margin: sorted[0] - (sorted[1] ?? 0),
+    entropy: sorted.length > 1 ? entropy / Math.log(sorted.length) : 0
+  };
+}
+
+/**
+ * Predicted label at a threshold, rejected like the app would:
+ * reject label wins, below the label's threshold, or too ambiguous (open set)
+ */
+function decide(sample, threshold, thresholds = {}) {
+  if (UNKNOWN.enabled && isRejectLabel(sample.predicted)) {
+    return REJECTED;
+  }
+
+  const labelThreshold = thresholds[sample.predicted] ?? threshold;
+  if (sample.confidence < labelThreshold) {
+    return REJECTED;
+  }
+
+  if (UNKNOWN.enabled && UNKNOWN.minMargin != null && sample.margin < UNKNOWN.minMargin) {
+    return REJECTED;
+  }
+  if (UNKNOWN.enabled && UNKNOWN.maxEntropy != null && sample.entropy > UNKNOWN.maxEntropy) {
+    return REJECTED;
+  }
+
+  return sample.predicted;
+}
+
+/**
+ * Correct = positive accepted as its own label, or negative rejected
+ */
+function isCorrect(sample, decision) {
+  return sample.positive ? decision === sample.truth : decision === REJECTED;
+}
+
+/**
+ * Confusion matrix and per-class metrics at a threshold
+ */
+function computeMetrics(samples, classLabels, threshold, thresholds) {
+  const columns = [...classLabels, REJECTED];
+  const rows = [...new Set(samples.map(s => s.truth))];
+  const matrix = {};
+  rows.forEach(row => {
+    matrix[row] = Object.fromEntries(columns.map(column => [column, 0]));
+  });
+
+  let correct = 0;
+  samples.forEach(sample => {
+    const decision = decide(sample, threshold, thresholds);
+    matrix[sample.truth][decision]++;
+    correct += isCorrect(sample, decision) ? 1 : 0;
+  });
+
+  const perClass = {};
+  classLabels.forEach(label => {
+    const truePositives = matrix[label]?.[label] || 0;
+    const predictedCount = rows.reduce((sum, row) => sum + matrix[row][label], 0);
+    const actualCount = samples.filter(s => s.truth === label).length;
+
+    const precision = predictedCount > 0 ? truePositives / predictedCount : null;
+    const recall = actualCount > 0 ? truePositives / actualCount : null;
+    const f1 = precision && recall ? 2 * precision * recall / (precision + recall) : null;
+
+    perClass[label] = { support: actualCount, precision, recall, f1 };
+  });
+
+  return {
+    threshold: threshold,
+    accuracy: correct / samples.length,
+    confusionMatrix: matrix,
+    perClass: perClass
+  };
+}
+
+/**
+ * Sweep the default threshold and return the one with the best accuracy
+ * Labels with their own threshold keep it, as in the app
+ * Ties go to the higher threshold (fewer false positives)
+ */
+function findBestThreshold(samples, thresholds = {}) {
+  let best = { threshold: 0, accuracy: -1 };
+  const curve = [];
+
+  for (let t = 0; t <= 1.0001; t += THRESHOLD_STEP) {
+    const threshold = parseFloat(t.toFixed(2));
+    const correct = samples.filter(s => isCorrect(s, decide(s, threshold, thresholds))).length;
+    const accuracy = correct / samples.length;
+    curve.push({ threshold, accuracy });
+
+    if (accuracy >= best.accuracy) {
+      best = { threshold, accuracy };
+    }
+  }
+
+  return { ...best, curve };
+}
+
+/**
+ * Format a value as a percentage (or '-' if null)
+ */
+function pct(value) {
+  return value === null || value === undefined ? '-' : `${(value * 100).toFixed(1)}%`;
+}
+
+/**
+ * Describe the open-set settings applied
+ */
+function formatOpenSet(openSet) {
+  if (!openSet.enabled) {
+    return 'off';
+  }
+  const checks = [`reject labels ${openSet.rejectLabels.join(', ')}`];
+  if (openSet.minMargin != null) {
+    checks.push(`margin ≥ ${openSet.minMargin}`);
+  }
+  if (openSet.maxEntropy != null) {
+    checks.push(`entropy ≤ ${openSet.maxEntropy}`);
+  }
+  return checks.join(', ');
+}
+
+/**
+ * Render the human-readable report
+ */
+function formatReport(report) {
+  const lines = [];
+  const { metrics } = report;
+  const columns = [...report.classLabels, REJECTED];
+  const rows = Object.keys(metrics.confusionMatrix);
+  const width = Math.max(12, ...rows.map(r => r.length), ...columns.map(c => c.length)) + 2;
+
+  lines.push('='.repeat(60));
+  lines.push('📊 CLASSIFIER EVALUATION');
+  lines.push('='.repeat(60));
+  lines.push(`Model:       ${report.model.dir}`);
+  lines.push(`Images:      ${report.dataset.images} (${report.dataset.positives} positive, ${report.dataset.negatives} negative)`);
+  lines.push(`Calibration: ${report.calibration ? `T = ${report.calibration.temperature}` : 'none'}`);
+  lines.push(`Open set:    ${formatOpenSet(report.openSet)}`);
+  lines.push('Single-frame decisions - in-app voting across frames is not simulated');
+  lines.push('');
+
+  lines.push(`Accuracy @ ${metrics.threshold.toFixed(2)}: ${pct(metrics.accuracy)}`);
+  lines.push(`Best default threshold: ${report.bestThreshold.threshold.toFixed(2)} (accuracy ${pct(report.bestThreshold.accuracy)})`);
+  lines.push('');
+
+  lines.push('Confusion matrix (rows = true label, columns = predicted):');
+  lines.push(''.padEnd(width) + columns.map(c => c.padStart(width)).join(''));
+  rows.forEach(row => {
+    lines.push(row.padEnd(width) + columns.map(c => String(metrics.confusionMatrix[row][c]).padStart(width)).join(''));
+  });
+  lines.push('');
+
+  lines.push('Per class:');
+  lines.push('label'.padEnd(width) + ['support', 'precision', 'recall', 'f1'].map(h => h.padStart(12)).join(''));
+  Object.entries(metrics.perClass).forEach(([label, m]) => {
+    lines.push(label.padEnd(width) + [String(m.support), pct(m.precision), pct(m.recall), pct(m.f1)].map(v => v.padStart(12)).join(''));
+  });
+  lines.push('');
+
+  const l = report.latency;
+  lines.push(`Latency (ms): mean ${l.mean.toFixed(1)}, p50 ${l.p50.toFixed(1)}, p90 ${l.p90.toFixed(1)}, p95 ${l.p95.toFixed(1)}, max ${l.max.toFixed(1)}`);
+  lines.push('='.repeat(60));
+
+  return lines.join('\n');
+}
+
+// ============================================================================
+// MAIN
+// ============================================================================
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+
+  if (!args.imagesDir) {
+    console.error('❌ Error: images directory required');
+    console.error('   Usage: node scripts/evaluate-model.js <imagesDir> [--model <dir>] [--calibration <file>] [--out <file>]');
+    process.exit(1);
+  }
+
+  if (!fs.existsSync(args.imagesDir)) {
+    console.error(`❌ Error: directory not found: ${args.imagesDir}`);
+    process.exit(1);
+  }
+
+  console.log('🚀 Evaluating product classifier...\n');
+
+  const loaded = await loadTeachableModel(args.modelDir);
+  const classLabels = loaded.labels.filter(label => !isRejectLabel(label));
+
+  const calibration = args.calibrationFile
+    ? JSON.parse(fs.readFileSync(args.calibrationFile, 'utf8'))
+    : null;
+
+  const images = getLabelledImages(args.imagesDir);
+  if (images.length === 0) {
+    console.error('❌ Error: no images found (expected <imagesDir>/<label>/*.jpg)');
+    process.exit(1);
+  }
+
+  const negativeFolders = [...new Set(images.map(i => i.label))].filter(l => !classLabels.includes(l));
+  if (negativeFolders.length > 0) {
+    console.log(`ℹ️ Treating as negatives (should be rejected): ${negativeFolders.join(', ')}`);
+  }
+
+  const samples = [];
+  const latencies = [];
+
+  for (const [index, { label, filePath }] of images.entries()) {
+    try {
+      const startTime = performance.now();
+      const predictions = await predictFile(loaded, filePath);
+      latencies.push(performance.now() - startTime);
+
+      const raw = predictions.map(p => p.probability);
+      const probabilities = calibration ? applyTemperature(raw, calibration.temperature) : raw;
+      const top = probabilities.indexOf(Math.max(...probabilities));
+      const { margin, entropy } = getUncertainty(probabilities);
+
+      samples.push({
+        file: path.relative(args.imagesDir, filePath),
+        truth: label,
+        positive: classLabels.includes(label),
+        predicted: loaded.labels[top],
+        confidence: probabilities[top],
+        rawConfidence: raw[top],
+        margin: margin,
+        entropy: entropy
+      });
+    } catch (error) {
+      console.error(`   ❌ ${path.relative(args.imagesDir, filePath)}: ${error.message}`);
+    }
+
+    if ((index + 1) % 50 === 0) {
+      console.log(`   ${index + 1}/${images.length}...`);
+    }
+  }
+
+  if (samples.length === 0) {
+    console.error('❌ Error: no image could be classified');
+    process.exit(1);
+  }
+
+  const sortedLatencies = [...latencies].sort((a, b) => a - b);
+
+  // Per-label thresholds as the app resolves them: CONFIG.ml.thresholds > calibration file
+  const labelThresholds = { ...(calibration?.thresholds || {}), ...CONFIG_THRESHOLDS };
+  const bestThreshold = findBestThreshold(samples, labelThresholds);
+
+  const report = {
+    createdAt: new Date().toISOString(),
+    model: {
+      dir: path.relative(PROJECT_ROOT, args.modelDir) || '.',
+      labels: loaded.labels,
+      timeStamp: loaded.metadata.timeStamp || null
+    },
+    calibration: calibration ? { temperature: calibration.temperature, thresholds: calibration.thresholds || {} } : null,
+    openSet: {
+      enabled: UNKNOWN.enabled,
+      rejectLabels: UNKNOWN.rejectLabels,
+      minMargin: UNKNOWN.minMargin,
+      maxEntropy: UNKNOWN.maxEntropy
+    },
+    configThresholds: CONFIG_THRESHOLDS,
+    singleFrame: true,
+    dataset: {
+      dir: args.imagesDir,
+      images: samples.length,
+      positives: samples.filter(s => s.positive).length,
+      negatives: samples.filter(s => !s.positive).length
+    },
+    classLabels: classLabels,
+    metrics: computeMetrics(samples, classLabels, DEFAULT_THRESHOLD, labelThresholds),
+    bestThreshold: bestThreshold,
+    metricsAtBestThreshold: computeMetrics(samples, classLabels, bestThreshold.threshold, labelThresholds),
+    latency: {
+      mean: latencies.reduce((a, b) => a + b, 0) / latencies.length,
+      p50: percentile(sortedLatencies, 50),
+      p90: percentile(sortedLatencies, 90),
+      p95: percentile(sortedLatencies, 95),
+      max: sortedLatencies[sortedLatencies.length - 1]
+    },
+    misclassified: samples.filter(s => !isCorrect(s, decide(s, DEFAULT_THRESHOLD, labelThresholds)))
+  };
+
+  const text = formatReport(report);
+  console.log('\n' + text);
+
+  const textFile = args.outFile.replace(/\.json$/, '') + '.txt';
+  fs.mkdirSync(path.dirname(args.outFile), { recursive: true });
+  fs.writeFileSync(args.outFile, JSON.stringify(report, null, 2) + '\n');
+  fs.writeFileSync(textFile, text + '\n');
+
+  console.log(`\n📄 Report saved to: ${path.relative(PROJECT_ROOT, args.outFile)}`);
+  console.log(`📄 Readable report: ${path.relative(PROJECT_ROOT, textFile)}`);
+}
+
+// Run main function
+main().catch(error => {
+  console.error('\n❌ Fatal error:', error);
+  process.exit(1);
+});
@@ -0,0 +1,47 @@
+/**
+ * Read the app's js/config.js from Node scripts
+ *
+ * config.js is a browser script (`window.CONFIG = CONFIG`), so it is run in
+ * a sandbox with a minimal `window` instead of being required. Scripts get
+ * the exact values the app runs with - no second copy of pins or
+ * thresholds to keep in sync.
+ *
+ * Used by vendor-ml-runtime.js and evaluate-model.js.
+ */
+
+const path = require('path');
+const fs = require('fs');
+const vm = require('vm');
+
+// Project root directory
+const PROJECT_ROOT = path.join(__dirname, '..', '..');
+const CONFIG_PATH = path.join(PROJECT_ROOT, 'js', 'config.js');
+
+/**
+ * Evaluate js/config.js and return its CONFIG object
+ * @param {string} configPath - Defaults to the app's js/config.js
+ * @returns {Object} - CONFIG
+ */
+function loadAppConfig(configPath = CONFIG_PATH) {
+  const quiet = () => {};
+  const sandbox = {
+    console: { log: quiet, info: quiet, warn: quiet, error: quiet },
+    location: { hostname: 'localhost' }
+  };
+  sandbox.window = sandbox;
+
+  vm.runInNewContext(fs.readFileSync(configPath, 'utf8'), sandbox, { filename: configPath });
+
+  if (!sandbox.CONFIG) {
+    throw new Error(`${path.relative(PROJECT_ROOT, configPath)} did not define window.CONFIG`);
+  }
+
+  // Plain objects of this realm (vm objects fail deepStrictEqual / instanceof checks)
+  return JSON.parse(JSON.stringify(sandbox.CONFIG));
+}
+
+module.exports = {
+  PROJECT_ROOT,
+  CONFIG_PATH,
+  loadAppConfig
+};
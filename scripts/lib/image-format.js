@@ -0,0 +1,106 @@
+/**
+ * Image format check for Node scripts that decode images with node-canvas
+ *
+ * Looks at the file's magic bytes instead of trusting the extension, so a
+ * renamed AVIF / WebP / HEIC file fails with a clear message instead of a
+ * generic decode error deep inside node-canvas.
+ *
+ * Used by compile-mind-file.js and score-targets.js.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Formats node-canvas (2.x, default build) can decode
+const DECODABLE_FORMATS = ['png', 'jpeg', 'gif'];
+
+// Extensions expected for each format
+const FORMAT_EXTENSIONS = {
+  png: ['.png'],
+  jpeg: ['.jpg', '.jpeg'],
+  gif: ['.gif'],
+  webp: ['.webp'],
+  avif: ['.avif'],
+  heic: ['.heic', '.heif']
+};
+
+/**
+ * Detect an image format from its first bytes
+ * @param {Buffer} header - At least the first 16 bytes of the file
+ * @returns {string|null} - 'png' | 'jpeg' | 'gif' | 'webp' | 'avif' | 'heic' | null
+ */
+function detectImageFormat(header) {
+  if (header.length >= 8 && header.readUInt32BE(0) === 0x89504e47 && header.readUInt32BE(4) === 0x0d0a1a0a) {
+    return 'png';
+  }
+  if (header.length >= 3 && header[0] === 0xff && header[1] === 0xd8 && header[2] === 0xff) {
+    return 'jpeg';
+  }
+  if (header.length >= 6 && ['GIF87a', 'GIF89a'].includes(header.toString('ascii', 0, 6))) {
+    return 'gif';
+  }
+  if (header.length >= 12 && header.toString('ascii', 0, 4) === 'RIFF' && header.toString('ascii', 8, 12) === 'WEBP') {
+    return 'webp';
+  }
+
+  // ISO base media file: <size>'ftyp'<brand>
+  if (header.length >= 12 && header.toString('ascii', 4, 8) === 'ftyp') {
+    const brand = header.toString('ascii', 8, 12);
+    if (brand === 'avif' || brand === 'avis') {
+      return 'avif';
+    }
+    if (['heic', 'heix', 'hevc', 'mif1', 'msf1'].includes(brand)) {
+      return 'heic';
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Read a file's first bytes and detect its format
+ * @param {string} filePath - Image file
+ * @returns {string|null} - See detectImageFormat
+ */
+function detectImageFile(filePath) {
+  const header = Buffer.alloc(16);
+  const fd = fs.openSync(filePath, 'r');
+  try {
+    const bytesRead = fs.readSync(fd, header, 0, header.length, 0);
+    return detectImageFormat(header.subarray(0, bytesRead));
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+/**
+ * Check that node-canvas can decode a file
+ * @param {string} filePath - Image file
+ * @returns {Object} - { format, extensionMatches }
+ * @throws {Error} - Unknown or undecodable format, with a conversion hint
+ */
+function assertDecodableImage(filePath) {
+  const format = detectImageFile(filePath);
+  const name = path.basename(filePath);
+  const extension = path.extname(filePath).toLowerCase();
+
+  if (!format) {
+    throw new Error(`${name}: not a recognised image (expected PNG, JPEG or GIF)`);
+  }
+
+  const extensionMatches = FORMAT_EXTENSIONS[format].includes(extension);
+  const actually = extensionMatches ? '' : ` (named ${extension} but actually ${format.toUpperCase()})`;
+
+  if (!DECODABLE_FORMATS.includes(format)) {
+    throw new Error(`${name}: ${format.toUpperCase()} can't be decoded by node-canvas${actually} - convert it to PNG or JPEG`);
+  }
+
+  return { format, extensionMatches };
+}
+
+module.exports = {
+  DECODABLE_FORMATS,
+  detectImageFormat,
+  detectImageFile,
+  assertDecodableImage
+};
@@ -0,0 +1,396 @@
+/**
+ * Image target quality analysis for Node scripts
+ *
+ * Estimates how well an image will track in MindAR before it is compiled.
+ * MindAR works on greyscale feature points, so everything here does too:
+ * - Feature points: Harris corners (3x3 non-maximum suppression)
+ * - Distribution: share of grid cells containing points, and evenness
+ * - Contrast: RMS contrast and the 5th-95th percentile intensity spread
+ * - Repetition: points whose patch closely matches another point's patch
+ *   elsewhere in the same image (repeated logos / patterns confuse matching)
+ * - Similarity: share of points that match a patch in another target at a
+ *   consistent offset (packs that differ only by colour look identical to MindAR)
+ *
+ * Images are plain { width, height, gray: Float32Array (0-1) } objects so
+ * this has no image-decoding dependency. Used by score-targets.js.
+ */
+
+// Analysis settings
+const DEFAULTS = {
+  maxSize: 512,             // Longest side after downscaling (compiler works at similar scales)
+  harrisK: 0.04,
+  cornerThreshold: 0.0005,  // Harris response on 0-1 intensities
+  maxPoints: 500,           // Strongest corners kept
+  border: 8,                // Ignore corners this close to the edge (patch must fit)
+  patchRadius: 7,           // 15x15 descriptor patches
+  matchThreshold: 0.9,      // Normalized cross-correlation counted as a match
+  minMatchDistance: 16,     // Repetition: matches closer than this are the same feature
+  offsetBin: 0.05,          // Similarity: match offsets are voted in bins of this (share of image size)
+  gridSize: 8,              // Distribution grid (gridSize x gridSize cells)
+  goodPointCount: 300,      // Feature score saturates here
+  goodContrast: 0.2,        // RMS contrast score saturates here
+  confusionThreshold: 0.35  // Similarity above this flags a pair as likely confused
+};
+
+// Score weights (sum to 1)
+const WEIGHTS = {
+  features: 0.35,
+  distribution: 0.25,
+  contrast: 0.2,
+  uniqueness: 0.2
+};
+
+/**
+ * Convert RGBA pixels to a greyscale image
+ * @param {Uint8ClampedArray} data - RGBA pixels (e.g. canvas ImageData.data)
+ * @param {number} width
+ * @param {number} height
+ * @returns {Object} - { width, height, gray }
+ */
+function toGray(data, width, height) {
+  const gray = new Float32Array(width * height);
+  for (let i = 0; i < gray.length; i++) {
+    // Plain channel average, as MindAR's CompilerBase does - not luma weights
+    gray[i] = (data[i * 4] + data[i * 4 + 1] + data[i * 4 + 2]) / 3 / 255;
+  }
+  return { width, height, gray };
+}
+
+/**
+ * Harris corners, strongest first
+ * @param {Object} image - { width, height, gray }
+ * @returns {Array} - [{ x, y, response }]
+ */
+function detectCorners(image, options = DEFAULTS) {
+  const { width, height, gray } = image;
+  const ix2 = new Float32Array(width * height);
+  const iy2 = new Float32Array(width * height);
+  const ixy = new Float32Array(width * height);
+
+  // Sobel gradients
+  for (let y = 1; y < height - 1; y++) {
+    for (let x = 1; x < width - 1; x++) {
+      const i = y * width + x;
+      const gx = (gray[i - width + 1] + 2 * gray[i + 1] + gray[i + width + 1]) -
+                 (gray[i - width - 1] + 2 * gray[i - 1] + gray[i + width - 1]);
+      const gy = (gray[i + width - 1] + 2 * gray[i + width] + gray[i + width + 1]) -
+                 (gray[i - width - 1] + 2 * gray[i - width] + gray[i - width + 1]);
+      ix2[i] = gx * gx / 16;
+      iy2[i] = gy * gy / 16;
+      ixy[i] = gx * gy / 16;
+    }
+  }
+
+  // Structure tensor over a 3x3 window -> Harris response
+  const response = new Float32Array(width * height);
+  for (let y = 2; y < height - 2; y++) {
+    for (let x = 2; x < width - 2; x++) {
+      let a = 0;
+      let b = 0;
+      let c = 0;
+      for (let dy = -1; dy <= 1; dy++) {
+        for (let dx = -1; dx <= 1; dx++) {
+          const j = (y + dy) * width + x + dx;
+          a += ix2[j];
+          b += iy2[j];
+          c += ixy[j];
+        }
+      }
+      response[y * width + x] = (a * b - c * c) - options.harrisK * (a + b) * (a + b);
+    }
+  }
+
+  const corners = [];
+  const border = Math.max(options.border, options.patchRadius + 1);
+  for (let y = border; y < height - border; y++) {
+    for (let x = border; x < width - border; x++) {
+      const value = response[y * width + x];
+      if (value < options.cornerThreshold) {
+        continue;
+      }
+
+      let isMax = true;
+      for (let dy = -1; dy <= 1 && isMax; dy++) {
+        for (let dx = -1; dx <= 1; dx++) {
+          if ((dx || dy) && response[(y + dy) * width + x + dx] > value) {
+            isMax = false;
+            break;
+          }
+        }
+      }
+
+      if (isMax) {
+        corners.push({ x, y, response: value });
+      }
+    }
+  }
+
+  return corners.sort((a, b) => b.response - a.response).slice(0, options.maxPoints);
+}
+
+/**
+ * Zero-mean, unit-length patch around a point (null for flat patches)
+ * @returns {Float32Array|null}
+ */
+function describe(image, point, options = DEFAULTS) {
+  const r = options.patchRadius;
+  const size = (2 * r + 1) * (2 * r + 1);
+  const patch = new Float32Array(size);
+
+  let k = 0;
+  let mean = 0;
+  for (let dy = -r; dy <= r; dy++) {
+    for (let dx = -r; dx <= r; dx++) {
+      patch[k] = image.gray[(point.y + dy) * image.width + point.x + dx];
+      mean += patch[k++];
+    }
+  }
+  mean /= size;
+
+  let norm = 0;
+  for (let i = 0; i < size; i++) {
+    patch[i] -= mean;
+    norm += patch[i] * patch[i];
+  }
+  norm = Math.sqrt(norm);
+
+  if (norm < 1e-3) {
+    return null;
+  }
+
+  for (let i = 0; i < size; i++) {
+    patch[i] /= norm;
+  }
+  return patch;
+}
+
+/**
+ * Normalized cross-correlation of two descriptors
+ */
+function correlation(a, b) {
+  let sum = 0;
+  for (let i = 0; i < a.length; i++) {
+    sum += a[i] * b[i];
+  }
+  return sum;
+}
+
+/**
+ * Share of points with a matching patch elsewhere in the same image
+ * @param {Array} features - [{ x, y, descriptor }]
+ * @returns {number} - 0 (all unique) - 1 (all repeated)
+ */
+function repetition(features, options = DEFAULTS) {
+  if (features.length < 2) {
+    return 0;
+  }
+
+  const minDistance2 = options.minMatchDistance * options.minMatchDistance;
+  let repeated = 0;
+
+  features.forEach((a, i) => {
+    const hasTwin = features.some((b, j) => {
+      if (i === j) {
+        return false;
+      }
+      const dx = a.x - b.x;
+      const dy = a.y - b.y;
+      return dx * dx + dy * dy >= minDistance2 && correlation(a.descriptor, b.descriptor) >= options.matchThreshold;
+    });
+    repeated += hasTwin ? 1 : 0;
+  });
+
+  return repeated / features.length;
+}
+
+/**
+ * Share of each target's points that match a patch in the other target at
+ * the same relative offset (symmetric: the larger of A→B and B→A)
+ * Matches are voted by offset (in share of image size) - only the dominant
+ * offset counts, so a few generic corners don't make two layouts similar
+ * @param {Object} a - { features, width, height }
+ * @param {Object} b - { features, width, height }
+ * @returns {number} - 0 (nothing in common) - 1
+ */
+function similarity(a, b, options = DEFAULTS) {
+  const matchShare = (from, to) => {
+    if (from.features.length === 0 || to.features.length === 0) {
+      return 0;
+    }
+
+    const votes = new Map();
+    from.features.forEach(featureA => {
+      let best = null;
+      let bestScore = options.matchThreshold;
+      to.features.forEach(featureB => {
+        const score = correlation(featureA.descriptor, featureB.descriptor);
+        if (score >= bestScore) {
+          best = featureB;
+          bestScore = score;
+        }
+      });
+
+      if (best) {
+        const bx = Math.round((best.x / to.width - featureA.x / from.width) / options.offsetBin);
+        const by = Math.round((best.y / to.height - featureA.y / from.height) / options.offsetBin);
+        votes.set(`${bx},${by}`, (votes.get(`${bx},${by}`) || 0) + 1);
+      }
+    });
+
+    return votes.size > 0 ? Math.max(...votes.values()) / from.features.length : 0;
+  };
+
+  return Math.max(matchShare(a, b), matchShare(b, a));
+}
+
+/**
+ * Point counts per grid cell, coverage and evenness
+ * @returns {Object} - { cells: Array<Array<number>>, coverage: 0-1, evenness: 0-1 }
+ */
+function distribution(points, width, height, options = DEFAULTS) {
+  const n = options.gridSize;
+  const cells = Array.from({ length: n }, () => new Array(n).fill(0));
+
+  points.forEach(({ x, y }) => {
+    cells[Math.min(n - 1, Math.floor(y / height * n))][Math.min(n - 1, Math.floor(x / width * n))]++;
+  });
+
+  const counts = cells.flat();
+  const covered = counts.filter(count => count > 0).length;
+
+  // Normalized entropy of the cell counts (1 = perfectly even)
+  let entropy = 0;
+  counts.forEach(count => {
+    if (count > 0) {
+      const p = count / points.length;
+      entropy -= p * Math.log(p);
+    }
+  });
+
+  return {
+    cells,
+    coverage: covered / counts.length,
+    evenness: points.length > 0 ? entropy / Math.log(counts.length) : 0
+  };
+}
+
+/**
+ * RMS contrast and 5th-95th percentile spread
+ * @returns {Object} - { rms, spread }
+ */
+function contrast(image) {
+  const { gray } = image;
+  let mean = 0;
+  for (let i = 0; i < gray.length; i++) {
+    mean += gray[i];
+  }
+  mean /= gray.length;
+
+  let variance = 0;
+  const histogram = new Array(256).fill(0);
+  for (let i = 0; i < gray.length; i++) {
+    variance += (gray[i] - mean) * (gray[i] - mean);
+    histogram[Math.min(255, Math.floor(gray[i] * 256))]++;
+  }
+
+  const percentile = (p) => {
+    let seen = 0;
+    for (let i = 0; i < 256; i++) {
+      seen += histogram[i];
+      if (seen >= p * gray.length) {
+        return i / 255;
+      }
+    }
+    return 1;
+  };
+
+  return {
+    rms: Math.sqrt(variance / gray.length),
+    spread: percentile(0.95) - percentile(0.05)
+  };
+}
+
+/**
+ * Analyse one target image
+ * @param {Object} image - { width, height, gray }
+ * @returns {Object} - { points, features, distribution, contrast, repetition, scores, score }
+ */
+function analyseImage(image, options = DEFAULTS) {
+  const points = detectCorners(image, options);
+  const features = points
+    .map(point => ({ ...point, descriptor: describe(image, point, options) }))
+    .filter(feature => feature.descriptor);
+
+  const spread = distribution(points, image.width, image.height, options);
+  const tone = contrast(image);
+  const repeated = repetition(features, options);
+
+  const scores = {
+    features: Math.min(1, points.length / options.goodPointCount),
+    distribution: (spread.coverage + spread.evenness) / 2,
+    contrast: Math.min(1, tone.rms / options.goodContrast),
+    uniqueness: features.length > 0 ? 1 - repeated : 0
+  };
+
+  const score = Object.keys(WEIGHTS).reduce((sum, key) => sum + WEIGHTS[key] * scores[key], 0);
+
+  return {
+    width: image.width,
+    height: image.height,
+    points,
+    features,
+    distribution: spread,
+    contrast: tone,
+    repetition: repeated,
+    scores,
+    score: Math.round(score * 100)
+  };
+}
+
+/**
+ * Pairwise similarity between analysed targets
+ * @param {Array} analyses - analyseImage results, with `name`
+ * @returns {Array} - [{ a, b, similarity, confused }] (most similar first)
+ */
+function comparePairs(analyses, options = DEFAULTS) {
+  const pairs = [];
+
+  for (let i = 0; i < analyses.length; i++) {
+    for (let j = i + 1; j < analyses.length; j++) {
+      const value = similarity(analyses[i], analyses[j], options);
+      pairs.push({
+        a: analyses[i].name,
+        b: analyses[j].name,
+        similarity: value,
+        confused: value >= options.confusionThreshold
+      });
+    }
+  }
+
+  return pairs.sort((x, y) => y.similarity - x.similarity);
+}
+
+/**
+ * Rating for a 0-100 score
+ * @returns {string} - 'good' | 'fair' | 'poor'
+ */
+function grade(score) {
+  if (score >= 70) return 'good';
+  if (score >= 40) return 'fair';
+  return 'poor';
+}
+
+module.exports = {
+  DEFAULTS,
+  WEIGHTS,
+  toGray,
+  detectCorners,
+  describe,
+  distribution,
+  contrast,
+  repetition,
+  similarity,
+  analyseImage,
+  comparePairs,
+  grade
+};
@@ -0,0 +1,109 @@
+/**
+ * Teachable Machine model helpers for Node scripts
+ *
+ * Loads the same model files the browser uses (js/mlModels by default) with
+ * @tensorflow/tfjs-node and classifies image files with the same
+ * preprocessing as @teachablemachine/image (and MLClassifier):
+ * - Centre-crop to square, resize to imageSize
+ * - Scale pixels to [-1, 1] (x / 127 - 1, as tmImage does)
+ *
+ * Used by calibrate-model.js and evaluate-model.js.
+ */
+
+const path = require('path');
+const fs = require('fs');
+
+const tf = require('@tensorflow/tfjs-node');
+
+// Project root directory
+const PROJECT_ROOT = path.join(__dirname, '..', '..');
+const DEFAULT_MODEL_DIR = path.join(PROJECT_ROOT, 'js', 'mlModels');
+const IMAGE_EXTENSIONS = ['.jpg', '.jpeg', '.png'];
+
+/**
+ * Load model.json + metadata.json from a model directory
+ * @param {string} modelDir - Directory with model.json, weights.bin, metadata.json
+ * @returns {Promise<Object>} - { model, labels, imageSize, metadata }
+ */
+async function loadTeachableModel(modelDir = DEFAULT_MODEL_DIR) {
+  const metadata = JSON.parse(fs.readFileSync(path.join(modelDir, 'metadata.json'), 'utf8'));
+  const model = await tf.loadLayersModel(`file://${path.join(modelDir, 'model.json')}`);
+
+  return {
+    model: model,
+    labels: metadata.labels || [],
+    imageSize: metadata.imageSize || 224,
+    metadata: metadata
+  };
+}
+
+/**
+ * Classify one image file
+ * @param {Object} loaded - Result of loadTeachableModel
+ * @param {string} filePath - Image path
+ * @returns {Promise<Array>} - [{ className, probability }] in model label order
+ */
+async function predictFile(loaded, filePath) {
+  const buffer = fs.readFileSync(filePath);
+  const size = loaded.imageSize;
+
+  const output = tf.tidy(() => {
+    const image = tf.node.decodeImage(buffer, 3);
+    const [height, width] = image.shape;
+    const side = Math.min(width, height);
+    const cropped = image.slice(
+      [Math.floor((height - side) / 2), Math.floor((width - side) / 2), 0],
+      [side, side, 3]
+    );
+    const input = tf.image.resizeBilinear(cropped, [size, size])
+      .toFloat()
+      .div(127)
+      .sub(1)
+      .expandDims(0);
+    return loaded.model.predict(input);
+  });
+
+  const probabilities = await output.data();
+  output.dispose();
+
+  return loaded.labels.map((className, index) => ({
+    className: className,
+    probability: probabilities[index]
+  }));
+}
+
+/**
+ * List labelled images in a folder-per-label directory
+ * <dir>/<label>/*.jpg|png (Teachable Machine export layout)
+ * @param {string} dir - Root directory
+ * @returns {Array<{label: string, filePath: string}>}
+ */
+function getLabelledImages(dir) {
+  return fs.readdirSync(dir)
+    .filter(name => fs.statSync(path.join(dir, name)).isDirectory())
+    .flatMap(label => fs.readdirSync(path.join(dir, label))
+      .filter(file => IMAGE_EXTENSIONS.includes(path.extname(file).toLowerCase()))
+      .map(file => ({ label, filePath: path.join(dir, label, file) })));
+}
+
+/**
+ * Temperature-scale probabilities (same as MLClassifier.calibrate)
+ * @param {Array<number>} probabilities - Softmax output
+ * @param {number} temperature - T > 1 softens, T < 1 sharpens
+ * @returns {Array<number>}
+ */
+function applyTemperature(probabilities, temperature) {
+  const scaled = probabilities.map(p => Math.pow(Math.max(p, 1e-12), 1 / temperature));
+  const sum = scaled.reduce((a, b) => a + b, 0);
+  return scaled.map(p => p / sum);
+}
+
+module.exports = {
+  tf,
+  PROJECT_ROOT,
+  DEFAULT_MODEL_DIR,
+  loadTeachableModel,
+  predictFile,
+  getLabelledImages,
+  applyTemperature
+};
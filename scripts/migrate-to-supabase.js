@@ -23,6 +23,7 @@
 
 const path = require('path');
 const fs = require('fs');
+const crypto = require('crypto');
 
 // Load .env from parent directory (project root)
 require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
@@ -63,6 +64,25 @@ function loadJSON(filePath) {
   }
 }
 
+/**
+ * Size and SHA-256 of a local .mind file (the app verifies downloads against these)
+ * @returns {Object} - { size, hash } (nulls if the file isn't found)
+ */
+function getFileIntegrity(localPath) {
+  const filePath = path.join(PROJECT_ROOT, localPath || '');
+
+  if (!localPath || !fs.existsSync(filePath)) {
+    console.warn(`   ⚠️ ${localPath} not found locally - integrity not recorded`);
+    return { size: null, hash: null };
+  }
+
+  const buffer = fs.readFileSync(filePath);
+  return {
+    size: buffer.length,
+    hash: crypto.createHash('sha256').update(buffer).digest('hex')
+  };
+}
+
 /**
  * Replace local paths with Supabase URLs
  */
@@ -107,7 +127,7 @@ function replaceWithSupabaseUrl(localPath, assetUrls) {
 /**
  * Migrate global settings
  */
-async function migrateGlobalSettings(globalSettings) {
+async function migrateGlobalSettings(globalSettings, mlModels) {
   console.log('\n📋 Migrating global settings...\n');
 
   try {
@@ -170,6 +190,21 @@ async function migrateGlobalSettings(globalSettings) {
         });
     }
 
+    // ML model registry (products.json "mlModels", minus _comment keys)
+    if (mlModels) {
+      await supabase
+        .from('global_settings')
+        .upsert({
+          setting_key: 'ml_models',
+          setting_value: Object.fromEntries(
+            Object.entries(mlModels).filter(([id]) => !id.startsWith('_'))
+          ),
+          description: 'ML classifier model registry (per shared target)'
+        }, {
+          onConflict: 'setting_key'
+        });
+    }
+
     console.log('✅ Global settings migrated successfully\n');
     return true;
 
@@ -195,6 +230,10 @@ async function migrateProduct(product, assetUrls) {
         name: product.name,
         description: product.description || '',
         target_index: product.targetIndex,
+        ml_label: product.ml?.label || null,
+        ml_model: product.ml?.model || null,
+        ml_keywords: product.ml?.keywords || null,
+        ml_embeddings_url: replaceWithSupabaseUrl(product.ml?.embeddingsPath, assetUrls),
         status: 'published'
       })
       .select()
@@ -210,7 +249,11 @@ async function migrateProduct(product, assetUrls) {
           .update({
             name: product.name,
             description: product.description || '',
-            target_index: product.targetIndex
+            target_index: product.targetIndex,
+            ml_label: product.ml?.label || null,
+            ml_model: product.ml?.model || null,
+            ml_keywords: product.ml?.keywords || null,
+            ml_embeddings_url: replaceWithSupabaseUrl(product.ml?.embeddingsPath, assetUrls)
           })
           .eq('product_id', product.id)
           .select()
@@ -237,6 +280,7 @@ async function migrateProduct(product, assetUrls) {
     const targetPreview = product.target.imagePreview
       ? replaceWithSupabaseUrl(product.target.imagePreview, assetUrls)
       : null;
+    const targetIntegrity = getFileIntegrity(product.target.imagePath);
 
     await supabase.from('product_targets').delete().eq('product_id', productId);
     const { error: targetError } = await supabase
@@ -245,6 +289,8 @@ async function migrateProduct(product, assetUrls) {
         product_id: productId,
         mind_file_path: product.target.imagePath,
         mind_file_url: targetPath,
+        mind_file_size: targetIntegrity.size,
+        mind_file_hash: targetIntegrity.hash,
         preview_image_path: product.target.imagePreview,
         preview_image_url: targetPreview
       });
@@ -464,7 +510,7 @@ async function main() {
   }
 
   // 3. Migrate global settings
-  await migrateGlobalSettings(config.globalSettings || {});
+  await migrateGlobalSettings(config.globalSettings || {}, config.mlModels);
 
   // 4. Migrate products
   const results = [];
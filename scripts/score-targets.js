@@ -0,0 +1,309 @@
+#!/usr/bin/env node
+
+/**
+ * Score Image Targets Before Compiling
+ *
+ * Predicts how well candidate target images will track, so weak or
+ * look-alike targets are caught before they reach a device:
+ * - Feature points (count and distribution over the image)
+ * - Contrast
+ * - Repetitive patterns (features that look like each other)
+ * - Similarity between targets of the same set (e.g. Spearmint vs Cool Mint
+ *   packs - MindAR only sees greyscale, so colour variants look the same)
+ * - Writes a heatmap per image (feature density + points) and a JSON report
+ *
+ * Usage:
+ *   node scripts/score-targets.js [images or directories...] [--out <dir>] [--min-score 40]
+ *
+ *   No images: every .jpg / .jpeg / .png in assets/targets (same as compile-mind-file.js)
+ *   --out        Default: assets/targets/quality
+ *   --min-score  Exit with code 1 if any target scores lower (or a pair is likely confused)
+ *
+ * Example:
+ *   node scripts/score-targets.js assets/targets/zyn-cool-mint.png assets/targets/zynSpearmint.png
+ *   → assets/targets/quality/zyn-cool-mint.heatmap.png, ..., quality-report.json
+ *
+ * Prerequisites:
+ *   npm install canvas   (in scripts/)
+ */
+
+const path = require('path');
+const fs = require('fs');
+
+const {
+  DEFAULTS,
+  toGray,
+  analyseImage,
+  comparePairs,
+  grade
+} = require('./lib/target-quality');
+const { assertDecodableImage } = require('./lib/image-format');
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+const PROJECT_ROOT = path.join(__dirname, '..');
+const TARGETS_DIR = path.join(PROJECT_ROOT, 'assets', 'targets');
+const DEFAULT_OUT = path.join(TARGETS_DIR, 'quality');
+const IMAGE_EXTENSIONS = ['.jpg', '.jpeg', '.png'];
+const DEFAULT_MIN_SCORE = 40;
+
+// ============================================================================
+// HELPER FUNCTIONS
+// ============================================================================
+
+/**
+ * Parse command line arguments
+ */
+function parseArgs(argv) {
+  const args = { inputs: [], outDir: DEFAULT_OUT, minScore: DEFAULT_MIN_SCORE };
+
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--out') {
+      args.outDir = path.resolve(argv[++i]);
+    } else if (argv[i] === '--min-score') {
+      args.minScore = parseFloat(argv[++i]);
+    } else {
+      args.inputs.push(path.resolve(argv[i]));
+    }
+  }
+
+  if (args.inputs.length === 0) {
+    args.inputs.push(TARGETS_DIR);
+  }
+
+  return args;
+}
+
+/**
+ * Expand directories into their image files (sorted), keep files as given
+ */
+function collectImages(inputs) {
+  const images = [];
+
+  inputs.forEach(input => {
+    if (!fs.existsSync(input)) {
+      throw new Error(`not found: ${input}`);
+    }
+
+    if (fs.statSync(input).isDirectory()) {
+      fs.readdirSync(input)
+        .filter(file => IMAGE_EXTENSIONS.includes(path.extname(file).toLowerCase()))
+        .sort()
+        .forEach(file => images.push(path.join(input, file)));
+    } else {
+      images.push(input);
+    }
+  });
+
+  return [...new Set(images)];
+}
+
+/**
+ * Load node-canvas
+ */
+function loadCanvas() {
+  try {
+    return require('canvas');
+  } catch (error) {
+    throw new Error('node-canvas not installed - run: npm install canvas (in scripts/)');
+  }
+}
+
+/**
+ * Decode an image file, downscaled to DEFAULTS.maxSize
+ * Checks the real format first - node-canvas only decodes PNG / JPEG / GIF
+ * @returns {Promise<Object>} - { image (node-canvas Image), scaled: { width, height, gray } }
+ */
+async function loadTarget(canvasModule, filePath) {
+  const { format, extensionMatches } = assertDecodableImage(filePath);
+  if (!extensionMatches) {
+    console.warn(`⚠️ ${path.basename(filePath)} is a ${format.toUpperCase()} file - consider renaming it`);
+  }
+
+  const image = await canvasModule.loadImage(filePath);
+  const scale = Math.min(1, DEFAULTS.maxSize / Math.max(image.width, image.height));
+  const width = Math.round(image.width * scale);
+  const height = Math.round(image.height * scale);
+
+  const canvas = canvasModule.createCanvas(width, height);
+  const context = canvas.getContext('2d');
+  context.drawImage(image, 0, 0, width, height);
+
+  return {
+    image,
+    scaled: toGray(context.getImageData(0, 0, width, height).data, width, height)
+  };
+}
+
+/**
+ * Heatmap: greyscale target (as MindAR sees it), feature density per grid
+ * cell (red = none, green = dense) and the detected points
+ * @returns {Buffer} - PNG
+ */
+function renderHeatmap(canvasModule, scaled, analysis) {
+  const { width, height, gray } = scaled;
+  const canvas = canvasModule.createCanvas(width, height);
+  const context = canvas.getContext('2d');
+
+  const pixels = context.createImageData(width, height);
+  for (let i = 0; i < gray.length; i++) {
+    const value = Math.round(gray[i] * 255);
+    pixels.data.set([value, value, value, 255], i * 4);
+  }
+  context.putImageData(pixels, 0, 0);
+
+  const cells = analysis.distribution.cells;
+  const n = cells.length;
+  const densest = Math.max(1, ...cells.flat());
+  cells.forEach((row, y) => {
+    row.forEach((count, x) => {
+      const hue = Math.round(120 * Math.min(1, count / densest * 2));
+      context.fillStyle = `hsla(${hue}, 90%, 50%, 0.35)`;
+      context.fillRect(x * width / n, y * height / n, width / n, height / n);
+    });
+  });
+
+  context.fillStyle = '#ff1744';
+  analysis.points.forEach(({ x, y }) => {
+    context.beginPath();
+    context.arc(x, y, 2, 0, Math.PI * 2);
+    context.fill();
+  });
+
+  context.fillStyle = 'rgba(0, 0, 0, 0.7)';
+  context.fillRect(0, 0, width, 24);
+  context.fillStyle = '#ffffff';
+  context.font = '14px sans-serif';
+  context.fillText(`Score ${analysis.score} (${grade(analysis.score)}) - ${analysis.points.length} points`, 6, 17);
+
+  return canvas.toBuffer('image/png');
+}
+
+/**
+ * Short advice for a target's weakest scores
+ */
+function getAdvice(analysis) {
+  const advice = [];
+
+  if (analysis.scores.features < 0.5) {
+    advice.push('few feature points - use a sharper, more detailed photo or a busier face of the pack');
+  }
+  if (analysis.distribution.coverage < 0.5) {
+    advice.push('features are clustered - crop out plain areas or pick a face with detail across it');
+  }
+  if (analysis.scores.contrast < 0.5) {
+    advice.push('low contrast - improve lighting / exposure');
+  }
+  if (analysis.repetition > 0.5) {
+    advice.push('repetitive pattern - many features look alike, tracking may jump');
+  }
+
+  return advice;
+}
+
+// ============================================================================
+// MAIN
+// ============================================================================
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const imagePaths = collectImages(args.inputs);
+
+  if (imagePaths.length === 0) {
+    console.error('❌ Error: no images found (.jpg, .jpeg, .png)');
+    console.error('   Usage: node scripts/score-targets.js [images or directories...] [--out <dir>] [--min-score 40]');
+    process.exit(1);
+  }
+
+  const canvasModule = loadCanvas();
+  fs.mkdirSync(args.outDir, { recursive: true });
+
+  console.log(`🚀 Scoring ${imagePaths.length} target image(s)...\n`);
+
+  const analyses = [];
+  const unreadable = [];
+  for (const imagePath of imagePaths) {
+    const name = path.basename(imagePath);
+
+    try {
+      const { image, scaled } = await loadTarget(canvasModule, imagePath);
+      const analysis = analyseImage(scaled);
+      analysis.name = name;
+      analysis.file = imagePath;
+      analysis.originalSize = { width: image.width, height: image.height };
+
+      const heatmapFile = path.join(args.outDir, `${path.basename(name, path.extname(name))}.heatmap.png`);
+      fs.writeFileSync(heatmapFile, renderHeatmap(canvasModule, scaled, analysis));
+      analysis.heatmap = heatmapFile;
+
+      analyses.push(analysis);
+
+      const icon = { good: '✅', fair: '⚠️', poor: '❌' }[grade(analysis.score)];
+      console.log(`${icon} ${name}: ${analysis.score}/100 (${grade(analysis.score)})`);
+      console.log(`   Points: ${analysis.points.length}, coverage ${(analysis.distribution.coverage * 100).toFixed(0)}%, ` +
+        `contrast ${analysis.contrast.rms.toFixed(2)}, repetition ${(analysis.repetition * 100).toFixed(0)}%`);
+      getAdvice(analysis).forEach(line => console.log(`   💡 ${line}`));
+    } catch (error) {
+      console.error(`❌ ${name}: ${error.message}`);
+      unreadable.push({ image: path.relative(PROJECT_ROOT, imagePath), error: error.message });
+    }
+  }
+
+  // Unreadable images are left out of the pair comparison
+  const pairs = comparePairs(analyses);
+  const confused = pairs.filter(pair => pair.confused);
+
+  if (pairs.length > 0) {
+    console.log('\n🔍 Most similar targets:');
+    pairs.slice(0, 5).forEach(pair => {
+      console.log(`   ${pair.confused ? '❌' : '✅'} ${pair.a} ↔ ${pair.b}: ${(pair.similarity * 100).toFixed(0)}% shared features`);
+    });
+  }
+
+  if (confused.length > 0) {
+    console.log('\n⚠️ Likely to be confused by MindAR (shared target + ML classifier recommended):');
+    confused.forEach(pair => console.log(`   ${pair.a} ↔ ${pair.b}`));
+  }
+
+  const report = {
+    targets: analyses.map(analysis => ({
+      image: path.relative(PROJECT_ROOT, analysis.file),
+      score: analysis.score,
+      grade: grade(analysis.score),
+      scores: analysis.scores,
+      points: analysis.points.length,
+      coverage: analysis.distribution.coverage,
+      evenness: analysis.distribution.evenness,
+      contrast: analysis.contrast,
+      repetition: analysis.repetition,
+      originalSize: analysis.originalSize,
+      heatmap: path.relative(PROJECT_ROOT, analysis.heatmap),
+      advice: getAdvice(analysis)
+    })),
+    pairs: pairs,
+    unreadable: unreadable,
+    settings: DEFAULTS,
+    createdAt: new Date().toISOString()
+  };
+
+  const reportFile = path.join(args.outDir, 'quality-report.json');
+  fs.writeFileSync(reportFile, JSON.stringify(report, null, 2) + '\n');
+  console.log(`\n📝 Report: ${path.relative(PROJECT_ROOT, reportFile)}`);
+
+  const failing = analyses.filter(analysis => analysis.score < args.minScore);
+  if (failing.length > 0 || confused.length > 0 || unreadable.length > 0) {
+    console.log(`\n❌ ${unreadable.length} image(s) could not be loaded, ` +
+      `${failing.length} target(s) below ${args.minScore}, ${confused.length} confusable pair(s)`);
+    process.exit(1);
+  }
+
+  console.log('\n🎉 All targets look trackable!');
+}
+
+// Run main function
+main().catch(error => {
+  console.error('\n❌ Fatal error:', error.message || error);
+  process.exit(1);
+});
@@ -0,0 +1,273 @@
+#!/usr/bin/env node
+
+/**
+ * Vendor the ML Runtime (TensorFlow.js + Teachable Machine + Tesseract.js)
+ *
+ * Downloads the pinned ML libraries and models once so the app never fetches
+ * them from a CDN at runtime (offline / air-gapped kiosks):
+ * - Saves each library to vendor/ml-runtime/<package>@<version>/<file>
+ * - Saves each model (model.json + weight shards) to vendor/ml-runtime/models/<dir>/
+ * - Computes a sha384 Subresource Integrity hash per file
+ * - Writes vendor/ml-runtime/manifest.json (read by js/ml-runtime-loader.js)
+ *
+ * Usage:
+ *   node scripts/vendor-ml-runtime.js [--cdn <baseUrl>] [--verify]
+ *
+ *   --verify   Only re-hash the vendored files and compare to manifest.json
+ *
+ * Versions come from CONFIG.ml.runtime.libraries and models in js/config.js -
+ * bump them there and re-run. Models are fetched from their own URL (TF Hub),
+ * not the CDN. The GitHub Pages workflow runs this before every deploy;
+ * for other hosts commit vendor/ml-runtime or copy it to the kiosk.
+ *
+ * Prerequisites:
+ *   Node.js 18+ (built-in fetch)
+ */
+
+const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+
+const { loadAppConfig } = require('./lib/app-config');
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+// Pinned versions are read from CONFIG.ml.runtime.libraries in js/config.js -
+// the same list js/ml-runtime-loader.js resolves in the browser
+const RUNTIME = loadAppConfig().ml.runtime;
+const LIBRARIES = RUNTIME.libraries;
+const MODELS = RUNTIME.models || {};
+
+const DEFAULT_CDN = RUNTIME.cdnPath || 'https://cdn.jsdelivr.net/npm/';
+
+// Project root directory
+const PROJECT_ROOT = path.join(__dirname, '..');
+const VENDOR_DIR = path.join(PROJECT_ROOT, 'vendor', 'ml-runtime');
+const MANIFEST_PATH = path.join(VENDOR_DIR, 'manifest.json');
+
+// ============================================================================
+// HELPER FUNCTIONS
+// ============================================================================
+
+/**
+ * Parse command line arguments
+ */
+function parseArgs(argv) {
+  const args = { cdn: DEFAULT_CDN, verify: false };
+
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--cdn') {
+      args.cdn = argv[++i].replace(/\/?$/, '/');
+    } else if (argv[i] === '--verify') {
+      args.verify = true;
+    }
+  }
+
+  return args;
+}
+
+/**
+ * Relative path of a library inside the vendor directory / CDN
+ */
+function getLibraryPath(library) {
+  return `${library.package}@${library.version}/${library.file}`;
+}
+
+/**
+ * Directory of a model inside the vendor directory
+ */
+function getModelDir(model) {
+  return path.join(VENDOR_DIR, 'models', model.dir);
+}
+
+/**
+ * Source URL of one of a model's files (model.json or a weight shard)
+ * TF Hub serves the TF.js files with ?tfjs-format=file, as tf.loadGraphModel
+ * requests them with fromTFHub: true
+ */
+function getModelFileUrl(model, file) {
+  if (model.fromTFHub) {
+    return `${model.url.replace(/\/$/, '')}/${file}?tfjs-format=file`;
+  }
+  return new URL(file, model.url).href;
+}
+
+/**
+ * Compute Subresource Integrity hash
+ */
+function getIntegrity(buffer) {
+  return 'sha384-' + crypto.createHash('sha384').update(buffer).digest('base64');
+}
+
+/**
+ * Download a file into a buffer
+ */
+async function download(url) {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status} for ${url}`);
+  }
+  return Buffer.from(await response.arrayBuffer());
+}
+
+// ============================================================================
+// COMMANDS
+// ============================================================================
+
+/**
+ * Download every pinned library and model and write manifest.json
+ */
+async function vendor(cdn) {
+  console.log('🚀 Vendoring ML runtime...\n');
+  console.log(`🌐 Source: ${cdn}`);
+  console.log(`📂 Output: ${path.relative(PROJECT_ROOT, VENDOR_DIR)}\n`);
+
+  const manifest = {
+    generatedAt: new Date().toISOString(),
+    source: cdn,
+    libraries: {},
+    models: {}
+  };
+
+  for (const [name, library] of Object.entries(LIBRARIES)) {
+    const libraryPath = getLibraryPath(library);
+    const buffer = await download(cdn + libraryPath);
+    const outPath = path.join(VENDOR_DIR, libraryPath);
+
+    fs.mkdirSync(path.dirname(outPath), { recursive: true });
+    fs.writeFileSync(outPath, buffer);
+
+    manifest.libraries[name] = {
+      ...library,
+      size: buffer.length,
+      integrity: getIntegrity(buffer)
+    };
+
+    console.log(`✅ ${library.package}@${library.version} (${(buffer.length / 1024).toFixed(0)}KB)`);
+    console.log(`   ${manifest.libraries[name].integrity}`);
+  }
+
+  for (const [name, model] of Object.entries(MODELS)) {
+    manifest.models[name] = await vendorModel(model);
+  }
+
+  fs.writeFileSync(MANIFEST_PATH, JSON.stringify(manifest, null, 2) + '\n');
+  console.log(`\n📋 Manifest written to ${path.relative(PROJECT_ROOT, MANIFEST_PATH)}`);
+}
+
+/**
+ * Download a model's model.json and every weight shard it lists
+ * @returns {Promise<Object>} - Manifest entry: the pin plus a hash per file
+ */
+async function vendorModel(model) {
+  const modelJson = await download(getModelFileUrl(model, 'model.json'));
+  const shards = JSON.parse(modelJson.toString('utf8')).weightsManifest
+    .flatMap(group => group.paths);
+
+  const files = { 'model.json': modelJson };
+  for (const shard of shards) {
+    files[shard] = await download(getModelFileUrl(model, shard));
+  }
+
+  const entry = { ...model, size: 0, files: {} };
+  for (const [file, buffer] of Object.entries(files)) {
+    const outPath = path.join(getModelDir(model), file);
+    fs.mkdirSync(path.dirname(outPath), { recursive: true });
+    fs.writeFileSync(outPath, buffer);
+
+    entry.size += buffer.length;
+    entry.files[file] = getIntegrity(buffer);
+  }
+
+  console.log(`✅ models/${model.dir} (${shards.length} weight shard(s), ${(entry.size / 1024).toFixed(0)}KB)`);
+  return entry;
+}
+
+/**
+ * Re-hash a vendored model's files and compare to its manifest entry
+ * @returns {boolean} - true if every file matches
+ */
+function verifyModel(name, model, entry) {
+  if (!entry || entry.url !== model.url) {
+    console.error(`❌ ${name}: manifest has ${entry?.url || 'nothing'}, ${model.url} is pinned`);
+    return false;
+  }
+
+  for (const [file, integrity] of Object.entries(entry.files)) {
+    const filePath = path.join(getModelDir(model), file);
+
+    if (!fs.existsSync(filePath)) {
+      console.error(`❌ ${name}: missing ${path.relative(PROJECT_ROOT, filePath)}`);
+      return false;
+    }
+    if (getIntegrity(fs.readFileSync(filePath)) !== integrity) {
+      console.error(`❌ ${name}: integrity mismatch in ${file}`);
+      return false;
+    }
+  }
+
+  console.log(`✅ models/${model.dir}`);
+  return true;
+}
+
+/**
+ * Re-hash vendored files and compare to manifest.json
+ * @returns {boolean} - true if every library and model matches
+ */
+function verify() {
+  if (!fs.existsSync(MANIFEST_PATH)) {
+    console.error(`❌ No manifest at ${path.relative(PROJECT_ROOT, MANIFEST_PATH)} - run without --verify first`);
+    return false;
+  }
+
+  const manifest = JSON.parse(fs.readFileSync(MANIFEST_PATH, 'utf8'));
+  let ok = true;
+
+  for (const [name, library] of Object.entries(LIBRARIES)) {
+    const entry = manifest.libraries?.[name];
+    const filePath = path.join(VENDOR_DIR, getLibraryPath(library));
+
+    if (!entry || entry.version !== library.version) {
+      console.error(`❌ ${name}: manifest has ${entry?.version || 'nothing'}, ${library.version} is pinned`);
+      ok = false;
+    } else if (!fs.existsSync(filePath)) {
+      console.error(`❌ ${name}: missing ${path.relative(PROJECT_ROOT, filePath)}`);
+      ok = false;
+    } else if (getIntegrity(fs.readFileSync(filePath)) !== entry.integrity) {
+      console.error(`❌ ${name}: integrity mismatch`);
+      ok = false;
+    } else {
+      console.log(`✅ ${library.package}@${library.version}`);
+    }
+  }
+
+  for (const [name, model] of Object.entries(MODELS)) {
+    ok = verifyModel(name, model, manifest.models?.[name]) && ok;
+  }
+
+  return ok;
+}
+
+// ============================================================================
+// MAIN
+// ============================================================================
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+
+  if (args.verify) {
+    process.exit(verify() ? 0 : 1);
+  }
+
+  await vendor(args.cdn);
+
+  console.log('\n🎉 Done! CONFIG.ml.runtime.source = \'local\' will now load these files.');
+}
+
+// Run main function
+main().catch(error => {
+  console.error('\n❌ Fatal error:', error);
+  process.exit(1);
+});
@@ -0,0 +1,35 @@
+-- ============================================================================
+-- Migration: Add ML Label to products
+-- ============================================================================
+-- Version: 004
+-- Created: 2025-11-12
+-- Description: Adds ml_label column so MLClassifier can map Teachable Machine
+--              class labels (js/mlModels/metadata.json) to products without
+--              a code change
+-- ============================================================================
+
+-- Add ml_label column to products table
+ALTER TABLE products
+ADD COLUMN IF NOT EXISTS ml_label TEXT;
+
+-- Add column comment for documentation
+COMMENT ON COLUMN products.ml_label
+  IS 'Teachable Machine class label that identifies this product (must match a label in metadata.json)';
+
+-- Populate existing products
+UPDATE products SET ml_label = 'Spearmint' WHERE product_id = 'product-1';
+UPDATE products SET ml_label = 'Cool Mint' WHERE product_id = 'product-2';
+
+-- ============================================================================
+-- VERIFICATION
+-- ============================================================================
+-- Run this query to verify the labels were set:
+--
+-- SELECT product_id, name, ml_label
+-- FROM products
+-- ORDER BY target_index;
+--
+-- Expected output:
+-- product-1 | Zyn Spearmint | Spearmint
+-- product-2 | Zyn Cool Mint | Cool Mint
+-- ============================================================================
@@ -0,0 +1,28 @@
+-- ============================================================================
+-- Migration: Add ML Reference Embeddings URL to products
+-- ============================================================================
+-- Version: 005
+-- Created: 2025-11-12
+-- Description: Adds ml_embeddings_url column for the kNN classifier backend
+--              (CONFIG.ml.backend = 'knn'). Points to a JSON file of MobileNet
+--              reference embeddings generated by scripts/build-embeddings.js
+-- ============================================================================
+
+-- Add ml_embeddings_url column to products table
+ALTER TABLE products
+ADD COLUMN IF NOT EXISTS ml_embeddings_url TEXT;
+
+-- Add column comment for documentation
+COMMENT ON COLUMN products.ml_embeddings_url
+  IS 'URL of reference embeddings JSON for kNN classification (from scripts/build-embeddings.js)';
+
+-- ============================================================================
+-- VERIFICATION
+-- ============================================================================
+-- Run this query to verify the column was added:
+--
+-- SELECT column_name, data_type
+-- FROM information_schema.columns
+-- WHERE table_name = 'products'
+--   AND column_name = 'ml_embeddings_url';
+-- ============================================================================
@@ -0,0 +1,51 @@
+-- ============================================================================
+-- Migration: Add per-target ML model registry
+-- ============================================================================
+-- Version: 006
+-- Created: 2025-11-13
+-- Description: Adds ml_model column so each shared-target family can use its
+--              own classifier model, and seeds the registry of models in
+--              global_settings ('ml_models'). Models are loaded lazily by
+--              js/ml-model-registry.js on the first targetFound.
+-- ============================================================================
+
+-- Add ml_model column to products table
+ALTER TABLE products
+ADD COLUMN IF NOT EXISTS ml_model TEXT;
+
+-- Add column comment for documentation
+COMMENT ON COLUMN products.ml_model
+  IS 'ML model registry key (global_settings ml_models) used to classify this product''s shared target';
+
+-- Seed the registry with the existing Zyn mint model
+INSERT INTO global_settings (setting_key, setting_value, description) VALUES
+  ('ml_models', '{
+    "zyn-mint": {
+      "version": "1.0.0",
+      "modelURL": "./js/mlModels/model.json",
+      "metadataURL": "./js/mlModels/metadata.json",
+      "imageSize": 224,
+      "labels": ["Cool Mint", "Spearmint"]
+    }
+  }'::jsonb, 'ML classifier model registry (per shared target)')
+ON CONFLICT (setting_key) DO NOTHING;
+
+-- Existing Zyn products use that model
+UPDATE products
+SET ml_model = 'zyn-mint'
+WHERE ml_label IN ('Spearmint', 'Cool Mint')
+  AND ml_model IS NULL;
+
+-- ============================================================================
+-- VERIFICATION
+-- ============================================================================
+-- Run this query to verify the column and registry:
+--
+-- SELECT product_id, ml_label, ml_model
+-- FROM products
+-- ORDER BY target_index;
+--
+-- SELECT setting_value
+-- FROM global_settings
+-- WHERE setting_key = 'ml_models';
+-- ============================================================================
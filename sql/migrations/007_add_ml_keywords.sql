@@ -0,0 +1,39 @@
+-- ============================================================================
+-- Migration: Add OCR keywords for shared-target verification
+-- ============================================================================
+-- Version: 007
+-- Created: 2025-11-14
+-- Description: Adds ml_keywords column - printed text (variant name, strength)
+--              that the optional OCR verifier (js/ocr-verifier.js,
+--              CONFIG.ml.ocr) looks for on the package to tell products that
+--              share a target apart when the image classifier is unsure.
+-- ============================================================================
+
+-- Add ml_keywords column to products table
+ALTER TABLE products
+ADD COLUMN IF NOT EXISTS ml_keywords TEXT[];
+
+-- Add column comment for documentation
+COMMENT ON COLUMN products.ml_keywords
+  IS 'Printed text that identifies this product on its package (OCR verifier, fuzzy matched)';
+
+-- Existing Zyn products
+UPDATE products
+SET ml_keywords = ARRAY['SPEARMINT']
+WHERE ml_label = 'Spearmint'
+  AND ml_keywords IS NULL;
+
+UPDATE products
+SET ml_keywords = ARRAY['COOL MINT']
+WHERE ml_label = 'Cool Mint'
+  AND ml_keywords IS NULL;
+
+-- ============================================================================
+-- VERIFICATION
+-- ============================================================================
+-- Run this query to verify the column and keywords:
+--
+-- SELECT product_id, ml_label, ml_keywords
+-- FROM products
+-- ORDER BY target_index;
+-- ============================================================================
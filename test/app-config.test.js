@@ -0,0 +1,32 @@
+// scripts/lib/app-config.js - Node scripts read the pins and thresholds from js/config.js
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadAppConfig } = require('../scripts/lib/app-config');
+
+test('reads CONFIG from js/config.js', () => {
+  const config = loadAppConfig();
+
+  assert.strictEqual(typeof config.ml, 'object');
+  assert.strictEqual(typeof config.ml.unknown.enabled, 'boolean');
+});
+
+test('every ML runtime pin has a package, exact version and file', () => {
+  const { libraries } = loadAppConfig().ml.runtime;
+
+  assert.ok(Object.keys(libraries).length > 0);
+  Object.entries(libraries).forEach(([name, library]) => {
+    assert.ok(library.package, `${name}: package`);
+    assert.match(library.version, /^\d+\.\d+\.\d+$/, `${name}: version must be exact`);
+    assert.ok(library.file, `${name}: file`);
+  });
+});
+
+test('kNN embedding model defaults to the vendored copy', () => {
+  const { ml } = loadAppConfig();
+  const model = ml.runtime.models.knnEmbedding;
+
+  assert.ok(model.url, 'knnEmbedding: url');
+  assert.strictEqual(ml.knn.embeddingModelURL, `${ml.runtime.localPath}models/${model.dir}/model.json`);
+  assert.strictEqual(ml.knn.fromTFHub, false);
+});
@@ -0,0 +1,76 @@
+// DataCollector.createZip / crc32 - stored zip archives of collected frames
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadBrowserModules } = require('./helpers/browser-module');
+
+const { DataCollector } = loadBrowserModules(['js/data-collector.js']);
+
+/**
+ * Read a stored zip back through its central directory
+ * @returns {Array<{name, data, crc}>}
+ */
+function readZip(zip) {
+  const view = new DataView(zip.buffer, zip.byteOffset, zip.byteLength);
+  const end = zip.length - 22;
+  assert.strictEqual(view.getUint32(end, true), 0x06054b50);
+
+  const count = view.getUint16(end + 10, true);
+  let position = view.getUint32(end + 16, true);
+  const entries = [];
+
+  for (let i = 0; i < count; i++) {
+    assert.strictEqual(view.getUint32(position, true), 0x02014b50);
+    const crc = view.getUint32(position + 16, true);
+    const size = view.getUint32(position + 20, true);
+    const nameLength = view.getUint16(position + 28, true);
+    const localOffset = view.getUint32(position + 42, true);
+    const name = new TextDecoder().decode(zip.subarray(position + 46, position + 46 + nameLength));
+
+    assert.strictEqual(view.getUint32(localOffset, true), 0x04034b50);
+    assert.strictEqual(view.getUint16(localOffset + 8, true), 0, 'stored (no compression)');
+    assert.strictEqual(view.getUint32(localOffset + 14, true), crc);
+    const dataStart = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+
+    entries.push({ name, crc, data: zip.subarray(dataStart, dataStart + size) });
+    position += 46 + nameLength;
+  }
+
+  return entries;
+}
+
+test('crc32 matches the standard check values', () => {
+  const encoder = new TextEncoder();
+
+  assert.strictEqual(DataCollector.crc32(encoder.encode('123456789')), 0xcbf43926);
+  assert.strictEqual(DataCollector.crc32(new Uint8Array(0)), 0);
+  assert.strictEqual(DataCollector.crc32(encoder.encode('The quick brown fox jumps over the lazy dog')), 0x414fa339);
+});
+
+test('createZip stores every file with its name, bytes and checksum', () => {
+  const files = [
+    { name: 'Cool Mint/frame-001.jpg', data: new Uint8Array([0xff, 0xd8, 0xff, 1, 2, 3]) },
+    { name: 'Spearmint/frame-001.jpg', data: new Uint8Array(1000).map((_, i) => i % 251) },
+    { name: 'labels-ü.json', data: new TextEncoder().encode('{"ok":true}') }
+  ];
+
+  const entries = readZip(DataCollector.createZip(files));
+
+  assert.deepStrictEqual(entries.map(entry => entry.name), files.map(file => file.name));
+  entries.forEach((entry, i) => {
+    assert.deepStrictEqual([...entry.data], [...files[i].data]);
+    assert.strictEqual(entry.crc, DataCollector.crc32(files[i].data));
+  });
+});
+
+test('an empty archive is just the end record', () => {
+  const zip = DataCollector.createZip([]);
+
+  assert.strictEqual(zip.length, 22);
+  assert.deepStrictEqual(readZip(zip), []);
+});
+
+test('toFileName strips characters that are invalid in paths', () => {
+  assert.strictEqual(DataCollector.toFileName(' Cool/Mint: "X" '), 'Cool_Mint_ _X_');
+  assert.strictEqual(DataCollector.toFileName('   '), 'unlabelled');
+});
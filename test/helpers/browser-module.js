@@ -0,0 +1,40 @@
+// ============================================================================
+// BROWSER MODULE LOADER - Run js/ modules under node --test
+// ============================================================================
+// The app's modules are plain browser scripts that publish themselves on
+// `window`. This loads them into one vm context whose `window` is the
+// context itself, with a quiet console and whatever globals a test adds.
+// ============================================================================
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const PROJECT_ROOT = path.join(__dirname, '..', '..');
+
+/**
+ * Load browser scripts into a fresh context
+ * @param {Array<string>} files - Project-relative paths, loaded in order (e.g. 'js/config.js')
+ * @param {Object} globals - Extra globals (e.g. { CONFIG: {...} } to skip js/config.js)
+ * @returns {Object} - The context (= window)
+ */
+function loadBrowserModules(files, globals = {}) {
+  const quiet = () => {};
+  const context = vm.createContext({
+    console: { log: quiet, info: quiet, warn: quiet, error: quiet, debug: quiet },
+    TextEncoder,
+    TextDecoder,
+    performance,
+    ...globals
+  });
+  context.window = context;
+
+  files.forEach(file => {
+    const source = fs.readFileSync(path.join(PROJECT_ROOT, file), 'utf8');
+    vm.runInContext(source, context, { filename: file });
+  });
+
+  return context;
+}
+
+module.exports = { PROJECT_ROOT, loadBrowserModules };
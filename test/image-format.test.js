@@ -0,0 +1,53 @@
+// scripts/lib/image-format.js - detect the real image format from magic bytes
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { PROJECT_ROOT } = require('./helpers/browser-module');
+const { detectImageFormat, assertDecodableImage } = require('../scripts/lib/image-format');
+
+const HEADERS = {
+  png: '89504e470d0a1a0a0000000d49484452',
+  jpeg: 'ffd8ffe000104a464946000101000001',
+  gif: '474946383961010001000000000000ff',
+  webp: '52494646240000005745425056503820',
+  avif: '0000001c667479706176696600000000',
+  heic: '00000018667479706865696300000000'
+};
+
+test('detects formats from their first bytes', () => {
+  Object.entries(HEADERS).forEach(([format, hex]) => {
+    assert.strictEqual(detectImageFormat(Buffer.from(hex, 'hex')), format);
+  });
+  assert.strictEqual(detectImageFormat(Buffer.from('<html>')), null);
+  assert.strictEqual(detectImageFormat(Buffer.alloc(0)), null);
+});
+
+test('checks the shipped target images by content, not extension', () => {
+  const targetsDir = path.join(PROJECT_ROOT, 'assets', 'targets');
+
+  assert.deepStrictEqual(assertDecodableImage(path.join(targetsDir, 'zyn-cool-mint.png')), { format: 'png', extensionMatches: true });
+
+  // AVIF saved as .png - rejected with a conversion hint instead of a node-canvas decode error
+  assert.throws(
+    () => assertDecodableImage(path.join(targetsDir, 'zynSpearmint.png')),
+    /zynSpearmint\.png: AVIF can't be decoded by node-canvas \(named \.png but actually AVIF\) - convert it to PNG or JPEG/
+  );
+});
+
+test('rejects formats node-canvas cannot decode, naming the real format', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'image-format-'));
+  const file = path.join(dir, 'target.png');
+
+  try {
+    fs.writeFileSync(file, Buffer.from(HEADERS.avif, 'hex'));
+    assert.throws(() => assertDecodableImage(file), /AVIF can't be decoded by node-canvas \(named \.png but actually AVIF\)/);
+
+    fs.writeFileSync(file, Buffer.from(HEADERS.jpeg, 'hex'));
+    assert.deepStrictEqual(assertDecodableImage(file), { format: 'jpeg', extensionMatches: false });
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,103 @@
+// MindFileMerger - reading and merging compiled .mind files (MessagePack)
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { PROJECT_ROOT, loadBrowserModules } = require('./helpers/browser-module');
+
+const { MindFileMerger } = loadBrowserModules(['js/mind-file-merger.js']);
+
+function readAsset(name) {
+  const buffer = fs.readFileSync(path.join(PROJECT_ROOT, 'assets', 'targets', name));
+  return buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.byteLength);
+}
+
+/**
+ * Minimal .mind file: { v, [extra], dataList: [ { i: <n> }, ... ] }
+ */
+function createMindFile(version, targetIds, { extraKey = false } = {}) {
+  const target = id => [0x81, ...MindFileMerger.encodeString('i'), ...MindFileMerger.encodeUint(id)];
+  const bytes = [
+    extraKey ? 0x83 : 0x82,
+    ...MindFileMerger.encodeString('v'), ...MindFileMerger.encodeUint(version),
+    ...(extraKey ? [...MindFileMerger.encodeString('note'), ...MindFileMerger.encodeString('skip me')] : []),
+    ...MindFileMerger.encodeString('dataList'), ...MindFileMerger.encodeArrayHeader(targetIds.length),
+    ...targetIds.flatMap(target)
+  ];
+  return new Uint8Array(bytes).buffer;
+}
+
+function targetIds(buffer) {
+  const { targets } = MindFileMerger.read(buffer);
+  const view = new DataView(targets.buffer, targets.byteOffset, targets.byteLength);
+  const ids = [];
+  let offset = 0;
+  while (offset < targets.length) {
+    ids.push(MindFileMerger.readUint(view, offset + 3)); // 0x81, 'i' fixstr (2 bytes), value
+    offset = MindFileMerger.skipValue(view, offset);
+  }
+  return ids;
+}
+
+test('reads version and target count of a compiled .mind file', () => {
+  const file = MindFileMerger.read(readAsset('zyn-cool-mint.mind'));
+
+  assert.ok(Number.isInteger(file.version));
+  assert.strictEqual(file.targetCount, 1);
+  assert.ok(file.targets.length > 1000);
+});
+
+test('merges compiled files in order with target offsets', () => {
+  const coolMint = readAsset('zyn-cool-mint.mind');
+  const spearmint = readAsset('zynSpearmint.mind');
+
+  const merged = MindFileMerger.merge([coolMint, spearmint, coolMint]);
+  const result = MindFileMerger.read(merged.data.buffer);
+
+  assert.deepStrictEqual([...merged.offsets], [0, 1, 2]);
+  assert.deepStrictEqual([...merged.counts], [1, 1, 1]);
+  assert.strictEqual(result.version, MindFileMerger.read(coolMint).version);
+  assert.strictEqual(result.targetCount, 3);
+
+  const single = MindFileMerger.read(coolMint).targets;
+  assert.deepStrictEqual(result.targets.subarray(0, single.length), single);
+  assert.deepStrictEqual(result.targets.subarray(2 * single.length), single);
+});
+
+test('keeps target bytes and order across files', () => {
+  const merged = MindFileMerger.merge([
+    createMindFile(2, [10, 11]),
+    createMindFile(2, [20], { extraKey: true }),
+    createMindFile(2, [30, 31, 32])
+  ]);
+
+  assert.deepStrictEqual([...merged.offsets], [0, 2, 3]);
+  assert.deepStrictEqual([...merged.counts], [2, 1, 3]);
+  assert.deepStrictEqual(targetIds(merged.data.buffer), [10, 11, 20, 30, 31, 32]);
+});
+
+test('writes a 16-bit array header past 15 targets', () => {
+  const ids = Array.from({ length: 12 }, (_, i) => i);
+  const merged = MindFileMerger.merge([createMindFile(2, ids), createMindFile(2, ids.map(i => i + 100))]);
+
+  assert.strictEqual(MindFileMerger.read(merged.data.buffer).targetCount, 24);
+  assert.deepStrictEqual(targetIds(merged.data.buffer), [...ids, ...ids.map(i => i + 100)]);
+});
+
+test('rejects files compiled with different versions', () => {
+  assert.throws(
+    () => MindFileMerger.merge([createMindFile(2, [1]), createMindFile(3, [2])]),
+    /File 2 was compiled with \.mind version 3, expected 2/
+  );
+});
+
+test('rejects files that are not .mind files', () => {
+  const notMind = new TextEncoder().encode('<html>404</html>').buffer;
+
+  assert.throws(
+    () => MindFileMerger.merge([createMindFile(2, [1]), notMind]),
+    /File 2 is not a valid \.mind file/
+  );
+  assert.throws(() => MindFileMerger.read(new Uint8Array([0x81, 0xa1, 0x76, 0x02]).buffer), /missing v or dataList/);
+});
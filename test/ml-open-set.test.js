@@ -0,0 +1,80 @@
+// Open-set rejection (MLClassifier.checkOpenSet) against the shipped CONFIG.ml defaults
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadBrowserModules } = require('./helpers/browser-module');
+
+function createClassifier(unknown) {
+  const window = loadBrowserModules(['js/config.js', 'js/ml-classifier.js'], {
+    location: { hostname: 'localhost' }
+  });
+  if (unknown) {
+    window.CONFIG.ml.unknown = { ...window.CONFIG.ml.unknown, ...unknown };
+  }
+  return new window.MLClassifier();
+}
+
+function predictions(...probabilities) {
+  return probabilities.map((probability, i) => ({ className: `Class ${i}`, probability }));
+}
+
+test('default config keeps every 2-class prediction that clears the threshold', () => {
+  const classifier = createClassifier();
+  const threshold = classifier.config.confidenceThreshold;
+
+  for (let confidence = threshold; confidence <= 1; confidence += 0.01) {
+    assert.strictEqual(
+      classifier.checkOpenSet(predictions(confidence, 1 - confidence)),
+      null,
+      `${(confidence * 100).toFixed(0)}% was rejected`
+    );
+  }
+});
+
+test('default config still rejects trained reject labels', () => {
+  const classifier = createClassifier();
+
+  assert.strictEqual(classifier.config.unknown.enabled, true);
+  assert.strictEqual(classifier.isRejectLabel('Background'), true);
+  assert.strictEqual(classifier.isRejectLabel('background'), true);
+  assert.strictEqual(classifier.isRejectLabel('Cool Mint'), false);
+});
+
+test('configured margin rejects close top-2 results', () => {
+  const classifier = createClassifier({ minMargin: 0.3 });
+
+  assert.strictEqual(classifier.checkOpenSet(predictions(0.6, 0.35, 0.05)), 'low-margin');
+  assert.strictEqual(classifier.checkOpenSet(predictions(0.7, 0.2, 0.1)), null);
+});
+
+test('configured entropy rejects flat distributions', () => {
+  const classifier = createClassifier({ maxEntropy: 0.9 });
+
+  assert.strictEqual(classifier.checkOpenSet(predictions(0.4, 0.3, 0.3)), 'high-entropy');
+  assert.strictEqual(classifier.checkOpenSet(predictions(0.9, 0.05, 0.05)), null);
+});
+
+test('kNN similarity is checked before margin and entropy', () => {
+  const classifier = createClassifier({ minSimilarity: 0.5, minMargin: 0.3 });
+  const knn = [{ className: 'A', probability: 0.5, similarity: 0.2 }, { className: 'B', probability: 0.5 }];
+
+  assert.strictEqual(classifier.checkOpenSet(knn), 'low-similarity');
+});
+
+test('disabled open-set checks never reject', () => {
+  const classifier = createClassifier({ enabled: false, minMargin: 0.9, maxEntropy: 0.1 });
+
+  assert.strictEqual(classifier.checkOpenSet(predictions(0.5, 0.5)), null);
+});
+
+test('uncertainty: margin is top-1 minus top-2, entropy is normalized', () => {
+  const classifier = createClassifier();
+
+  const certain = classifier.getUncertainty(predictions(1, 0));
+  assert.strictEqual(certain.margin, 1);
+  assert.strictEqual(certain.entropy, 0);
+
+  const uniform = classifier.getUncertainty(predictions(0.25, 0.25, 0.25, 0.25));
+  assert.strictEqual(uniform.margin, 0);
+  assert.ok(Math.abs(uniform.entropy - 1) < 1e-9);
+});
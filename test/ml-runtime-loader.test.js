@@ -0,0 +1,65 @@
+// MLRuntimeLoader.loadScript - one <script> per URL across loader instances
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadBrowserModules } = require('./helpers/browser-module');
+
+const CONFIG = {
+  ml: {
+    runtime: {
+      libraries: {
+        tfjs: { package: '@tensorflow/tfjs', version: '4.11.0', file: 'dist/tf.min.js', integrity: 'sha384-test' }
+      }
+    }
+  }
+};
+
+// Fake document that records injected scripts; `fail` makes the next ones error
+function createWindow() {
+  const appended = [];
+  const state = { fail: false };
+
+  const window = loadBrowserModules(['js/ml-runtime-loader.js'], {
+    CONFIG,
+    fetch: async () => ({ ok: false, status: 404 }),
+    document: {
+      createElement: () => ({ remove() {} }),
+      head: {
+        appendChild(script) {
+          appended.push(script);
+          const fail = state.fail;
+          setImmediate(() => (fail ? script.onerror() : script.onload()));
+        }
+      }
+    }
+  });
+
+  return { window, appended, state };
+}
+
+test('script is injected once for every instance that loads it', async () => {
+  const { window, appended } = createWindow();
+
+  await Promise.all([
+    new window.MLRuntimeLoader().loadScript('tfjs'),
+    new window.MLRuntimeLoader().loadScript('tfjs')
+  ]);
+  const library = await new window.MLRuntimeLoader().loadScript('tfjs');
+
+  assert.strictEqual(appended.length, 1);
+  assert.strictEqual(appended[0].src, './vendor/ml-runtime/@tensorflow/tfjs@4.11.0/dist/tf.min.js');
+  assert.strictEqual(appended[0].integrity, 'sha384-test');
+  assert.strictEqual(library.version, '4.11.0');
+});
+
+test('failed script is injected again on retry', async () => {
+  const { window, appended, state } = createWindow();
+
+  state.fail = true;
+  await assert.rejects(new window.MLRuntimeLoader().loadScript('tfjs'), /Failed to load/);
+
+  state.fail = false;
+  await new window.MLRuntimeLoader().loadScript('tfjs');
+
+  assert.strictEqual(appended.length, 2);
+});
@@ -0,0 +1,76 @@
+// MLClassifier.classifyWithVoting - aggregated result over stubbed frames
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadBrowserModules } = require('./helpers/browser-module');
+
+function createClassifier(frames, { ensemble = false } = {}) {
+  const window = loadBrowserModules(['js/config.js', 'js/ml-classifier.js'], {
+    location: { hostname: 'localhost' },
+    setTimeout
+  });
+  const classifier = new window.MLClassifier();
+
+  classifier.initialized = true;
+  classifier.config.debugMode = false;
+  classifier.config.voting = { ...classifier.config.voting, frames: frames.length, windowMs: 0 };
+  classifier.labelMap = { 'Cool Mint': 'product-cool', Spearmint: 'product-spear' };
+  classifier.colorMatcher = ensemble ? {} : null;
+  classifier.getModelInput = () => ({ image: null, cropped: true });
+
+  let frameIndex = 0;
+  classifier.predictFrame = async () => frames[frameIndex++];
+
+  return classifier;
+}
+
+const video = { readyState: 4 };
+
+test('voted result carries the ensemble fields', async () => {
+  const frame = (fused, model, color) => [
+    { className: 'Cool Mint', probability: fused, rawProbability: fused, modelProbability: model, colorScore: color },
+    { className: 'Spearmint', probability: 1 - fused, rawProbability: 1 - fused, modelProbability: 1 - model, colorScore: 1 - color }
+  ];
+  const classifier = createClassifier([frame(0.8, 0.7, 0.9), frame(0.9, 0.8, 1.0)], { ensemble: true });
+
+  const result = await classifier.classifyWithVoting(video);
+
+  assert.strictEqual(result.productId, 'product-cool');
+  assert.ok(Math.abs(result.confidence - 0.85) < 1e-9);
+  assert.ok(Math.abs(result.modelConfidence - 0.75) < 1e-9);
+  assert.ok(Math.abs(result.colorScore - 0.95) < 1e-9);
+  assert.deepStrictEqual({ ...result.ensembleWeights }, { ...classifier.config.ensemble.weights });
+  assert.ok(Math.abs(result.allPredictions[1].modelConfidence - 0.25) < 1e-9);
+});
+
+test('without the ensemble, model confidence equals the voted confidence', async () => {
+  const frame = [
+    { className: 'Spearmint', probability: 0.9, rawProbability: 0.9 },
+    { className: 'Cool Mint', probability: 0.1, rawProbability: 0.1 }
+  ];
+  const classifier = createClassifier([frame, frame, frame]);
+
+  const result = await classifier.classifyWithVoting(video);
+
+  assert.strictEqual(result.productId, 'product-spear');
+  assert.strictEqual(result.modelConfidence, result.confidence);
+  assert.strictEqual(result.colorScore, null);
+  assert.strictEqual(result.ensembleWeights, null);
+  assert.strictEqual(result.voting.framesSampled, 3);
+});
+
+test('a confident mean without enough agreeing frames is not accepted', async () => {
+  const cool = [
+    { className: 'Cool Mint', probability: 0.99, rawProbability: 0.99 },
+    { className: 'Spearmint', probability: 0.01, rawProbability: 0.01 }
+  ];
+  const spear = [
+    { className: 'Spearmint', probability: 0.6, rawProbability: 0.6 },
+    { className: 'Cool Mint', probability: 0.4, rawProbability: 0.4 }
+  ];
+  const classifier = createClassifier([cool, cool, cool, spear, spear]);
+  classifier.config.voting.minAgreement = 0.8;
+
+  // Cool Mint: mean 75.4% (above the 70% threshold), but it won only 3 of 5 frames
+  assert.strictEqual(await classifier.classifyWithVoting(video), null);
+});
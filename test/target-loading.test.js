@@ -0,0 +1,99 @@
+// ARConfigLoader.prepareTargets / fetchTargetFile - .mind downloads with fallbacks
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { PROJECT_ROOT, loadBrowserModules } = require('./helpers/browser-module');
+
+const MIND_FILE = fs.readFileSync(path.join(PROJECT_ROOT, 'assets', 'targets', 'zyn-cool-mint.mind'));
+const CORRUPTED = Buffer.from('<!DOCTYPE html><html>CDN error page</html>');
+
+/**
+ * Loader with fetch() serving `files` (url -> Buffer); records every request
+ */
+function createLoader(files) {
+  const requests = [];
+  const events = [];
+
+  const window = loadBrowserModules(['js/mind-file-merger.js', 'js/config-loader.js'], {
+    document: {
+      createElement: () => ({}),
+      head: { appendChild: () => {} }
+    },
+    CONFIG: { targets: { retries: 1 } },
+    URL: { createObjectURL: () => 'blob:merged', revokeObjectURL: () => {} },
+    Blob,
+    CustomEvent: class { constructor(type, init) { this.type = type; this.detail = init.detail; } },
+    dispatchEvent: event => events.push(event.detail),
+    fetch: async (url) => {
+      requests.push(url);
+      const body = files[url];
+      return body
+        ? { ok: true, status: 200, arrayBuffer: async () => body.buffer.slice(body.byteOffset, body.byteOffset + body.length) }
+        : { ok: false, status: 404 };
+    }
+  });
+
+  return { loader: new window.ARConfigLoader(), requests, events };
+}
+
+function product(id, target, targetIndex = 0) {
+  return { id, targetIndex, target };
+}
+
+test('a single file with fallbacks is fetched, so a corrupted CDN copy falls back', async () => {
+  const { loader, requests, events } = createLoader({
+    'https://cdn/zyn.mind': CORRUPTED,
+    './assets/targets/zyn.mind': MIND_FILE
+  });
+  loader.products = [product('p1', {
+    imagePath: 'https://cdn/zyn.mind',
+    fallbackPaths: ['./assets/targets/zyn.mind']
+  })];
+
+  await loader.prepareTargets();
+
+  assert.deepStrictEqual(requests, ['https://cdn/zyn.mind', 'https://cdn/zyn.mind', './assets/targets/zyn.mind']);
+  assert.deepStrictEqual(events.map(event => event.reason), ['parse-error', 'parse-error']);
+  assert.strictEqual(loader.getTargetSrc(), 'blob:merged');
+  assert.strictEqual(loader.products[0].targetIndex, 0);
+});
+
+test('a corrupted file among several falls back instead of failing the merge', async () => {
+  const { loader, events } = createLoader({
+    'https://cdn/a.mind': MIND_FILE,
+    'https://cdn/b.mind': CORRUPTED,
+    './assets/targets/b.mind': MIND_FILE
+  });
+  loader.products = [
+    product('a', { imagePath: 'https://cdn/a.mind', fallbackPaths: ['./assets/targets/a.mind'] }),
+    product('b', { imagePath: 'https://cdn/b.mind', fallbackPaths: ['./assets/targets/b.mind'] })
+  ];
+
+  await loader.prepareTargets();
+
+  assert.deepStrictEqual(loader.products.map(p => p.targetIndex), [0, 1]);
+  assert.ok(events.every(event => event.url === 'https://cdn/b.mind' && event.reason === 'parse-error'));
+});
+
+test('fails with category mind-load when no URL has a valid file', async () => {
+  const { loader, events } = createLoader({ 'https://cdn/zyn.mind': CORRUPTED });
+  loader.products = [product('p1', {
+    imagePath: 'https://cdn/zyn.mind',
+    fallbackPaths: ['./assets/targets/zyn.mind']
+  })];
+
+  await assert.rejects(loader.prepareTargets(), error => error.category === 'mind-load');
+  assert.deepStrictEqual(events.map(event => event.reason), ['parse-error', 'parse-error', 'http']);
+});
+
+test('a single local file without fallbacks is left to MindAR', async () => {
+  const { loader, requests } = createLoader({});
+  loader.products = [product('p1', { imagePath: './assets/targets/zyn.mind' })];
+
+  await loader.prepareTargets();
+
+  assert.deepStrictEqual(requests, []);
+  assert.strictEqual(loader.getTargetSrc(), './assets/targets/zyn.mind');
+});
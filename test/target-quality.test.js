@@ -0,0 +1,113 @@
+// scripts/lib/target-quality.js - image target scoring on synthetic greyscale images
+
+const test = require('node:test');
+const assert = require('node:assert');
+const quality = require('../scripts/lib/target-quality');
+
+const SIZE = 96;
+
+function createImage(pixel) {
+  const gray = new Float32Array(SIZE * SIZE);
+  for (let y = 0; y < SIZE; y++) {
+    for (let x = 0; x < SIZE; x++) {
+      gray[y * SIZE + x] = pixel(x, y);
+    }
+  }
+  return { width: SIZE, height: SIZE, gray };
+}
+
+// Random 8x8 blocks (seeded) - many distinct corners, nothing repeated
+function createBlocks(seed) {
+  let state = seed;
+  const random = () => {
+    state = (state * 1664525 + 1013904223) % 4294967296;
+    return state / 4294967296;
+  };
+  const blocks = Array.from({ length: (SIZE / 8) ** 2 }, random);
+  return createImage((x, y) => blocks[Math.floor(y / 8) * (SIZE / 8) + Math.floor(x / 8)]);
+}
+
+const flat = createImage(() => 0.5);
+
+test('toGray averages the channels like MindAR (no luma weights)', () => {
+  const rgba = new Uint8ClampedArray([255, 0, 0, 255, 0, 255, 0, 255, 30, 60, 90, 255]);
+  const { gray } = quality.toGray(rgba, 3, 1);
+
+  assert.ok(Math.abs(gray[0] - 1 / 3) < 1e-6);
+  assert.ok(Math.abs(gray[1] - 1 / 3) < 1e-6);
+  assert.ok(Math.abs(gray[2] - 60 / 255) < 1e-6);
+});
+
+test('flat images have no features, contrast or uniqueness', () => {
+  const analysis = quality.analyseImage(flat);
+
+  assert.strictEqual(analysis.points.length, 0);
+  assert.strictEqual(analysis.contrast.rms, 0);
+  assert.strictEqual(analysis.scores.uniqueness, 0);
+  assert.strictEqual(analysis.score, 0);
+  assert.strictEqual(quality.grade(analysis.score), 'poor');
+});
+
+test('detailed images score features, spread and contrast', () => {
+  const analysis = quality.analyseImage(createBlocks(1));
+
+  assert.ok(analysis.points.length > 50, `${analysis.points.length} points`);
+  assert.ok(analysis.distribution.coverage > 0.8);
+  assert.ok(analysis.contrast.rms > 0.2);
+  assert.strictEqual(analysis.scores.contrast, 1);
+  assert.notStrictEqual(quality.grade(analysis.score), 'poor');
+});
+
+test('contrast: black/white halves', () => {
+  const tone = quality.contrast(createImage(x => (x < SIZE / 2 ? 0 : 1)));
+
+  assert.ok(Math.abs(tone.rms - 0.5) < 1e-6);
+  assert.strictEqual(tone.spread, 1);
+});
+
+test('distribution: one point per cell is full and even', () => {
+  const n = quality.DEFAULTS.gridSize;
+  const points = [];
+  for (let y = 0; y < n; y++) {
+    for (let x = 0; x < n; x++) {
+      points.push({ x: (x + 0.5) * SIZE / n, y: (y + 0.5) * SIZE / n });
+    }
+  }
+
+  const even = quality.distribution(points, SIZE, SIZE);
+  assert.strictEqual(even.coverage, 1);
+  assert.ok(Math.abs(even.evenness - 1) < 1e-9);
+
+  const clustered = quality.distribution(points.map(() => ({ x: 1, y: 1 })), SIZE, SIZE);
+  assert.strictEqual(clustered.coverage, 1 / (n * n));
+  assert.strictEqual(clustered.evenness, 0);
+});
+
+test('repeated patterns are detected', () => {
+  const tile = createBlocks(7);
+  // Same 32x32 tile three times across, three times down
+  const tiled = createImage((x, y) => tile.gray[(y % 32) * SIZE + (x % 32)]);
+
+  assert.ok(quality.analyseImage(tiled).repetition > quality.analyseImage(createBlocks(7)).repetition);
+});
+
+test('identical targets are flagged as confusable, different ones are not', () => {
+  const a = { ...quality.analyseImage(createBlocks(3)), name: 'a' };
+  const copy = { ...quality.analyseImage(createBlocks(3)), name: 'copy' };
+  const other = { ...quality.analyseImage(createBlocks(42)), name: 'other' };
+
+  assert.ok(quality.similarity(a, copy) > 0.9);
+  assert.ok(quality.similarity(a, other) < quality.DEFAULTS.confusionThreshold);
+
+  const pairs = quality.comparePairs([a, other, copy]);
+  assert.deepStrictEqual([pairs[0].a, pairs[0].b], ['a', 'copy']);
+  assert.strictEqual(pairs[0].confused, true);
+  assert.strictEqual(pairs.filter(pair => pair.confused).length, 1);
+});
+
+test('grade boundaries', () => {
+  assert.strictEqual(quality.grade(70), 'good');
+  assert.strictEqual(quality.grade(69), 'fair');
+  assert.strictEqual(quality.grade(40), 'fair');
+  assert.strictEqual(quality.grade(39), 'poor');
+});